@@ -0,0 +1,88 @@
+// Built-in capsule templates, one for each capsule theme. A template sets the
+// theme, tags and settings of a new capsule and adds its prompts as starter
+// text memories.
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'family-year',
+    name: 'Family Year',
+    description: 'Collect the moments that made this year special for the family.',
+    theme: 'default',
+    tags: ['family', 'yearbook'],
+    settings: { defaultRole: 'contributor' },
+    prompts: [
+      { title: 'Best day of the year', text: 'Which day would you relive if you could? Tell us about it.' },
+      { title: 'Something new', text: 'What did you learn or try for the first time this year?' },
+      { title: 'Thank you', text: 'Who do you want to thank, and why?' },
+    ],
+  },
+  {
+    id: 'wedding',
+    name: 'Wedding',
+    description: 'Wishes, photos and stories from everyone who celebrated the couple.',
+    theme: 'vintage',
+    tags: ['wedding', 'celebration'],
+    settings: { requireApproval: true, defaultRole: 'contributor' },
+    prompts: [
+      { title: 'How we met', text: 'Share how you know the couple and your favourite memory with them.' },
+      { title: 'Advice for the newlyweds', text: 'What is the best piece of advice you can give the couple?' },
+      { title: 'Wishes for the future', text: 'Write a wish for the couple to read on their first anniversary.' },
+    ],
+  },
+  {
+    id: 'team-milestone',
+    name: 'Team Milestone',
+    description: 'Celebrate a launch, a project or a great year with your team.',
+    theme: 'modern',
+    tags: ['team', 'work', 'milestone'],
+    settings: { requireVerifiedMembers: true, defaultRole: 'contributor' },
+    prompts: [
+      { title: 'Proudest moment', text: 'What part of this work are you proudest of?' },
+      { title: 'Shout-outs', text: 'Who went above and beyond? Give them a shout-out.' },
+      { title: 'Lessons learned', text: 'What would you tell the team if we started over tomorrow?' },
+    ],
+  },
+  {
+    id: 'outdoor-adventure',
+    name: 'Outdoor Adventure',
+    description: 'Trails, camps and summits, remembered by everyone who was there.',
+    theme: 'nature',
+    tags: ['outdoors', 'adventure', 'travel'],
+    settings: { defaultRole: 'contributor' },
+    prompts: [
+      { title: 'The view', text: 'Share the view that made the whole trip worth it.' },
+      { title: 'Around the campfire', text: 'What story will we still be telling years from now?' },
+    ],
+  },
+  {
+    id: 'letters-to-the-future',
+    name: 'Letters to the Future',
+    description: 'Write to your future selves and open the capsule together years from now.',
+    theme: 'space',
+    tags: ['future', 'letters'],
+    settings: { releaseReminderDays: 7, defaultRole: 'contributor' },
+    prompts: [
+      { title: 'Dear future me', text: 'Where do you hope to be when this capsule opens?' },
+      { title: 'Right now', text: 'Describe an ordinary day in your life today, in as much detail as you like.' },
+      { title: 'Predictions', text: 'What do you think will have changed in the world by the time this opens?' },
+    ],
+  },
+  {
+    id: 'summer-holiday',
+    name: 'Summer Holiday',
+    description: 'Beach days, road trips and long evenings from this summer.',
+    theme: 'ocean',
+    tags: ['summer', 'holiday', 'travel'],
+    settings: { defaultRole: 'contributor' },
+    prompts: [
+      { title: 'Best swim', text: 'Where was the best swim of the summer?' },
+      { title: 'Holiday playlist', text: 'Which song will always remind you of this trip?' },
+    ],
+  },
+];
+
+const getBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.find((template) => template.id === id) || null;
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  getBuiltInTemplate,
+};
@@ -36,9 +36,11 @@ const uploadToCloudinary = async (file, folder = 'memoryscape') => {
 };
 
 // Delete function
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+    });
     return result;
   } catch (error) {
     console.error('Cloudinary delete error:', error);
@@ -46,6 +48,104 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
+// Parse a delivery URL such as
+// https://res.cloudinary.com/demo/video/upload/v123/memoryscape/capsules/42/clip.mp4
+// into { resourceType: 'video', publicId: 'memoryscape/capsules/42/clip' }
+const parseCloudinaryUrl = (url) => {
+  if (!url) return null;
+
+  const match = url.match(
+    /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.\w+)?$/
+  );
+  return match ? { resourceType: match[1], publicId: match[2] } : null;
+};
+
+// Delete an asset by its delivery URL; URLs from other hosts are ignored
+const deleteFromCloudinaryByUrl = async (url) => {
+  const asset = parseCloudinaryUrl(url);
+  if (!asset) return null;
+
+  return deleteFromCloudinary(asset.publicId, asset.resourceType);
+};
+
+// Delete every asset under a folder prefix, then the folder itself
+const deleteFolderFromCloudinary = async (prefix) => {
+  try {
+    for (const resourceType of ['image', 'video', 'raw']) {
+      await cloudinary.api.delete_resources_by_prefix(prefix, {
+        resource_type: resourceType,
+      });
+    }
+    await cloudinary.api.delete_folder(prefix).catch(() => null);
+  } catch (error) {
+    console.error('Cloudinary folder delete error:', error);
+    throw new Error('Failed to delete media folder');
+  }
+};
+
+// Copy an asset that is already hosted on Cloudinary into another folder.
+// Cloudinary fetches the original itself and no upload transformation is
+// applied, so the copy is identical. Returns null for URLs of other hosts.
+const copyCloudinaryAsset = async (url, folder) => {
+  const asset = parseCloudinaryUrl(url);
+  if (!asset) return null;
+
+  try {
+    const source = cloudinary.url(asset.publicId, {
+      resource_type: asset.resourceType,
+      secure: true,
+    });
+    const result = await cloudinary.uploader.upload(source, {
+      resource_type: asset.resourceType,
+      folder,
+    });
+
+    return { url: result.secure_url, publicId: result.public_id };
+  } catch (error) {
+    console.error('Cloudinary copy error:', error);
+    throw new Error('Failed to copy media');
+  }
+};
+
+// Store a file as an authenticated raw asset that is only reachable through
+// signed, expiring download URLs
+const uploadPrivateFile = async (filePath, publicId) => {
+  try {
+    const result = await cloudinary.uploader.upload(filePath, {
+      resource_type: 'raw',
+      type: 'authenticated',
+      public_id: publicId,
+      overwrite: true,
+    });
+
+    return result.public_id;
+  } catch (error) {
+    console.error('Cloudinary private upload error:', error);
+    throw new Error('Failed to store file');
+  }
+};
+
+const privateDownloadUrl = (publicId, expiresInSeconds = 5 * 60) => {
+  return cloudinary.utils.private_download_url(publicId, undefined, {
+    resource_type: 'raw',
+    type: 'authenticated',
+    attachment: true,
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+};
+
+const deletePrivateFile = async (publicId) => {
+  try {
+    return await cloudinary.uploader.destroy(publicId, {
+      resource_type: 'raw',
+      type: 'authenticated',
+    });
+  } catch (error) {
+    console.error('Cloudinary private delete error:', error);
+    throw new Error('Failed to delete file');
+  }
+};
+
 // Generate video thumbnail
 const generateVideoThumbnail = async (videoUrl) => {
   try {
@@ -73,5 +173,12 @@ module.exports = {
   cloudinary,
   uploadToCloudinary,
   deleteFromCloudinary,
+  deleteFromCloudinaryByUrl,
+  deleteFolderFromCloudinary,
+  parseCloudinaryUrl,
+  copyCloudinaryAsset,
+  uploadPrivateFile,
+  privateDownloadUrl,
+  deletePrivateFile,
   generateVideoThumbnail,
 };
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const passport = require('passport');
+const jwt = require('jsonwebtoken');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const User = require('../models/User');
+const { acceptPendingInvitations } = require('../services/capsuleInvitations');
+
+const OAUTH_STATE_AUDIENCE = 'google-oauth';
+const OAUTH_NONCE_COOKIE = 'google_oauth_nonce';
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+// Signed OAuth state for sign-in, or for linking when it carries the account
+// that asked to link Google. The state is bound to a nonce kept in a cookie of
+// the browser that started the flow, so a callback or link URL sent to
+// someone else signs them in to nothing and attaches nothing.
+const createOAuthState = (userId) => {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const state = jwt.sign(
+    { userId: userId ? userId.toString() : undefined, nonceHash: hashNonce(nonce) },
+    process.env.JWT_SECRET,
+    { audience: OAUTH_STATE_AUDIENCE, expiresIn: OAUTH_STATE_TTL_MS / 1000 }
+  );
+
+  return { state, nonce };
+};
+
+// The API and the client live on different sites in production
+const oauthNonceCookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/auth/google',
+    maxAge: OAUTH_STATE_TTL_MS,
+  };
+};
+
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map((part) => part.trim().split('='));
+  const match = cookies.find(([key]) => key === name);
+  return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+};
+
+const readOAuthState = (req) => {
+  const nonce = readCookie(req, OAUTH_NONCE_COOKIE);
+  if (typeof req.query.state !== 'string' || !nonce) return null;
+
+  try {
+    const decoded = jwt.verify(req.query.state, process.env.JWT_SECRET, { audience: OAUTH_STATE_AUDIENCE });
+    return decoded.nonceHash === hashNonce(nonce) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Verify callback shared by the real Google strategy and test doubles.
+// Resolves to { user, linked } or fails with a message for the client.
+const verifyGoogleProfile = async (req, accessToken, refreshToken, profile, done) => {
+  try {
+    const email = profile.emails && profile.emails[0] && profile.emails[0].value.toLowerCase();
+    const oauthState = readOAuthState(req);
+
+    // Only finish flows started from this browser
+    if (!oauthState) {
+      return done(null, false, { message: 'invalid_state' });
+    }
+
+    const owner = await User.findOne({ googleId: profile.id });
+
+    // Explicit linking from an already signed-in account
+    if (oauthState.userId) {
+      const user = await User.findById(oauthState.userId);
+
+      if (!user) {
+        return done(null, false, { message: 'account_not_found' });
+      }
+      if (owner && owner._id.toString() !== user._id.toString()) {
+        return done(null, false, { message: 'google_account_in_use' });
+      }
+
+      user.googleId = profile.id;
+      if (!user.avatarUrl && profile.photos && profile.photos[0]) {
+        user.avatarUrl = profile.photos[0].value;
+      }
+      await user.save();
+
+      return done(null, { user, linked: true });
+    }
+
+    if (owner) {
+      return done(null, { user: owner, linked: false });
+    }
+
+    if (!email) {
+      return done(null, false, { message: 'email_required' });
+    }
+
+    // Never merge into an existing password account silently; the owner has
+    // to sign in and link Google explicitly
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return done(null, false, { message: 'account_exists' });
+    }
+
+    const user = await User.create({
+      name: (profile.displayName || email.split('@')[0]).substring(0, 50),
+      email,
+      googleId: profile.id,
+      avatarUrl: profile.photos && profile.photos[0] ? profile.photos[0].value : '',
+      isVerified: true,
+    });
+
+    // Join the capsules this address was invited to
+    await acceptPendingInvitations(user, req.io);
+
+    return done(null, { user, linked: false });
+  } catch (error) {
+    return done(error);
+  }
+};
+
+const configurePassport = () => {
+  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    passport.use(
+      new GoogleStrategy(
+        {
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+          callbackURL:
+            process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
+          proxy: true,
+          passReqToCallback: true,
+        },
+        verifyGoogleProfile
+      )
+    );
+  }
+
+  return passport;
+};
+
+module.exports = {
+  configurePassport,
+  verifyGoogleProfile,
+  createOAuthState,
+  OAUTH_NONCE_COOKIE,
+  oauthNonceCookieOptions,
+};
@@ -47,6 +47,16 @@ const options = {
               example: 'john@example.com',
             },
             bio: { type: 'string', example: 'Memory enthusiast' },
+            role: {
+              type: 'string',
+              enum: ['user', 'moderator', 'admin'],
+              example: 'user',
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'suspended', 'banned'],
+              example: 'active',
+            },
             avatarUrl: {
               type: 'string',
               example:
@@ -85,11 +95,30 @@ const options = {
               },
             },
             releaseDate: { type: 'string', format: 'date-time' },
+            releasedAt: { type: 'string', format: 'date-time', description: 'When a timed capsule was opened by the release job' },
             theme: { type: 'string', example: 'default' },
             tags: { type: 'array', items: { type: 'string' } },
             coverImage: { type: 'string' },
             inviteCode: { type: 'string' },
+            publicShare: {
+              type: 'object',
+              description: 'Read-only public page served at /api/public/capsules/{slug}',
+              properties: {
+                enabled: { type: 'boolean' },
+                slug: { type: 'string', example: 'summer-2023-3f9a1c2b' },
+              },
+            },
             isActive: { type: 'boolean' },
+            pendingTransfer: {
+              type: 'object',
+              description: 'Ownership offered to a member who has not accepted yet',
+              properties: {
+                to: { type: 'string' },
+                requestedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+            deletedAt: { type: 'string', format: 'date-time', description: 'Set while the capsule is in the trash' },
+            purgeAfter: { type: 'string', format: 'date-time', description: 'When a trashed capsule is permanently deleted' },
             stats: {
               type: 'object',
               properties: {
@@ -140,6 +169,12 @@ const options = {
               },
             },
             isPinned: { type: 'boolean' },
+            unlockAt: { type: 'string', format: 'date-time', description: 'Locked for everyone but the author until then' },
+            unlockAudience: { type: 'array', items: { type: 'string' }, description: 'Members the memory opens for' },
+            locked: {
+              type: 'boolean',
+              description: 'Set on placeholders for locked memories, which only carry _id, capsule, author and unlockAt',
+            },
             reactions: {
               type: 'array',
               items: {
@@ -177,6 +212,279 @@ const options = {
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        PersonalAccessToken: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string' },
+            tokenPrefix: { type: 'string', example: 'msp_2Jk9aB' },
+            scopes: { type: 'array', items: { type: 'string' } },
+            expiresAt: { type: 'string', format: 'date-time' },
+            lastUsedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        AuditLogEntry: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            actor: { $ref: '#/components/schemas/User' },
+            actorRole: { type: 'string', enum: ['moderator', 'admin'] },
+            action: { type: 'string', example: 'user.suspend' },
+            targetType: { type: 'string', enum: ['User', 'Capsule'] },
+            target: { type: 'string' },
+            reason: { type: 'string' },
+            changes: { type: 'object' },
+            ip: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        JoinRequest: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            capsule: { type: 'string' },
+            user: { $ref: '#/components/schemas/User' },
+            message: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+            decidedBy: { $ref: '#/components/schemas/User' },
+            decidedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        CapsuleInvite: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            capsule: { type: 'string' },
+            code: { type: 'string' },
+            url: { type: 'string', description: 'Link to share' },
+            role: { type: 'string', enum: ['contributor', 'viewer'] },
+            maxUses: { type: 'number', description: 'Empty when unlimited' },
+            uses: { type: 'number' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            usable: { type: 'boolean', description: 'Not expired or used up (in listings)' },
+            createdBy: { $ref: '#/components/schemas/User' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        CapsuleInvitation: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            capsule: { $ref: '#/components/schemas/Capsule' },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string', enum: ['contributor', 'viewer'] },
+            invitedBy: { $ref: '#/components/schemas/User' },
+            status: { type: 'string', enum: ['pending', 'accepted', 'declined'] },
+            respondedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        CapsuleTemplate: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', description: 'Template ID, or a name such as "wedding" for built-in templates' },
+            builtIn: { type: 'boolean' },
+            name: { type: 'string', example: 'Wedding' },
+            description: { type: 'string' },
+            theme: { type: 'string', example: 'vintage' },
+            tags: { type: 'array', items: { type: 'string' } },
+            settings: { type: 'object', description: 'Capsule settings applied to new capsules' },
+            prompts: {
+              type: 'array',
+              description: 'Added to new capsules as starter text memories',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  text: { type: 'string' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        PublicPerson: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'John Doe' },
+            avatarUrl: { type: 'string' },
+          },
+        },
+        PublicCapsule: {
+          type: 'object',
+          description: 'Capsule as shown on its public page, without emails, invite codes or settings',
+          properties: {
+            slug: { type: 'string', example: 'summer-2023-3f9a1c2b' },
+            title: { type: 'string', example: 'Summer 2023' },
+            description: { type: 'string' },
+            type: { type: 'string', enum: ['public', 'timed'] },
+            theme: { type: 'string', example: 'default' },
+            tags: { type: 'array', items: { type: 'string' } },
+            coverImage: { type: 'string' },
+            releaseDate: { type: 'string', format: 'date-time' },
+            sealed: { type: 'boolean', description: 'True while a timed capsule is waiting for its release date' },
+            owner: { $ref: '#/components/schemas/PublicPerson' },
+            members: {
+              type: 'array',
+              items: {
+                allOf: [
+                  { $ref: '#/components/schemas/PublicPerson' },
+                  {
+                    type: 'object',
+                    properties: {
+                      role: { type: 'string', enum: ['admin', 'contributor', 'viewer'] },
+                    },
+                  },
+                ],
+              },
+            },
+            allowComments: { type: 'boolean' },
+            allowReactions: { type: 'boolean' },
+            stats: {
+              type: 'object',
+              properties: {
+                totalMemories: { type: 'number' },
+                totalContributors: { type: 'number' },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        PublicMemory: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            type: { type: 'string', enum: ['image', 'video', 'audio', 'text', 'voice'] },
+            title: { type: 'string' },
+            text: { type: 'string' },
+            mediaUrl: { type: 'string' },
+            thumbnailUrl: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            location: {
+              type: 'object',
+              description: 'Place name only, without coordinates',
+              properties: {
+                name: { type: 'string' },
+              },
+            },
+            author: { $ref: '#/components/schemas/PublicPerson' },
+            isPinned: { type: 'boolean' },
+            reactions: {
+              type: 'array',
+              description: 'Reaction counts; left out when the capsule does not allow reactions',
+              items: {
+                type: 'object',
+                properties: {
+                  emoji: { type: 'string', example: '❤️' },
+                  count: { type: 'number', example: 3 },
+                },
+              },
+            },
+            comments: {
+              type: 'array',
+              description: 'Left out when the capsule does not allow comments',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  user: { $ref: '#/components/schemas/PublicPerson' },
+                  text: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  replies: { type: 'array', items: { type: 'object' } },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        SearchHighlights: {
+          type: 'object',
+          description:
+            'HTML-escaped text with matching words wrapped in <mark>; fields without a match are left out',
+          properties: {
+            title: { type: 'string', example: '<mark>Summer</mark> 2023' },
+            description: { type: 'string', example: '…our <mark>summer</mark> vacation at the lake…' },
+            tags: { type: 'array', items: { type: 'string' } },
+          },
+        },
+        MemorySearchResult: {
+          allOf: [
+            { $ref: '#/components/schemas/MemoryItem' },
+            {
+              type: 'object',
+              description: 'Memory without its reactions and comments',
+              properties: {
+                capsule: {
+                  type: 'object',
+                  properties: {
+                    _id: { type: 'string' },
+                    title: { type: 'string' },
+                    theme: { type: 'string' },
+                  },
+                },
+                commentCount: { type: 'number' },
+                score: { type: 'number', description: 'Relevance, only when searching with q' },
+                highlights: {
+                  type: 'object',
+                  description:
+                    'HTML-escaped text with matching words wrapped in <mark>; only when searching with q',
+                  properties: {
+                    title: { type: 'string' },
+                    text: { type: 'string', example: 'Sunset at the <mark>beach</mark> with everyone…' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    location: { type: 'string' },
+                    comments: {
+                      type: 'array',
+                      description: 'Up to three matching comments',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          _id: { type: 'string' },
+                          text: { type: 'string' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+        FacetCount: {
+          type: 'object',
+          properties: {
+            value: { type: 'string', example: 'travel' },
+            count: { type: 'number', example: 12 },
+          },
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: { type: 'number', example: 1 },
+            limit: { type: 'number', example: 20 },
+            total: { type: 'number', example: 42 },
+            pages: { type: 'number', example: 3 },
+          },
+        },
+        DataExport: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            user: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['pending', 'processing', 'ready', 'failed'],
+            },
+            size: { type: 'number', description: 'Archive size in bytes' },
+            skippedMedia: { type: 'array', items: { type: 'string' } },
+            error: { type: 'string' },
+            completedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
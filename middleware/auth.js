@@ -1,13 +1,132 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const { isPersonalAccessToken, verifyPersonalAccessToken } = require("../services/accessTokenService")
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+// Other tokens signed with JWT_SECRET (2FA challenges, email links, download
+// links) must never work as a login, so access tokens carry their own type.
+const ACCESS_TOKEN_TYPE = "access"
+
+// Generate JWT access token, bound to a session when one is given. The
+// user's token version is embedded so bumping it invalidates the token.
+const generateToken = (userId, sessionId, tokenVersion = 0) => {
+  const payload = { userId, tv: tokenVersion, type: ACCESS_TOKEN_TYPE }
+  if (sessionId) payload.sid = sessionId.toString()
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m",
   })
 }
 
+const tokenRevokedError = (message) => {
+  const error = new Error(message)
+  error.name = "TokenRevokedError"
+  return error
+}
+
+const accountSuspendedError = (user) => {
+  const error = new Error(user.status === "banned" ? "Account banned" : "Account suspended")
+  error.name = "AccountSuspendedError"
+  error.user = user
+  return error
+}
+
+// 403 for suspended and banned accounts, telling the user why and until when
+const sendSuspendedResponse = (res, user) => {
+  return res.status(403).json({
+    success: false,
+    message: user.status === "banned" ? "Account banned" : "Account suspended",
+    data: {
+      status: user.status,
+      reason: user.statusReason,
+      suspendedUntil: user.suspendedUntil,
+    },
+  })
+}
+
+// Verify an access token and resolve its user. Throws on invalid tokens,
+// revoked sessions and tokens issued before the user's token version changed.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+  if (decoded.type !== ACCESS_TOKEN_TYPE) {
+    throw new jwt.JsonWebTokenError("Not an access token")
+  }
+
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid)
+    if (!session || session.user.toString() !== decoded.userId || !session.isActive()) {
+      throw tokenRevokedError("Session has been revoked")
+    }
+  }
+
+  const user = await User.findById(decoded.userId).select("-password")
+
+  if (user && (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw tokenRevokedError("Token has been revoked")
+  }
+
+  if (user && user.isSuspended()) {
+    throw accountSuspendedError(user)
+  }
+
+  return { user, decoded }
+}
+
+// Scope a personal access token needs in each API area. Areas that are not
+// listed (auth, account and token management) only accept interactive logins.
+const ROUTE_SCOPES = {
+  "/api/capsules": { read: "capsules:read", write: "capsules:write" },
+  "/api/memories": { read: "memories:read", write: "memories:write" },
+  "/api/upload": { read: "upload", write: "upload" },
+  "/api/search": { read: "memories:read", write: "memories:write" },
+}
+
+const requiredScope = (req) => {
+  const area = ROUTE_SCOPES[req.baseUrl]
+  if (!area) return null
+  return ["GET", "HEAD", "OPTIONS"].includes(req.method) ? area.read : area.write
+}
+
+// Requests made with a user JWT have every scope
+const hasScope = (req, scope) => !req.accessToken || req.accessToken.scopes.includes(scope)
+
+// Authenticate a personal access token and enforce the scope of the route
+const authenticateAccessToken = async (req, res, next, token) => {
+  const result = await verifyPersonalAccessToken(token)
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired access token",
+    })
+  }
+
+  if (result.user.isSuspended()) {
+    return sendSuspendedResponse(res, result.user)
+  }
+
+  const scope = requiredScope(req)
+
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      message: "Personal access tokens cannot be used for this endpoint",
+    })
+  }
+
+  if (!result.accessToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access token lacks the ${scope} scope`,
+    })
+  }
+
+  req.user = result.user
+  req.accessToken = result.accessToken
+  next()
+}
+
 // Verify JWT token middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -21,8 +140,11 @@ const authenticateToken = async (req, res, next) => {
       })
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const user = await User.findById(decoded.userId).select("-password")
+    if (isPersonalAccessToken(token)) {
+      return await authenticateAccessToken(req, res, next, token)
+    }
+
+    const { user, decoded } = await verifyAccessToken(token)
 
     if (!user) {
       return res.status(401).json({
@@ -36,6 +158,7 @@ const authenticateToken = async (req, res, next) => {
     await user.save()
 
     req.user = user
+    req.sessionId = decoded.sid
     next()
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -50,6 +173,15 @@ const authenticateToken = async (req, res, next) => {
         message: "Token expired",
       })
     }
+    if (error.name === "TokenRevokedError") {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      })
+    }
+    if (error.name === "AccountSuspendedError") {
+      return sendSuspendedResponse(res, error.user)
+    }
 
     console.error("Auth middleware error:", error)
     res.status(500).json({
@@ -65,11 +197,18 @@ const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization
     const token = authHeader && authHeader.split(" ")[1]
 
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      const user = await User.findById(decoded.userId).select("-password")
+    if (isPersonalAccessToken(token)) {
+      const result = await verifyPersonalAccessToken(token)
+      const scope = requiredScope(req)
+      if (result && scope && result.accessToken.scopes.includes(scope) && !result.user.isSuspended()) {
+        req.user = result.user
+        req.accessToken = result.accessToken
+      }
+    } else if (token) {
+      const { user, decoded } = await verifyAccessToken(token)
       if (user) {
         req.user = user
+        req.sessionId = decoded.sid
       }
     }
     next()
@@ -79,23 +218,78 @@ const optionalAuth = async (req, res, next) => {
   }
 }
 
+const platformRoleHierarchy = {
+  user: 1,
+  moderator: 2,
+  admin: 3,
+}
+
+const hasPlatformRole = (user, requiredRole) => {
+  return platformRoleHierarchy[user.role || "user"] >= platformRoleHierarchy[requiredRole]
+}
+
+// Restrict a route to platform staff with at least the given role
+const requirePlatformRole = (requiredRole) => {
+  return (req, res, next) => {
+    if (!req.user || !hasPlatformRole(req.user, requiredRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied - platform ${requiredRole} role required`,
+      })
+    }
+    next()
+  }
+}
+
+// Capsule owners can require their admins to use two-factor authentication
+const isAdminTwoFactorSatisfied = (capsule, user) => {
+  return !capsule.settings.requireAdminTwoFactor || Boolean(user.twoFactor && user.twoFactor.enabled)
+}
+
+const roleHierarchy = {
+  viewer: 1,
+  contributor: 2,
+  admin: 3,
+  owner: 4,
+}
+
+// Whether a capsule role (as returned by getMemberRole) reaches the required one
+const hasCapsuleRole = (role, requiredRole) => Boolean(role) && roleHierarchy[role] >= roleHierarchy[requiredRole]
+
 // Check if user is capsule owner or admin
 const checkCapsulePermission = (requiredRole = "contributor") => {
   return async (req, res, next) => {
     try {
       const Capsule = require("../models/Capsule")
-      const capsule = await Capsule.findById(req.params.capsuleId)
+      const capsule = await Capsule.findById(req.params.capsuleId || req.params.id)
 
-      if (!capsule) {
+      // Capsules in the trash are only reachable through the trash routes
+      if (!capsule || capsule.deletedAt) {
         return res.status(404).json({
           success: false,
           message: "Capsule not found",
         })
       }
 
+      if (!capsule.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: "This capsule has been deactivated",
+        })
+      }
+
+      // Admin actions through a personal access token need the admin scope
+      if (roleHierarchy[requiredRole] >= roleHierarchy.admin && !hasScope(req, "capsules:admin")) {
+        return res.status(403).json({
+          success: false,
+          message: "Access token lacks the capsules:admin scope",
+        })
+      }
+
       // Check if user is owner
       if (capsule.owner.toString() === req.user._id.toString()) {
         req.userRole = "owner"
+        req.capsule = capsule
         return next()
       }
 
@@ -110,17 +304,17 @@ const checkCapsulePermission = (requiredRole = "contributor") => {
       }
 
       // Check role permissions
-      const roleHierarchy = {
-        viewer: 1,
-        contributor: 2,
-        admin: 3,
-        owner: 4,
+      if (!hasCapsuleRole(contributor.role, requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied - ${requiredRole} role required`,
+        })
       }
 
-      if (roleHierarchy[contributor.role] < roleHierarchy[requiredRole]) {
+      if (roleHierarchy[requiredRole] >= roleHierarchy.admin && !isAdminTwoFactorSatisfied(capsule, req.user)) {
         return res.status(403).json({
           success: false,
-          message: `Access denied - ${requiredRole} role required`,
+          message: "Access denied - two-factor authentication is required for admins of this capsule",
         })
       }
 
@@ -139,7 +333,14 @@ const checkCapsulePermission = (requiredRole = "contributor") => {
 
 module.exports = {
   generateToken,
+  verifyAccessToken,
   authenticateToken,
   optionalAuth,
   checkCapsulePermission,
+  hasCapsuleRole,
+  isAdminTwoFactorSatisfied,
+  hasScope,
+  hasPlatformRole,
+  requirePlatformRole,
+  sendSuspendedResponse,
 }
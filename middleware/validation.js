@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require("express-validator")
+const PersonalAccessToken = require("../models/PersonalAccessToken")
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -13,15 +14,19 @@ const handleValidationErrors = (req, res, next) => {
   next()
 }
 
+// Password strength rules shared by every endpoint that sets a password
+const passwordRules = (field = "password") =>
+  body(field)
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage("Password must contain at least one lowercase letter, one uppercase letter, and one number")
+
 // User validation rules
 const validateUserRegistration = [
   body("name").trim().isLength({ min: 2, max: 50 }).withMessage("Name must be between 2 and 50 characters"),
   body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
-  body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters long")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage("Password must contain at least one lowercase letter, one uppercase letter, and one number"),
+  passwordRules("password"),
   handleValidationErrors,
 ]
 
@@ -31,6 +36,110 @@ const validateUserLogin = [
   handleValidationErrors,
 ]
 
+const validateForgotPassword = [
+  body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
+  handleValidationErrors,
+]
+
+const validatePasswordReset = [
+  body("token").notEmpty().withMessage("Reset token is required"),
+  passwordRules("password"),
+  handleValidationErrors,
+]
+
+const validatePasswordChange = [
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+  passwordRules("newPassword"),
+  handleValidationErrors,
+]
+
+const validateAccountDeletion = [
+  body("contributions")
+    .optional()
+    .isIn(["delete", "anonymize"])
+    .withMessage("Contributions must be either delete or anonymize"),
+  body("capsules").optional().isIn(["transfer", "delete"]).withMessage("Capsules must be either transfer or delete"),
+  handleValidationErrors,
+]
+
+const validateAccessTokenCreation = [
+  body("name").trim().isLength({ min: 1, max: 50 }).withMessage("Name must be between 1 and 50 characters"),
+  body("scopes").isArray({ min: 1 }).withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(PersonalAccessToken.SCOPES)
+    .withMessage(`Scopes must be among: ${PersonalAccessToken.SCOPES.join(", ")}`),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry must be a valid date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Expiry must be in the future"),
+  handleValidationErrors,
+]
+
+// Magic link validation rules
+const validateMagicLinkRequest = [
+  body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+  body("capsuleId").optional().isMongoId().withMessage("Invalid capsule ID"),
+  body("inviteCode").optional().isString().withMessage("Invalid invite code"),
+  handleValidationErrors,
+]
+
+const validateMagicLinkVerify = [
+  body("token").notEmpty().withMessage("Token is required"),
+  body("browserToken").notEmpty().withMessage("Browser token is required"),
+  handleValidationErrors,
+]
+
+// Admin console validation
+const moderationReason = () =>
+  body("reason").trim().isLength({ min: 1, max: 500 }).withMessage("Reason must be between 1 and 500 characters")
+
+const validateModerationReason = [moderationReason(), handleValidationErrors]
+
+const validateSuspension = [
+  moderationReason(),
+  body("until")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Suspension end must be a valid date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Suspension end must be in the future"),
+  handleValidationErrors,
+]
+
+const validatePlatformRole = [
+  body("role").isIn(["user", "moderator", "admin"]).withMessage("Role must be user, moderator or admin"),
+  handleValidationErrors,
+]
+
+// Filters go straight into MongoDB queries, so anything but plain strings is rejected
+const validateAdminUserQuery = [
+  query("search").optional().isString().withMessage("Search must be a string"),
+  query("role").optional().isIn(["user", "moderator", "admin"]).withMessage("Role must be user, moderator or admin"),
+  query("status")
+    .optional()
+    .isIn(["active", "suspended", "banned"])
+    .withMessage("Status must be active, suspended or banned"),
+  handleValidationErrors,
+]
+
+const validateAdminCapsuleQuery = [
+  query("search").optional().isString().withMessage("Search must be a string").trim(),
+  query("isActive").optional().isString().bail().isBoolean().withMessage("isActive must be a boolean").toBoolean(),
+  handleValidationErrors,
+]
+
+const validateAuditLogQuery = [
+  query("action").optional().isString().withMessage("Action must be a string"),
+  handleValidationErrors,
+]
+
 // Capsule validation rules
 const validateCapsuleCreation = [
   body("title").trim().isLength({ min: 1, max: 100 }).withMessage("Title must be between 1 and 100 characters"),
@@ -50,6 +159,48 @@ const validateCapsuleCreation = [
     .optional()
     .isIn(["default", "vintage", "modern", "nature", "space", "ocean"])
     .withMessage("Invalid theme"),
+  body("templateId").optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage("Invalid template"),
+  handleValidationErrors,
+]
+
+const validateCapsuleClone = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Title must be between 1 and 100 characters"),
+  body("releaseDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (value <= new Date()) {
+        throw new Error("Release date must be in the future")
+      }
+      return true
+    }),
+  body(["copySettings", "copyContributors", "copyMemories"])
+    .optional()
+    .isBoolean()
+    .withMessage("Copy options must be booleans")
+    .toBoolean(),
+  handleValidationErrors,
+]
+
+const validateTemplateCreation = [
+  body("name").trim().isLength({ min: 1, max: 50 }).withMessage("Name must be between 1 and 50 characters"),
+  body("description").optional().trim().isLength({ max: 500 }).withMessage("Description cannot exceed 500 characters"),
+  body("includeMemories").optional().isBoolean().withMessage("includeMemories must be a boolean").toBoolean(),
+  handleValidationErrors,
+]
+
+const validateCapsuleUpdate = [
+  body("settings.releaseReminderDays")
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Reminder days must be between 0 and 365")
+    .toInt(),
+  body("settings.emailOnRelease").optional().isBoolean().withMessage("emailOnRelease must be a boolean").toBoolean(),
   handleValidationErrors,
 ]
 
@@ -64,6 +215,19 @@ const validateMemoryCreation = [
     .isLength({ max: 2000 })
     .withMessage("Text cannot exceed 2000 characters"),
   body("text").optional().isLength({ max: 2000 }).withMessage("Text cannot exceed 2000 characters"),
+  body("unlockAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Unlock date must be a valid date")
+    .toDate()
+    .custom((value) => {
+      if (value <= new Date()) {
+        throw new Error("Unlock date must be in the future")
+      }
+      return true
+    }),
+  body("unlockAudience").optional().isArray({ max: 50 }).withMessage("Unlock audience can list up to 50 members"),
+  body("unlockAudience.*").isMongoId().withMessage("Invalid unlock audience member"),
   handleValidationErrors,
 ]
 
@@ -73,13 +237,115 @@ const validateComment = [
   handleValidationErrors,
 ]
 
+const validateCapsuleTransfer = [
+  body("userId").isMongoId().withMessage("Invalid user ID"),
+  handleValidationErrors,
+]
+
+const validateMemberRole = [
+  body("role").isIn(["admin", "contributor", "viewer"]).withMessage("Role must be admin, contributor or viewer"),
+  handleValidationErrors,
+]
+
+const validateJoinCapsule = [
+  body("message")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage("Message cannot exceed 300 characters"),
+  handleValidationErrors,
+]
+
+const validateJoinRequestQuery = [
+  query("status").optional().isIn(["pending", "approved", "rejected"]).withMessage("Invalid status"),
+  handleValidationErrors,
+]
+
+const validateInviteCreation = [
+  body("role").optional().isIn(["contributor", "viewer"]).withMessage("Role must be contributor or viewer"),
+  body("maxUses")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Maximum uses must be between 1 and 1000")
+    .toInt(),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry must be a valid date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Expiry must be in the future"),
+  handleValidationErrors,
+]
+
+const validateInvitations = [
+  body("emails").isArray({ min: 1, max: 20 }).withMessage("Provide between 1 and 20 email addresses"),
+  body("emails.*").isEmail().normalizeEmail().withMessage("Please provide valid email addresses"),
+  body("role").optional().isIn(["contributor", "viewer"]).withMessage("Role must be contributor or viewer"),
+  handleValidationErrors,
+]
+
+const validateInvitationQuery = [
+  query("status").optional().isIn(["pending", "accepted", "declined"]).withMessage("Invalid status"),
+  handleValidationErrors,
+]
+
+const validatePublicShare = [
+  body("enabled").isBoolean().withMessage("enabled must be a boolean").toBoolean(),
+  handleValidationErrors,
+]
+
 // Parameter validation
 const validateObjectId = (paramName) => [
   param(paramName).isMongoId().withMessage(`Invalid ${paramName} ID`),
   handleValidationErrors,
 ]
 
+const validateShareSlug = [
+  param("slug").matches(/^[a-z0-9-]{1,80}$/).withMessage("Invalid share link"),
+  handleValidationErrors,
+]
+
 // Query validation
+const validateObjectIdQuery = (...names) => [
+  ...names.map((name) => query(name).optional().isMongoId().withMessage(`Invalid ${name} ID`)),
+  handleValidationErrors,
+]
+
+const validateExploreQuery = [
+  query("search")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+  query("tag").optional().isString().withMessage("Invalid tag").trim().toLowerCase(),
+  query("theme")
+    .optional()
+    .isIn(["default", "vintage", "modern", "nature", "space", "ocean"])
+    .withMessage("Invalid theme"),
+  query("sort")
+    .optional()
+    .isIn(["relevant", "newest", "active", "memories"])
+    .withMessage("Sort must be relevant, newest, active or memories"),
+  handleValidationErrors,
+]
+
+const validateSearchQuery = [
+  query("q").optional().isString().trim().isLength({ max: 100 }).withMessage("Search cannot exceed 100 characters"),
+  query("type")
+    .optional()
+    .isIn(["image", "video", "audio", "text", "voice"])
+    .withMessage("Invalid memory type"),
+  query("author").optional().isMongoId().withMessage("Invalid author ID"),
+  query("capsule").optional().isMongoId().withMessage("Invalid capsule ID"),
+  query("from").optional().isISO8601().withMessage("from must be a valid date"),
+  query("to").optional().isISO8601().withMessage("to must be a valid date"),
+  query("cursor").optional().isString().isLength({ max: 200 }).withMessage("Invalid cursor"),
+  query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  handleValidationErrors,
+]
+
 const validatePagination = [
   query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
   query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
@@ -89,10 +355,38 @@ const validatePagination = [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateAccountDeletion,
+  validateAccessTokenCreation,
+  validateModerationReason,
+  validateSuspension,
+  validatePlatformRole,
+  validateAdminUserQuery,
+  validateAdminCapsuleQuery,
+  validateAuditLogQuery,
   validateCapsuleCreation,
+  validateCapsuleClone,
+  validateTemplateCreation,
+  validateCapsuleUpdate,
+  validateCapsuleTransfer,
+  validateMemberRole,
+  validateJoinCapsule,
+  validateJoinRequestQuery,
+  validateInviteCreation,
+  validateInvitations,
+  validateInvitationQuery,
+  validatePublicShare,
   validateMemoryCreation,
   validateComment,
   validateObjectId,
+  validateShareSlug,
   validatePagination,
+  validateObjectIdQuery,
+  validateExploreQuery,
+  validateSearchQuery,
   handleValidationErrors,
 }
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose")
+
+// Record of an action taken by platform staff. Entries are append-only: the
+// hooks below reject every update and delete issued through Mongoose.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actorRole: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true, // e.g. "user.suspend", "capsule.deactivate"
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Capsule"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    reason: {
+      type: String,
+    },
+    changes: {
+      type: mongoose.Schema.Types.Mixed, // { field: { from, to } }
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+const rejectChange = function (next) {
+  next(new Error("Audit log entries are append-only"))
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next)
+  next()
+})
+
+auditLogSchema.pre(["updateOne", "deleteOne"], { document: true, query: true }, rejectChange)
+auditLogSchema.pre(
+  ["updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteMany", "findOneAndDelete"],
+  rejectChange,
+)
+
+// Index for efficient queries
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ target: 1, createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
@@ -1,3 +1,4 @@
+const crypto = require("crypto")
 const mongoose = require("mongoose")
 
 const capsuleSchema = new mongoose.Schema(
@@ -52,6 +53,10 @@ const capsuleSchema = new mongoose.Schema(
         return this.type === "timed"
       },
     },
+    // Set by the release job once a timed capsule opens
+    releasedAt: {
+      type: Date,
+    },
     theme: {
       type: String,
       enum: ["default", "vintage", "modern", "nature", "space", "ocean"],
@@ -72,11 +77,42 @@ const capsuleSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set while the capsule is in its owner's trash; it is purged after purgeAfter
+    deletedAt: {
+      type: Date,
+    },
+    purgeAfter: {
+      type: Date,
+    },
+    purgingAt: {
+      type: Date,
+      select: false,
+    },
+    // Ownership offered to a member, waiting for them to accept
+    pendingTransfer: {
+      to: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      requestedAt: {
+        type: Date,
+      },
+    },
     inviteCode: {
       type: String,
       unique: true,
       sparse: true,
     },
+    // Read-only page for people without an account, served under /api/public
+    publicShare: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      slug: {
+        type: String,
+      },
+    },
     settings: {
       allowPublicDiscovery: {
         type: Boolean,
@@ -94,6 +130,37 @@ const capsuleSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      requireVerifiedMembers: {
+        type: Boolean,
+        default: false,
+      },
+      requireAdminTwoFactor: {
+        type: Boolean,
+        default: false,
+      },
+      // The invite code can create accounts through a magic link
+      allowMagicLinkSignup: {
+        type: Boolean,
+        default: false,
+      },
+      // Role given to people who join
+      defaultRole: {
+        type: String,
+        enum: ["contributor", "viewer"],
+        default: "contributor",
+      },
+      // Timed capsules: remind members this many days before release (0 = off)
+      releaseReminderDays: {
+        type: Number,
+        min: [0, "Reminder days cannot be negative"],
+        max: [365, "Reminder days cannot exceed 365"],
+        default: 0,
+      },
+      // Timed capsules: email members on release and reminder, not only notify them
+      emailOnRelease: {
+        type: Boolean,
+        default: false,
+      },
     },
     stats: {
       totalMemories: {
@@ -118,7 +185,7 @@ const capsuleSchema = new mongoose.Schema(
 // Generate unique invite code
 capsuleSchema.pre("save", function (next) {
   if (!this.inviteCode) {
-    this.inviteCode = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15)
+    this.inviteCode = crypto.randomBytes(16).toString("base64url")
   }
   next()
 })
@@ -129,4 +196,15 @@ capsuleSchema.pre("save", function (next) {
   next()
 })
 
+// Index for the trash listing and purge job
+capsuleSchema.index({ owner: 1, deletedAt: 1 })
+capsuleSchema.index({ purgeAfter: 1 }, { sparse: true })
+capsuleSchema.index({ "publicShare.slug": 1 }, { unique: true, sparse: true })
+
+// Full-text search on the explore page; title matches rank highest
+capsuleSchema.index(
+  { title: "text", description: "text", tags: "text" },
+  { name: "capsule_text", weights: { title: 10, tags: 5, description: 1 } },
+)
+
 module.exports = mongoose.model("Capsule", capsuleSchema)
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+
+// Invitation sent to an email address. People who do not have an account yet
+// join automatically when they sign up with the invited address.
+const capsuleInvitationSchema = new mongoose.Schema(
+  {
+    capsule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Capsule",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["contributor", "viewer"],
+      default: "contributor",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined"],
+      default: "pending",
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One open invitation per address and capsule
+capsuleInvitationSchema.index(
+  { capsule: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } },
+)
+
+// Index for efficient queries
+capsuleInvitationSchema.index({ email: 1, status: 1 })
+capsuleInvitationSchema.index({ capsule: 1, status: 1, createdAt: -1 })
+
+module.exports = mongoose.model("CapsuleInvitation", capsuleInvitationSchema)
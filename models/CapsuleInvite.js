@@ -0,0 +1,59 @@
+const mongoose = require("mongoose")
+
+// Shareable link that lets people join a capsule by its code alone. Each link
+// carries its own role, expiry and usage limit and can be revoked.
+const capsuleInviteSchema = new mongoose.Schema(
+  {
+    capsule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Capsule",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    role: {
+      type: String,
+      enum: ["contributor", "viewer"],
+      default: "contributor",
+    },
+    // Empty for links without a usage limit
+    maxUses: {
+      type: Number,
+      min: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+capsuleInviteSchema.methods.isUsable = function () {
+  return (
+    !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (!this.maxUses || this.uses < this.maxUses)
+  )
+}
+
+// Index for efficient queries
+capsuleInviteSchema.index({ capsule: 1, createdAt: -1 })
+
+module.exports = mongoose.model("CapsuleInvite", capsuleInviteSchema)
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose")
+
+// Capsule structure saved by a user to start new capsules from. Only its
+// creator can see and use it; built-in templates live in config/capsuleTemplates.js.
+const capsuleTemplateSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [50, "Template name cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    // Capsule the template was saved from, for reference only
+    sourceCapsule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Capsule",
+    },
+    theme: {
+      type: String,
+      enum: ["default", "vintage", "modern", "nature", "space", "ocean"],
+      default: "default",
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Same keys as Capsule.settings
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Added to new capsules as starter text memories
+    prompts: [
+      {
+        title: {
+          type: String,
+          maxlength: [100, "Title cannot exceed 100 characters"],
+        },
+        text: {
+          type: String,
+          required: true,
+          maxlength: [2000, "Text cannot exceed 2000 characters"],
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for efficient queries
+capsuleTemplateSchema.index({ owner: 1, createdAt: -1 })
+
+module.exports = mongoose.model("CapsuleTemplate", capsuleTemplateSchema)
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+
+// A personal data archive requested by a user. The ZIP file is kept in
+// Cloudinary (storageKey) or, under tests, on local disk (filePath) until
+// expiresAt, when the scheduler removes both file and document.
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    filePath: {
+      type: String,
+    },
+    storageKey: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+    // Media that could not be downloaded is listed instead of failing the export
+    skippedMedia: [
+      {
+        type: String,
+      },
+    ],
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+dataExportSchema.methods.isDownloadable = function () {
+  return this.status === "ready" && this.expiresAt > new Date()
+}
+
+dataExportSchema.methods.toJSON = function () {
+  const exportObject = this.toObject()
+  delete exportObject.filePath
+  delete exportObject.storageKey
+  return exportObject
+}
+
+// Index for efficient queries
+dataExportSchema.index({ user: 1, createdAt: -1 })
+dataExportSchema.index({ status: 1, expiresAt: 1 })
+
+module.exports = mongoose.model("DataExport", dataExportSchema)
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+// Request to join a capsule whose settings require admin approval
+const joinRequestSchema = new mongoose.Schema(
+  {
+    capsule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Capsule",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Message cannot exceed 300 characters"],
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One open request per user and capsule
+joinRequestSchema.index(
+  { capsule: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } },
+)
+
+// Index for efficient queries
+joinRequestSchema.index({ capsule: 1, status: 1, createdAt: -1 })
+joinRequestSchema.index({ user: 1, capsule: 1, decidedAt: -1 })
+
+module.exports = mongoose.model("JoinRequest", joinRequestSchema)
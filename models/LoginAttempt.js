@@ -0,0 +1,32 @@
+const mongoose = require("mongoose")
+
+// Failed login counter shared by every server instance. Keys look like
+// "email:jane@example.com" or "ip:203.0.113.7".
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Counters disappear once they have been quiet long enough
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema)
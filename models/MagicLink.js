@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+// A pending passwordless sign-in. The emailed link only works together with
+// the browser secret handed to the device that asked for it, and only once.
+const magicLinkSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    // Empty when the link will create the account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    browserSecretHash: {
+      type: String,
+      required: true,
+    },
+    // Sign-up through a capsule invite: the capsule to join and the new account's name
+    capsule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Capsule",
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    usedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Expired links are removed by MongoDB automatically
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("MagicLink", magicLinkSchema)
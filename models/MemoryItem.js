@@ -22,7 +22,14 @@ const commentSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.anonymized
+      },
+    },
+    // Set when the author deleted their account but kept their contributions
+    anonymized: {
+      type: Boolean,
+      default: false,
     },
     text: {
       type: String,
@@ -61,7 +68,14 @@ const memoryItemSchema = new mongoose.Schema(
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.anonymized
+      },
+    },
+    // Set when the author deleted their account but kept their contributions
+    anonymized: {
+      type: Boolean,
+      default: false,
     },
     type: {
       type: String,
@@ -125,6 +139,21 @@ const memoryItemSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // "Open when" memories stay locked for everyone but their author until unlockAt
+    unlockAt: {
+      type: Date,
+    },
+    // When set, the memory only ever opens for these members
+    unlockAudience: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Set by the unlock job once members have been told
+    unlockedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -136,4 +165,10 @@ memoryItemSchema.index({ capsule: 1, createdAt: -1 })
 memoryItemSchema.index({ author: 1 })
 memoryItemSchema.index({ type: 1 })
 
+// Full-text search across a user's capsules (GET /api/search)
+memoryItemSchema.index(
+  { title: "text", text: "text", tags: "text", "location.name": "text", "comments.text": "text" },
+  { name: "memory_text", weights: { title: 10, tags: 5, "location.name": 3, text: 2, "comments.text": 1 } },
+)
+
 module.exports = mongoose.model("MemoryItem", memoryItemSchema)
@@ -7,14 +7,28 @@ const notificationSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Empty for system notifications
     sender: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
     },
     type: {
       type: String,
-      enum: ["capsule_invite", "new_memory", "new_comment", "new_reaction", "capsule_shared", "user_joined"],
+      enum: [
+        "capsule_invite",
+        "new_memory",
+        "new_comment",
+        "new_reaction",
+        "capsule_shared",
+        "user_joined",
+        "security_alert",
+        "data_export_ready",
+        "capsule_transfer",
+        "join_request",
+        "capsule_released",
+        "capsule_release_reminder",
+        "memory_unlocked",
+      ],
       required: true,
     },
     title: {
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose")
+
+const ACCESS_TOKEN_SCOPES = [
+  "capsules:read",
+  "capsules:write",
+  "capsules:admin",
+  "memories:read",
+  "memories:write",
+  "upload",
+]
+
+// Long-lived credential for scripts and integrations. Only the SHA-256 hash of
+// the token is stored; the plain value is shown once when it is created.
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [50, "Token name cannot exceed 50 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token, so users can recognise it in the list
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: ACCESS_TOKEN_SCOPES,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+personalAccessTokenSchema.methods.toJSON = function () {
+  const tokenObject = this.toObject()
+  delete tokenObject.tokenHash
+  return tokenObject
+}
+
+// Index for efficient queries
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 })
+
+const PersonalAccessToken = mongoose.model("PersonalAccessToken", personalAccessTokenSchema)
+PersonalAccessToken.SCOPES = ACCESS_TOKEN_SCOPES
+
+module.exports = PersonalAccessToken
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose")
+
+// Work that has to happen at a given time, kept in the database so that it
+// survives restarts. Each capsule (or memory) has at most one job of each
+// type; moving the date reschedules that job instead of adding another.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["capsule_release", "capsule_release_reminder", "memory_unlock"],
+      required: true,
+    },
+    capsule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Capsule",
+      required: true,
+    },
+    // Only for jobs about a single memory
+    memory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MemoryItem",
+      default: null,
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "done", "failed"],
+      default: "pending",
+    },
+    // Set when an instance claims the job; a stale lock is taken over
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for efficient queries
+scheduledJobSchema.index({ type: 1, capsule: 1, memory: 1 }, { unique: true })
+scheduledJobSchema.index({ status: 1, runAt: 1 })
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema)
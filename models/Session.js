@@ -0,0 +1,61 @@
+const mongoose = require("mongoose")
+
+// A session is one signed-in device. Its refresh tokens form a single family:
+// every rotation replaces refreshTokenHash and keeps the old hash so that a
+// replayed token can be detected and the whole family revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    rotatedTokenHashes: [
+      {
+        type: String,
+      },
+    ],
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Index for efficient queries
+sessionSchema.index({ refreshTokenHash: 1 })
+sessionSchema.index({ rotatedTokenHashes: 1 })
+sessionSchema.index({ user: 1, revokedAt: 1 })
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("Session", sessionSchema)
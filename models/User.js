@@ -19,7 +19,7 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: function () {
-        return !this.googleId // Password required only if not OAuth user
+        return !this.googleId && !this.passwordless // Password required only if not OAuth or magic-link user
       },
       minlength: [6, "Password must be at least 6 characters"],
     },
@@ -32,8 +32,14 @@ const userSchema = new mongoose.Schema(
       maxlength: [200, "Bio cannot exceed 200 characters"],
       default: "",
     },
+    // Created through a magic link; signs in by email until a password is set
+    passwordless: {
+      type: Boolean,
+      default: false,
+    },
     googleId: {
       type: String,
+      unique: true,
       sparse: true, // Allows multiple null values
     },
     joinedCapsules: [
@@ -52,6 +58,60 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Platform-wide role, unrelated to roles inside a capsule
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    status: {
+      type: String,
+      enum: ["active", "suspended", "banned"],
+      default: "active",
+    },
+    statusReason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    suspendedUntil: {
+      type: Date, // Empty for an indefinite suspension
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String,
+      pendingSecret: String, // Awaiting confirmation with a first code
+      recoveryCodes: [String], // SHA-256 hashes, removed once used
+      lastUsedStep: Number, // Rejects replay of an already used code
+      enabledAt: Date,
+    },
+    // Embedded in every access token; incrementing it revokes all of them
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    passwordResetTokenHash: {
+      type: String,
+    },
+    passwordResetExpires: {
+      type: Date,
+    },
+    // Pending account deletion, carried out by the scheduler once the grace period ends
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      contributions: {
+        type: String,
+        enum: ["delete", "anonymize"],
+      },
+      capsules: {
+        type: String,
+        enum: ["transfer", "delete"],
+      },
+      processingAt: Date, // Claimed by a scheduler run
+    },
     lastActive: {
       type: Date,
       default: Date.now,
@@ -62,6 +122,8 @@ const userSchema = new mongoose.Schema(
   },
 )
 
+userSchema.index({ "deletion.scheduledFor": 1 }, { sparse: true })
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next()
@@ -81,11 +143,23 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+// Banned accounts stay locked; suspensions end by themselves at suspendedUntil
+userSchema.methods.isSuspended = function () {
+  if (this.status === "banned") return true
+  return this.status === "suspended" && (!this.suspendedUntil || this.suspendedUntil > new Date())
+}
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject()
+  userObject.googleLinked = Boolean(userObject.googleId)
   delete userObject.password
   delete userObject.googleId
+  userObject.twoFactorEnabled = Boolean(userObject.twoFactor && userObject.twoFactor.enabled)
+  delete userObject.twoFactor
+  delete userObject.passwordResetTokenHash
+  delete userObject.passwordResetExpires
+  if (userObject.deletion) delete userObject.deletion.processingAt
   return userObject
 }
 
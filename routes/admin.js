@@ -0,0 +1,1224 @@
+const express = require("express")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const AuditLog = require("../models/AuditLog")
+const { requirePlatformRole, hasPlatformRole } = require("../middleware/auth")
+const {
+  validateObjectId,
+  validatePagination,
+  validateModerationReason,
+  validateSuspension,
+  validatePlatformRole,
+  validateAdminUserQuery,
+  validateAdminCapsuleQuery,
+  validateAuditLogQuery,
+  validateObjectIdQuery,
+} = require("../middleware/validation")
+const { invalidateUserTokens, getActiveSessions } = require("../services/sessionService")
+const { recordAdminAction } = require("../services/auditLog")
+const { scheduleRelease } = require("../services/capsuleRelease")
+const { scheduleCapsuleUnlocks } = require("../services/memoryUnlock")
+
+const router = express.Router()
+
+// Every admin route needs at least the moderator role
+router.use(requirePlatformRole("moderator"))
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const paginate = (req, defaultLimit = 20) => {
+  const page = Number.parseInt(req.query.page) || 1
+  const limit = Number.parseInt(req.query.limit) || defaultLimit
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+// Staff can only act on accounts with a lower platform role than their own
+const canManage = (actor, target) => {
+  return actor._id.toString() !== target._id.toString() && !hasPlatformRole(target, actor.role)
+}
+
+const loadManagedUser = async (req, res) => {
+  const user = await User.findById(req.params.id)
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    })
+    return null
+  }
+
+  if (!canManage(req.user, user)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied - you cannot manage this account",
+    })
+    return null
+  }
+
+  return user
+}
+
+const statusChanges = (user, previous) => ({
+  status: { from: previous.status, to: user.status },
+  suspendedUntil: { from: previous.suspendedUntil, to: user.suspendedUntil },
+})
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Platform administration (moderator or admin role required)
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, banned]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Moderator role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/users", validatePagination, validateAdminUserQuery, async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req)
+    const query = {}
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i")
+      query.$or = [{ name: pattern }, { email: pattern }]
+    }
+    if (req.query.role) query.role = req.query.role
+    if (req.query.status) query.status = req.query.status
+
+    const users = await User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit)
+    const total = await User.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Admin list users error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get users",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user with account statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         capsulesOwned:
+ *                           type: number
+ *                         capsulesJoined:
+ *                           type: number
+ *                         memoriesCreated:
+ *                           type: number
+ *                         activeSessions:
+ *                           type: number
+ *       403:
+ *         description: Moderator role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/users/:id", validateObjectId("id"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const [capsulesOwned, capsulesJoined, memoriesCreated, activeSessions] = await Promise.all([
+      Capsule.countDocuments({ owner: user._id }),
+      Capsule.countDocuments({ "contributors.user": user._id }),
+      MemoryItem.countDocuments({ author: user._id }),
+      getActiveSessions(user._id).then((sessions) => sessions.length),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        stats: {
+          capsulesOwned,
+          capsulesJoined,
+          memoriesCreated,
+          activeSessions,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Admin get user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get user",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend an account
+ *     description: Blocks sign-in until the given date (or indefinitely) and revokes every token and socket of the user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the suspension; omit for an indefinite suspension
+ *     responses:
+ *       200:
+ *         description: Account suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to manage this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/users/:id/suspend", validateObjectId("id"), validateSuspension, async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res)
+    if (!user) return
+
+    if (user.status === "banned") {
+      return res.status(400).json({
+        success: false,
+        message: "Account is already banned",
+      })
+    }
+
+    const previous = { status: user.status, suspendedUntil: user.suspendedUntil }
+    user.status = "suspended"
+    user.statusReason = req.body.reason
+    user.suspendedUntil = req.body.until ? new Date(req.body.until) : undefined
+    await user.save()
+
+    await invalidateUserTokens(user, "account_suspended", req.io)
+    await recordAdminAction(req, {
+      action: "user.suspend",
+      targetType: "User",
+      target: user._id,
+      reason: req.body.reason,
+      changes: statusChanges(user, previous),
+    })
+
+    res.json({
+      success: true,
+      message: "Account suspended",
+      data: { user },
+    })
+  } catch (error) {
+    console.error("Admin suspend user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to suspend account",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/ban:
+ *   post:
+ *     summary: Ban an account
+ *     description: Permanently blocks sign-in and revokes every token and socket of the user. Admin role required.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account banned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required or not allowed to manage this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/users/:id/ban",
+  requirePlatformRole("admin"),
+  validateObjectId("id"),
+  validateModerationReason,
+  async (req, res) => {
+    try {
+      const user = await loadManagedUser(req, res)
+      if (!user) return
+
+      const previous = { status: user.status, suspendedUntil: user.suspendedUntil }
+      user.status = "banned"
+      user.statusReason = req.body.reason
+      user.suspendedUntil = undefined
+      await user.save()
+
+      await invalidateUserTokens(user, "account_banned", req.io)
+      await recordAdminAction(req, {
+        action: "user.ban",
+        targetType: "User",
+        target: user._id,
+        reason: req.body.reason,
+        changes: statusChanges(user, previous),
+      })
+
+      res.json({
+        success: true,
+        message: "Account banned",
+        data: { user },
+      })
+    } catch (error) {
+      console.error("Admin ban user error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to ban account",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reinstate:
+ *   post:
+ *     summary: Lift a suspension or ban
+ *     description: Moderators can lift suspensions; lifting a ban needs the admin role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account reinstated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Account is not suspended or banned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to manage this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/users/:id/reinstate", validateObjectId("id"), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res)
+    if (!user) return
+
+    if (user.status === "active") {
+      return res.status(400).json({
+        success: false,
+        message: "Account is not suspended or banned",
+      })
+    }
+
+    if (user.status === "banned" && !hasPlatformRole(req.user, "admin")) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied - platform admin role required",
+      })
+    }
+
+    const previous = { status: user.status, suspendedUntil: user.suspendedUntil }
+    user.status = "active"
+    user.statusReason = undefined
+    user.suspendedUntil = undefined
+    await user.save()
+
+    await recordAdminAction(req, {
+      action: "user.reinstate",
+      targetType: "User",
+      target: user._id,
+      reason: req.body.reason,
+      changes: statusChanges(user, previous),
+    })
+
+    res.json({
+      success: true,
+      message: "Account reinstated",
+      data: { user },
+    })
+  } catch (error) {
+    console.error("Admin reinstate user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reinstate account",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change the platform role of a user
+ *     description: Admin role required. Admins cannot change their own role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required or not allowed to manage this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/users/:id/role",
+  requirePlatformRole("admin"),
+  validateObjectId("id"),
+  validatePlatformRole,
+  async (req, res) => {
+    try {
+      const user = await loadManagedUser(req, res)
+      if (!user) return
+
+      const previousRole = user.role
+      user.role = req.body.role
+      await user.save()
+
+      await recordAdminAction(req, {
+        action: "user.role",
+        targetType: "User",
+        target: user._id,
+        changes: { role: { from: previousRole, to: user.role } },
+      })
+
+      res.json({
+        success: true,
+        message: "Role updated",
+        data: { user },
+      })
+    } catch (error) {
+      console.error("Admin change role error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to change role",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/admin/capsules:
+ *   get:
+ *     summary: List and search all capsules
+ *     description: Includes private and deactivated capsules
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches title or description
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Capsules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Capsule'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Moderator role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/capsules",
+  validatePagination,
+  validateAdminCapsuleQuery,
+  validateObjectIdQuery("owner"),
+  async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req)
+      const query = {}
+
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(req.query.search), "i")
+        query.$or = [{ title: pattern }, { description: pattern }]
+      }
+      if (req.query.isActive !== undefined) query.isActive = req.query.isActive
+      if (req.query.owner) query.owner = req.query.owner
+
+      const capsules = await Capsule.find(query)
+        .populate("owner", "name email avatarUrl")
+        .select("-content")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      const total = await Capsule.countDocuments(query)
+
+      res.json({
+        success: true,
+        data: {
+          capsules,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Admin list capsules error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to get capsules",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/admin/capsules/{id}:
+ *   get:
+ *     summary: View any capsule for support
+ *     description: Read-only view of a capsule and its memories. Every view is recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Capsule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *       403:
+ *         description: Moderator role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/capsules/:id", validateObjectId("id"), async (req, res) => {
+  try {
+    const capsule = await Capsule.findById(req.params.id)
+      .populate("owner", "name email avatarUrl")
+      .populate("contributors.user", "name email avatarUrl")
+      .populate({
+        path: "content",
+        populate: [
+          { path: "author", select: "name avatarUrl" },
+          { path: "comments.user", select: "name avatarUrl" },
+        ],
+      })
+
+    if (!capsule) {
+      return res.status(404).json({
+        success: false,
+        message: "Capsule not found",
+      })
+    }
+
+    await recordAdminAction(req, {
+      action: "capsule.view",
+      targetType: "Capsule",
+      target: capsule._id,
+    })
+
+    res.json({
+      success: true,
+      data: { capsule },
+    })
+  } catch (error) {
+    console.error("Admin get capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/capsules/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a capsule
+ *     description: Hides the capsule from lists and blocks access for its members until it is reactivated
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Capsule deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error or capsule already inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Moderator role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/capsules/:id/deactivate", validateObjectId("id"), validateModerationReason, async (req, res) => {
+  try {
+    const capsule = await Capsule.findById(req.params.id)
+
+    if (!capsule) {
+      return res.status(404).json({
+        success: false,
+        message: "Capsule not found",
+      })
+    }
+
+    if (!capsule.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Capsule is already inactive",
+      })
+    }
+
+    capsule.isActive = false
+    await capsule.save()
+
+    await recordAdminAction(req, {
+      action: "capsule.deactivate",
+      targetType: "Capsule",
+      target: capsule._id,
+      reason: req.body.reason,
+      changes: { isActive: { from: true, to: false } },
+    })
+
+    // Close the live room of the capsule
+    const roomName = `capsule_${capsule._id}`
+    req.io.to(roomName).emit("capsule_deactivated", { capsule: capsule._id })
+    req.io.in(roomName).socketsLeave(roomName)
+
+    res.json({
+      success: true,
+      message: "Capsule deactivated",
+    })
+  } catch (error) {
+    console.error("Admin deactivate capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to deactivate capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/capsules/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a capsule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Capsule reactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Capsule is already active or in its owner's trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Moderator role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/capsules/:id/reactivate", validateObjectId("id"), async (req, res) => {
+  try {
+    const capsule = await Capsule.findById(req.params.id)
+
+    if (!capsule) {
+      return res.status(404).json({
+        success: false,
+        message: "Capsule not found",
+      })
+    }
+
+    if (capsule.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Capsule is already active",
+      })
+    }
+
+    // Deleted by its owner; only the owner can restore it from the trash
+    if (capsule.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Capsule is in its owner's trash",
+      })
+    }
+
+    capsule.isActive = true
+    await capsule.save()
+    await scheduleRelease(capsule)
+    await scheduleCapsuleUnlocks(capsule)
+
+    await recordAdminAction(req, {
+      action: "capsule.reactivate",
+      targetType: "Capsule",
+      target: capsule._id,
+      reason: req.body.reason,
+      changes: { isActive: { from: false, to: true } },
+    })
+
+    res.json({
+      success: true,
+      message: "Capsule reactivated",
+    })
+  } catch (error) {
+    console.error("Admin reactivate capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reactivate capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Browse the audit log
+ *     description: Newest entries first. Admin role required.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: "user.suspend"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLogEntry'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/audit-log",
+  requirePlatformRole("admin"),
+  validatePagination,
+  validateObjectIdQuery("actor", "target"),
+  validateAuditLogQuery,
+  async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req, 50)
+      const query = {}
+
+      if (req.query.actor) query.actor = req.query.actor
+      if (req.query.target) query.target = req.query.target
+      if (req.query.action) query.action = req.query.action
+
+      const entries = await AuditLog.find(query)
+        .populate("actor", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      const total = await AuditLog.countDocuments(query)
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Admin audit log error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to get audit log",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -1,17 +1,111 @@
 const express = require("express")
+const crypto = require("crypto")
 const bcrypt = require("bcryptjs")
+const passport = require("passport")
+const rateLimit = require("express-rate-limit")
 const User = require("../models/User")
-const { generateToken, authenticateToken } = require("../middleware/auth")
-const { validateUserRegistration, validateUserLogin } = require("../middleware/validation")
+const Session = require("../models/Session")
+const { authenticateToken, sendSuspendedResponse } = require("../middleware/auth")
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateObjectId,
+} = require("../middleware/validation")
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  invalidateUserTokens,
+  getActiveSessions,
+} = require("../services/sessionService")
+const { sendMail } = require("../services/mailService")
+const { notify } = require("../services/notificationService")
+const loginThrottle = require("../services/loginThrottle")
+const { generateSecret, verifyCode, otpauthUrl } = require("../services/totpService")
+const {
+  createChallengeToken,
+  readChallengeToken,
+  resetRecoveryCodes,
+  consumeSecondFactor,
+} = require("../services/twoFactorService")
+const { sendVerificationEmail, readVerificationToken } = require("../services/verificationService")
+const { clientUrl, passwordResetEmail } = require("../services/emailTemplates")
+const { requestMagicLink, consumeMagicLink, resolveMagicLinkUser } = require("../services/magicLinkService")
+const { acceptPendingInvitations } = require("../services/capsuleInvitations")
+const { createOAuthState, OAUTH_NONCE_COOKIE, oauthNonceCookieOptions } = require("../config/passport")
 
 const router = express.Router()
 
+const PASSWORD_RESET_TTL = 30 * 60 * 1000 // 30 minutes
+
+// Rate limiting for verification emails
+const verificationResendLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each user to 3 emails per windowMs
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: "Too many verification emails requested, please try again later",
+  },
+})
+
+// Rate limiting for password reset emails
+const passwordResetLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many password reset requests, please try again later",
+  },
+})
+
+// Rate limiting for magic link emails
+const magicLinkLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many magic link requests, please try again later",
+  },
+})
+
+// Google routes are only available when a Google strategy is registered
+const requireGoogleStrategy = (req, res, next) => {
+  if (!passport._strategy("google")) {
+    return res.status(503).json({
+      success: false,
+      message: "Google sign-in is not configured",
+    })
+  }
+  next()
+}
+
+// Count a failed login and warn the account owner when it gets locked
+const recordFailedLogin = async (req, identity, user) => {
+  const result = await loginThrottle.recordFailure(identity)
+
+  if (user && result.accountLocked) {
+    await notify(req.io, {
+      recipient: user._id,
+      type: "security_alert",
+      title: "Suspicious sign-in attempts",
+      message: `We blocked sign-in to your account for ${Math.ceil(result.retryAfter / 60)} minutes after ${result.failures} failed attempts (last from IP ${identity.ip}). If this wasn't you, consider changing your password.`,
+    }).catch((error) => console.error("Security notification error:", error))
+  }
+}
+
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account with email and password
+ *     description: Create a new user account with email and password. A verification email is sent to the address.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -59,7 +153,10 @@ const router = express.Router()
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: JWT token for authentication
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh token used to obtain new access tokens
  *       400:
  *         description: Bad request - validation error or user already exists
  *         content:
@@ -95,15 +192,21 @@ router.post("/register", validateUserRegistration, async (req, res) => {
 
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    // A mail failure should not block registration; the user can resend later
+    sendVerificationEmail(user).catch((mailError) => {
+      console.error("Verification email error:", mailError)
+    })
+
+    // Start a session and issue tokens
+    const { accessToken, refreshToken } = await createSession(user, req)
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
       data: {
         user: user.toJSON(),
-        token,
+        token: accessToken,
+        refreshToken,
       },
     })
   } catch (error) {
@@ -120,7 +223,7 @@ router.post("/register", validateUserRegistration, async (req, res) => {
  * /api/auth/login:
  *   post:
  *     summary: Login user
- *     description: Authenticate user with email and password
+ *     description: Authenticate user with email and password. When two-factor authentication is enabled the response carries `twoFactorRequired` and a `challengeToken` for `POST /api/auth/2fa/verify` instead of tokens.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -162,13 +265,28 @@ router.post("/register", validateUserRegistration, async (req, res) => {
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: JWT token for authentication
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh token used to obtain new access tokens
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked after repeated failures. See the Retry-After header.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts from this IP. See the Retry-After header.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -179,38 +297,59 @@ router.post("/register", validateUserRegistration, async (req, res) => {
 router.post("/login", validateUserLogin, async (req, res) => {
   try {
     const { email, password } = req.body
+    const identity = { email, ip: req.ip }
+
+    // Refuse early while the account or IP is locked out
+    const lock = await loginThrottle.checkLock(identity)
+    if (lock) {
+      return loginThrottle.sendLockedResponse(res, lock)
+    }
 
-    // Find user by email
+    // Find user by email and check password
     const user = await User.findOne({ email }).select("+password")
-    if (!user) {
+    const isPasswordValid = user ? await user.comparePassword(password) : false
+
+    if (!isPasswordValid) {
+      await recordFailedLogin(req, identity, user)
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       })
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password)
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user)
+    }
+
+    // Second step required, finished at /2fa/verify. The lockout counter is
+    // only cleared there, so the password alone cannot buy more code guesses.
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user),
+        },
       })
     }
 
+    await loginThrottle.recordSuccess(identity)
+
     // Update last active
     user.lastActive = new Date()
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Start a session and issue tokens
+    const { accessToken, refreshToken } = await createSession(user, req)
 
     res.json({
       success: true,
       message: "Login successful",
       data: {
         user: user.toJSON(),
-        token,
+        token: accessToken,
+        refreshToken,
       },
     })
   } catch (error) {
@@ -224,31 +363,39 @@ router.post("/login", validateUserLogin, async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user
- *     description: Retrieve the current authenticated user's information
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Email a single-use reset link that expires in 30 minutes. The response is the same whether or not the email belongs to an account.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
  *     responses:
  *       200:
- *         description: User information retrieved successfully
+ *         description: Reset email sent if the account exists
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many reset requests
  *         content:
  *           application/json:
  *             schema:
@@ -260,56 +407,78 @@ router.post("/login", validateUserLogin, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/me", authenticateToken, async (req, res) => {
+router.post("/forgot-password", passwordResetLimit, validateForgotPassword, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate("joinedCapsules", "title type coverImage stats.lastActivity")
-      .populate("createdCapsules", "title type coverImage stats.lastActivity")
+    const user = await User.findOne({ email: req.body.email })
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex")
+
+      user.passwordResetTokenHash = hashToken(token)
+      user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL)
+      await user.save()
+
+      await sendMail({ to: user.email, ...passwordResetEmail({ name: user.name, token }) })
+    }
 
     res.json({
       success: true,
-      data: { user },
+      message: "If an account exists for this email, a reset link has been sent",
     })
   } catch (error) {
-    console.error("Get user error:", error)
+    console.error("Forgot password error:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to get user data",
+      message: "Failed to request password reset",
     })
   }
 })
 
 /**
  * @swagger
- * /api/auth/profile:
- *   put:
- *     summary: Update user profile
- *     description: Update the current user's profile information
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Request a magic sign-in link
+ *     description: |
+ *       Email a single-use sign-in link that expires in 15 minutes. The response carries a `browserToken`
+ *       that the requesting device must keep and send with the link to `POST /api/auth/magic-link/verify`;
+ *       a link opened anywhere else is rejected. The response is the same whether or not the email belongs
+ *       to an account.
+ *
+ *       People without an account can sign up this way when they pass the `capsuleId` and `inviteCode` of
+ *       a capsule whose `allowMagicLinkSignup` setting is on. The account is created and joins the capsule
+ *       when the link is used, or asks to join when the capsule requires approval.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - email
  *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
  *               name:
  *                 type: string
- *                 description: User's full name
+ *                 minLength: 2
+ *                 maxLength: 50
+ *                 description: Name for the new account when signing up through an invite
  *                 example: "John Doe"
- *               bio:
+ *               capsuleId:
  *                 type: string
- *                 description: User's bio
- *                 example: "Memory enthusiast"
- *               avatarUrl:
+ *                 description: Capsule to join when signing up
+ *                 example: "507f1f77bcf86cd799439011"
+ *               inviteCode:
  *                 type: string
- *                 description: URL to user's avatar image
- *                 example: "https://res.cloudinary.com/example/image/upload/v123/avatar.jpg"
+ *                 description: The capsule's invite code
+ *                 example: "abc123def456"
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Link sent if the email may sign in
  *         content:
  *           application/json:
  *             schema:
@@ -320,14 +489,21 @@ router.get("/me", authenticateToken, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Profile updated successfully"
+ *                   example: "If this email can sign in, a link has been sent"
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *                     browserToken:
+ *                       type: string
+ *                       description: Secret to send back with the link from this device
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many magic link requests
  *         content:
  *           application/json:
  *             schema:
@@ -339,41 +515,34 @@ router.get("/me", authenticateToken, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/profile", authenticateToken, async (req, res) => {
+router.post("/magic-link", magicLinkLimit, validateMagicLinkRequest, async (req, res) => {
   try {
-    const { name, bio, avatarUrl } = req.body
-
-    const user = await User.findById(req.user._id)
-
-    if (name) user.name = name
-    if (bio !== undefined) user.bio = bio
-    if (avatarUrl) user.avatarUrl = avatarUrl
-
-    await user.save()
+    const browserToken = await requestMagicLink(req.body, req)
 
     res.json({
       success: true,
-      message: "Profile updated successfully",
-      data: { user: user.toJSON() },
+      message: "If this email can sign in, a link has been sent",
+      data: { browserToken },
     })
   } catch (error) {
-    console.error("Profile update error:", error)
+    console.error("Magic link request error:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to update profile",
+      message: "Failed to send magic link",
     })
   }
 })
 
 /**
  * @swagger
- * /api/auth/change-password:
+ * /api/auth/magic-link/verify:
  *   post:
- *     summary: Change user password
- *     description: Change the current user's password
+ *     summary: Sign in with a magic link
+ *     description: |
+ *       Use the token from the emailed link together with the `browserToken` returned when the link was
+ *       requested. Each link works once. When two-factor authentication is enabled the response carries
+ *       `twoFactorRequired` and a `challengeToken` for `POST /api/auth/2fa/verify` instead of tokens.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -381,21 +550,18 @@ router.put("/profile", authenticateToken, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - token
+ *               - browserToken
  *             properties:
- *               currentPassword:
+ *               token:
  *                 type: string
- *                 description: Current password
- *                 example: "oldpassword123"
- *               newPassword:
+ *                 description: Token from the emailed link
+ *               browserToken:
  *                 type: string
- *                 minLength: 6
- *                 description: New password (minimum 6 characters)
- *                 example: "newpassword123"
+ *                 description: Secret returned by `POST /api/auth/magic-link`
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Signed in
  *         content:
  *           application/json:
  *             schema:
@@ -406,15 +572,27 @@ router.put("/profile", authenticateToken, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Password changed successfully"
+ *                   example: "Login successful"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     accountCreated:
+ *                       type: boolean
+ *                       description: The link created this account
  *       400:
- *         description: Bad request - validation error or incorrect current password
+ *         description: Invalid, expired or already used link, or opened in another browser
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Account suspended or banned
  *         content:
  *           application/json:
  *             schema:
@@ -426,42 +604,1524 @@ router.put("/profile", authenticateToken, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/change-password", authenticateToken, async (req, res) => {
+router.post("/magic-link/verify", validateMagicLinkVerify, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body
+    const link = await consumeMagicLink(req.body.token, req.body.browserToken)
+    const { user, capsule, created } = link ? await resolveMagicLinkUser(link, req.io) : {}
 
-    if (!currentPassword || !newPassword) {
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: "Current password and new password are required",
+        message: "Invalid or expired magic link",
       })
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: "New password must be at least 6 characters long",
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user)
+    }
+
+    if (capsule) {
+      req.io.to(`capsule_${capsule._id}`).emit("user_joined", {
+        user: user.toJSON(),
+        capsule: capsule._id,
       })
     }
 
-    const user = await User.findById(req.user._id).select("+password")
+    // Second step required, finished at /2fa/verify
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user),
+        },
+      })
+    }
 
-    // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword)
-    if (!isCurrentPasswordValid) {
+    user.lastActive = new Date()
+    await user.save()
+
+    const { accessToken, refreshToken } = await createSession(user, req)
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: user.toJSON(),
+        token: accessToken,
+        refreshToken,
+        accountCreated: Boolean(created),
+      },
+    })
+  } catch (error) {
+    console.error("Magic link verify error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to sign in with magic link",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Set a new password with the token from the reset email. Signs the user out of every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the email
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: New password (mixed case and at least one number)
+ *                 example: "NewPassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error, or invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/reset-password", validatePasswordReset, async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    })
+
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: "Current password is incorrect",
+        message: "Invalid or expired reset token",
       })
     }
 
-    // Update password
-    user.password = newPassword
+    // Token is single-use
+    user.password = password
+    user.passwordless = false
+    user.passwordResetTokenHash = undefined
+    user.passwordResetExpires = undefined
     await user.save()
 
+    // Sign out everywhere
+    await invalidateUserTokens(user, "password_reset", req.io)
+
     res.json({
       success: true,
-      message: "Password changed successfully",
+      message: "Password reset successfully. Please log in with your new password.",
+    })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset password",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/verify/{token}:
+ *   get:
+ *     summary: Verify email address
+ *     description: Mark the account as verified using the token from the verification email, and join the capsules the address was invited to
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Email verified successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/verify/:token", async (req, res) => {
+  try {
+    const decoded = readVerificationToken(req.params.token)
+    const user = decoded && (await User.findById(decoded.userId))
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification link",
+      })
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true
+      await user.save()
+
+      // Join the capsules this address was invited to, now that it is proven
+      await acceptPendingInvitations(user, req.io)
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      data: { user: user.toJSON() },
+    })
+  } catch (error) {
+    console.error("Verify email error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify email",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/verify/resend:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Send a new verification email to the current user. Limited to 3 requests per hour.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Email already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many verification emails requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/verify/resend", authenticateToken, verificationResendLimit, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      })
+    }
+
+    await sendVerificationEmail(req.user)
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    })
+  } catch (error) {
+    console.error("Resend verification error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send verification email",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/google:
+ *   get:
+ *     summary: Sign in with Google
+ *     description: |
+ *       Redirect the browser to Google's consent screen. Pass the `state` returned by `POST /api/auth/google/link` to link Google to an existing account instead of signing in.
+ *       Without a `state` a sign-in state is created and bound to this browser with a short-lived `google_oauth_nonce` cookie.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Link state for account linking
+ *     responses:
+ *       302:
+ *         description: Redirect to Google
+ *       503:
+ *         description: Google sign-in is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/google", requireGoogleStrategy, (req, res, next) => {
+  let { state } = req.query
+
+  // Link states come with the nonce cookie set by POST /google/link
+  if (typeof state !== "string") {
+    const signIn = createOAuthState()
+    state = signIn.state
+    res.cookie(OAUTH_NONCE_COOKIE, signIn.nonce, oauthNonceCookieOptions())
+  }
+
+  passport.authenticate("google", {
+    scope: ["profile", "email"],
+    session: false,
+    state,
+  })(req, res, next)
+})
+
+/**
+ * @swagger
+ * /api/auth/google/callback:
+ *   get:
+ *     summary: Google OAuth callback
+ *     description: |
+ *       Completes Google sign-in and redirects to `CLIENT_URL/auth/callback`.
+ *       On sign-in the tokens are passed in the URL fragment (`#token=...&refreshToken=...`), or
+ *       `#challengeToken=...` when the account has two-factor authentication enabled.
+ *       After linking the redirect carries `?linked=google`, and failures carry `?error=<reason>`
+ *       (for example `account_exists` when the email belongs to a password account that has not linked Google yet,
+ *       or `invalid_state` when the flow was not started from this browser).
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect back to the client
+ */
+router.get("/google/callback", requireGoogleStrategy, (req, res, next) => {
+  passport.authenticate("google", { session: false }, async (error, result, info) => {
+    const callbackUrl = `${clientUrl()}/auth/callback`
+    const { maxAge, ...nonceCookie } = oauthNonceCookieOptions()
+    res.clearCookie(OAUTH_NONCE_COOKIE, nonceCookie)
+
+    try {
+      if (error) throw error
+
+      if (!result) {
+        const reason = (info && info.message) || "google_auth_failed"
+        return res.redirect(`${callbackUrl}?error=${encodeURIComponent(reason)}`)
+      }
+
+      if (result.linked) {
+        return res.redirect(`${callbackUrl}?linked=google`)
+      }
+
+      const { user } = result
+
+      if (user.isSuspended()) {
+        return res.redirect(`${callbackUrl}?error=account_${user.status}`)
+      }
+
+      if (user.twoFactor.enabled) {
+        const challenge = new URLSearchParams({ challengeToken: createChallengeToken(user) })
+        return res.redirect(`${callbackUrl}#${challenge.toString()}`)
+      }
+
+      user.lastActive = new Date()
+      await user.save()
+
+      const { accessToken, refreshToken } = await createSession(user, req)
+      const fragment = new URLSearchParams({ token: accessToken, refreshToken })
+
+      res.redirect(`${callbackUrl}#${fragment.toString()}`)
+    } catch (callbackError) {
+      console.error("Google callback error:", callbackError)
+      res.redirect(`${callbackUrl}?error=google_auth_failed`)
+    }
+  })(req, res, next)
+})
+
+/**
+ * @swagger
+ * /api/auth/google/link:
+ *   post:
+ *     summary: Start linking a Google account
+ *     description: |
+ *       Returns the URL the browser should open to attach a Google identity to the current account.
+ *       The response also sets a short-lived `google_oauth_nonce` cookie, so the request must be made with
+ *       credentials and the URL opened in the same browser; the link expires after 10 minutes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Link URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "/api/auth/google?state=eyJhbGciOi..."
+ *       400:
+ *         description: A Google account is already linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Google sign-in is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/google/link", authenticateToken, requireGoogleStrategy, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (user.googleId) {
+      return res.status(400).json({
+        success: false,
+        message: "A Google account is already linked",
+      })
+    }
+
+    const { state, nonce } = createOAuthState(user._id)
+
+    res.cookie(OAUTH_NONCE_COOKIE, nonce, oauthNonceCookieOptions())
+    res.json({
+      success: true,
+      data: { url: `/api/auth/google?state=${encodeURIComponent(state)}` },
+    })
+  } catch (error) {
+    console.error("Google link error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to start Google linking",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/google/link:
+ *   delete:
+ *     summary: Unlink Google account
+ *     description: Detach the Google identity from the current account. Requires the account to have a password so it stays reachable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Google account unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: No Google account linked, or the account has no password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/google/link", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (!user.googleId) {
+      return res.status(400).json({
+        success: false,
+        message: "No Google account is linked",
+      })
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: "Set a password before unlinking Google",
+      })
+    }
+
+    user.googleId = undefined
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Google account unlinked",
+      data: { user: user.toJSON() },
+    })
+  } catch (error) {
+    console.error("Google unlink error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlink Google account",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and refresh token. Each refresh token can be used once; reusing a rotated token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token from login, register or a previous refresh
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Replacement refresh token
+ *       400:
+ *         description: Bad request - refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, reused or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      })
+    }
+
+    const tokens = await rotateSession(refreshToken, req)
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+      },
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    console.error("Refresh token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to refresh token",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Revoke the session of the current access token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      const session = await Session.findById(req.sessionId)
+      if (session && !session.revokedAt) {
+        await revokeSession(session, "logout", req.io)
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to logout",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Retrieve the devices where the current user is signed in
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           ip:
+ *                             type: string
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             description: Whether this is the session making the request
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id)
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toObject(),
+          current: session._id.toString() === req.sessionId,
+        })),
+      },
+    })
+  } catch (error) {
+    console.error("Get sessions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get sessions",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Sign out one of the current user's devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Bad request - invalid session ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/sessions/:id", authenticateToken, validateObjectId("id"), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    })
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      })
+    }
+
+    await revokeSession(session, "revoked", req.io)
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchange the challenge token returned by login for tokens, using an authenticator code or a recovery code
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token from `POST /api/auth/login`
+ *               code:
+ *                 type: string
+ *                 description: 6-digit authenticator code
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, instead of `code`
+ *                 example: "4f9a-1c2e-b7d0"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    const challenge = readChallengeToken(challengeToken)
+    const user = challenge && (await User.findById(challenge.userId))
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge",
+      })
+    }
+
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user)
+    }
+
+    // Code guessing counts against the same lockout as passwords
+    const identity = { email: user.email, ip: req.ip }
+    const lock = await loginThrottle.checkLock(identity)
+    if (lock) {
+      return loginThrottle.sendLockedResponse(res, lock)
+    }
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(req, identity, user)
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    await loginThrottle.recordSuccess(identity)
+
+    user.lastActive = new Date()
+    await user.save()
+
+    const { accessToken, refreshToken } = await createSession(user, req)
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: user.toJSON(),
+        token: accessToken,
+        refreshToken,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      },
+    })
+  } catch (error) {
+    console.error("Two-factor verify error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Login failed",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/enroll:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generate a new authenticator secret. Two-factor authentication is enabled once the secret is confirmed with a code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauthUrl:
+ *                       type: string
+ *                       description: URL to render as a QR code
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/2fa/enroll", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      })
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save()
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: otpauthUrl(user.email, secret),
+      },
+    })
+  } catch (error) {
+    console.error("Two-factor enroll error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to start two-factor enrollment",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Enable two-factor authentication with a code from the authenticator app. Returns one-time recovery codes, which are only shown once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: No enrollment in progress, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/2fa/confirm", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "No two-factor enrollment in progress",
+      })
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code)
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    user.twoFactor.enabled = true
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.lastUsedStep = step
+    user.twoFactor.enabledAt = new Date()
+    const recoveryCodes = resetRecoveryCodes(user)
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    console.error("Two-factor confirm error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to enable two-factor authentication",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes. Requires a current authenticator code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Two-factor authentication is not enabled, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/2fa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (!consumeSecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user)
+    await user.save()
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    console.error("Recovery codes error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to regenerate recovery codes",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turn off two-factor authentication. Requires the account password (when set) and an authenticator or recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Incorrect password or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/2fa/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    const user = await User.findById(req.user._id)
+
+    if (user.password && !(await user.comparePassword(password || ""))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      })
+    }
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    console.error("Two-factor disable error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to disable two-factor authentication",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user
+ *     description: Retrieve the current authenticated user's information
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/me", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate("joinedCapsules", "title type coverImage stats.lastActivity")
+      .populate("createdCapsules", "title type coverImage stats.lastActivity")
+
+    res.json({
+      success: true,
+      data: { user },
+    })
+  } catch (error) {
+    console.error("Get user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get user data",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   put:
+ *     summary: Update user profile
+ *     description: Update the current user's profile information
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: User's full name
+ *                 example: "John Doe"
+ *               bio:
+ *                 type: string
+ *                 description: User's bio
+ *                 example: "Memory enthusiast"
+ *               avatarUrl:
+ *                 type: string
+ *                 description: URL to user's avatar image
+ *                 example: "https://res.cloudinary.com/example/image/upload/v123/avatar.jpg"
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Profile updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/profile", authenticateToken, async (req, res) => {
+  try {
+    const { name, bio, avatarUrl } = req.body
+
+    const user = await User.findById(req.user._id)
+
+    if (name) user.name = name
+    if (bio !== undefined) user.bio = bio
+    if (avatarUrl) user.avatarUrl = avatarUrl
+
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: { user: user.toJSON() },
+    })
+  } catch (error) {
+    console.error("Profile update error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update profile",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change user password
+ *     description: Change the current user's password. Every previously issued token is revoked and connected sockets are disconnected; the response carries new tokens for the caller.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: Current password
+ *                 example: "oldpassword123"
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: New password (mixed case and at least one number)
+ *                 example: "NewPassword123"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password changed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: New access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: New refresh token
+ *       400:
+ *         description: Bad request - validation error or incorrect current password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/change-password", authenticateToken, validatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    const user = await User.findById(req.user._id).select("+password")
+
+    // Verify current password
+    const isCurrentPasswordValid = await user.comparePassword(currentPassword)
+    if (!isCurrentPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      })
+    }
+
+    // Update password
+    user.password = newPassword
+    await user.save()
+
+    // Every token issued before the change stops working, including this one,
+    // so the caller gets a fresh session
+    await invalidateUserTokens(user, "password_change", req.io)
+    const { accessToken, refreshToken } = await createSession(user, req)
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: {
+        token: accessToken,
+        refreshToken,
+      },
     })
   } catch (error) {
     console.error("Change password error:", error)
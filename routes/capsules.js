@@ -2,11 +2,59 @@ const express = require("express")
 const Capsule = require("../models/Capsule")
 const MemoryItem = require("../models/MemoryItem")
 const User = require("../models/User")
-const { checkCapsulePermission } = require("../middleware/auth")
-const { validateCapsuleCreation, validateObjectId, validatePagination } = require("../middleware/validation")
+const JoinRequest = require("../models/JoinRequest")
+const CapsuleInvite = require("../models/CapsuleInvite")
+const CapsuleInvitation = require("../models/CapsuleInvitation")
+const CapsuleTemplate = require("../models/CapsuleTemplate")
+const { checkCapsulePermission, hasScope } = require("../middleware/auth")
+const {
+  validateCapsuleCreation,
+  validateCapsuleClone,
+  validateTemplateCreation,
+  validateCapsuleUpdate,
+  validateCapsuleTransfer,
+  validateMemberRole,
+  validateJoinCapsule,
+  validateJoinRequestQuery,
+  validateInviteCreation,
+  validateInvitations,
+  validateInvitationQuery,
+  validatePublicShare,
+  validateObjectId,
+  validatePagination,
+  validateExploreQuery,
+} = require("../middleware/validation")
+const { trashCapsule, restoreCapsule } = require("../services/capsuleTrash")
+const { scheduleRelease } = require("../services/capsuleRelease")
+const { scheduleCapsuleUnlocks } = require("../services/memoryUnlock")
+const {
+  listTemplates,
+  findTemplate,
+  addTemplatePrompts,
+  saveAsTemplate,
+  cloneCapsule,
+} = require("../services/capsuleCloning")
+const { getMemberRole, isSealedFor, presentMemory, sendSealedResponse } = require("../services/capsuleSealing")
+const { requestTransfer, acceptTransfer, cancelTransfer, syncCapsuleLists } = require("../services/capsuleTransfer")
+const {
+  rejectionCooldown,
+  createJoinRequest,
+  approveJoinRequest,
+  rejectJoinRequest,
+} = require("../services/joinRequestService")
+const { inviteUrl, createInvite, redeemInvite } = require("../services/capsuleInvites")
+const { inviteByEmail, respondToInvitation } = require("../services/capsuleInvitations")
+const { shareUrl, setPublicShare, rotatePublicSlug } = require("../services/publicShare")
+const { exploreCapsules } = require("../services/capsuleExplore")
 
 const router = express.Router()
 
+const publicShareData = (capsule) => ({
+  enabled: capsule.publicShare.enabled,
+  slug: capsule.publicShare.slug,
+  url: capsule.publicShare.slug ? shareUrl(capsule) : null,
+})
+
 /**
  * @swagger
  * /api/capsules:
@@ -168,6 +216,12 @@ router.get("/", validatePagination, async (req, res) => {
  *                   type: string
  *                 description: Capsule tags
  *                 example: ["summer", "vacation", "family"]
+ *               templateId:
+ *                 type: string
+ *                 description: |
+ *                   Built-in template ID or the ID of one of your templates. The template supplies the theme, tags,
+ *                   description and settings (fields in the request win) and adds its prompts as starter memories.
+ *                 example: "wedding"
  *     responses:
  *       201:
  *         description: Capsule created successfully
@@ -199,6 +253,12 @@ router.get("/", validatePagination, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -208,11 +268,26 @@ router.get("/", validatePagination, async (req, res) => {
  */
 router.post("/", validateCapsuleCreation, async (req, res) => {
   try {
-    const { title, description, type, releaseDate, theme, tags } = req.body
+    const { title, description, type, releaseDate, theme, tags, templateId } = req.body
+
+    let template = null
+    if (templateId) {
+      template = await findTemplate(templateId, req.user._id)
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        })
+      }
+    }
+
+    // Fields in the request win over the template
+    const defaults = template || {}
 
     const capsule = new Capsule({
       title,
-      description,
+      description: description !== undefined ? description : defaults.description,
       type,
       owner: req.user._id,
       contributors: [
@@ -222,11 +297,17 @@ router.post("/", validateCapsuleCreation, async (req, res) => {
         },
       ],
       releaseDate: type === "timed" ? releaseDate : undefined,
-      theme: theme || "default",
-      tags: tags || [],
+      theme: theme || defaults.theme || "default",
+      tags: tags || defaults.tags || [],
+      settings: defaults.settings,
     })
 
     await capsule.save()
+    await scheduleRelease(capsule)
+
+    if (template) {
+      await addTemplatePrompts(capsule, template, req.user._id)
+    }
 
     // Add to user's created capsules
     await User.findByIdAndUpdate(req.user._id, {
@@ -258,25 +339,26 @@ router.post("/", validateCapsuleCreation, async (req, res) => {
 
 /**
  * @swagger
- * /api/capsules/{id}:
- *   get:
- *     summary: Get capsule by ID
- *     description: Retrieve a specific capsule by its ID
+ * /api/capsules/join/{code}:
+ *   post:
+ *     summary: Join capsule with an invite link
+ *     description: |
+ *       Join the capsule an invite link belongs to, with the role the link grants. The link is an explicit
+ *       invitation, so capsules that require approval are joined directly.
  *     tags: [Capsules]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: code
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: Capsule ID
- *         example: "507f1f77bcf86cd799439012"
+ *         description: Code from the invite link
+ *         example: "q3Zk8f0TnW1yJxV7cR2bAg"
  *     responses:
  *       200:
- *         description: Capsule retrieved successfully
+ *         description: Successfully joined capsule
  *         content:
  *           application/json:
  *             schema:
@@ -285,17 +367,16 @@ router.post("/", validateCapsuleCreation, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Successfully joined capsule"
  *                 data:
  *                   type: object
  *                   properties:
  *                     capsule:
  *                       $ref: '#/components/schemas/Capsule'
- *                     userRole:
- *                       type: string
- *                       enum: [owner, admin, contributor, viewer]
- *                       description: User's role in this capsule
  *       400:
- *         description: Bad request - invalid capsule ID
+ *         description: Bad request - already a member
  *         content:
  *           application/json:
  *             schema:
@@ -307,13 +388,13 @@ router.post("/", validateCapsuleCreation, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - no access to capsule
+ *         description: Forbidden - capsule requires a verified email
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Capsule not found
+ *         description: Unknown code, or the link was revoked, expired or used up
  *         content:
  *           application/json:
  *             schema:
@@ -325,108 +406,95 @@ router.post("/", validateCapsuleCreation, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/:id", validateObjectId("id"), checkCapsulePermission("viewer"), async (req, res) => {
+router.post("/join/:code", async (req, res) => {
   try {
-    const capsule = await Capsule.findById(req.params.id)
-      .populate("owner", "name avatarUrl bio")
-      .populate("contributors.user", "name avatarUrl bio lastActive")
-      .populate({
-        path: "content",
-        populate: {
-          path: "author",
-          select: "name avatarUrl",
-        },
-        options: { sort: { createdAt: -1 } },
-      })
+    const invite = await CapsuleInvite.findOne({ code: req.params.code })
+    const capsule = invite && invite.isUsable() && (await Capsule.findById(invite.capsule))
 
-    if (!capsule) {
+    if (!capsule || !capsule.isActive) {
       return res.status(404).json({
         success: false,
-        message: "Capsule not found",
+        message: "This invite link is invalid or has expired",
       })
     }
 
-    // Check if capsule is timed and not yet released
-    if (capsule.type === "timed" && new Date() < capsule.releaseDate) {
-      // Only owner and admins can see unreleased timed capsules
-      if (req.userRole !== "owner" && req.userRole !== "admin") {
-        return res.status(403).json({
-          success: false,
-          message: "This capsule is not yet available",
-          releaseDate: capsule.releaseDate,
-        })
-      }
+    if (capsule.settings.requireVerifiedMembers && !req.user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email before joining this capsule",
+      })
+    }
+
+    const userId = req.user._id.toString()
+    if (capsule.owner.toString() === userId || capsule.contributors.some((c) => c.user.toString() === userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already a member of this capsule",
+      })
     }
 
+    // Another request may have used the last slot in the meantime
+    if (!(await redeemInvite(invite))) {
+      return res.status(404).json({
+        success: false,
+        message: "This invite link is invalid or has expired",
+      })
+    }
+
+    capsule.contributors.push({
+      user: req.user._id,
+      role: invite.role,
+    })
+
+    capsule.stats.lastActivity = new Date()
+    await capsule.save()
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { joinedCapsules: capsule._id },
+    })
+
+    await capsule.populate("contributors.user", "name avatarUrl")
+
+    req.io.to(`capsule_${capsule._id}`).emit("user_joined", {
+      user: req.user,
+      capsule: capsule._id,
+    })
+
     res.json({
       success: true,
-      data: { capsule, userRole: req.userRole },
+      message: "Successfully joined capsule",
+      data: { capsule },
     })
   } catch (error) {
-    console.error("Get capsule error:", error)
+    console.error("Join by invite error:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to get capsule",
+      message: "Failed to join capsule",
     })
   }
 })
 
+// Invitations go to an address, so only an account that proved it owns the
+// address may see or answer them
+const sendUnverifiedResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: "Please verify your email to see its invitations",
+  })
+}
+
 /**
  * @swagger
- * /api/capsules/{id}:
- *   put:
- *     summary: Update capsule
- *     description: Update a capsule (admin/owner only)
+ * /api/capsules/invitations:
+ *   get:
+ *     summary: List my capsule invitations
+ *     description: Pending email invitations sent to the current user's address
  *     tags: [Capsules]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: Capsule ID
- *         example: "507f1f77bcf86cd799439012"
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: Capsule title
- *                 example: "Updated Summer 2023"
- *               description:
- *                 type: string
- *                 description: Capsule description
- *                 example: "Updated memories from our summer vacation"
- *               theme:
- *                 type: string
- *                 description: Capsule theme
- *                 example: "ocean"
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Capsule tags
- *                 example: ["summer", "vacation", "family", "beach"]
- *               settings:
- *                 type: object
- *                 description: Capsule settings
- *                 properties:
- *                   allowPublicDiscovery:
- *                     type: boolean
- *                     example: true
- *                   allowComments:
- *                     type: boolean
- *                     example: true
  *     responses:
  *       200:
- *         description: Capsule updated successfully
+ *         description: Invitations retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -435,20 +503,13 @@ router.get("/:id", validateObjectId("id"), checkCapsulePermission("viewer"), asy
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Capsule updated successfully"
  *                 data:
  *                   type: object
  *                   properties:
- *                     capsule:
- *                       $ref: '#/components/schemas/Capsule'
- *       400:
- *         description: Bad request - invalid capsule ID
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CapsuleInvitation'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -456,13 +517,7 @@ router.get("/:id", validateObjectId("id"), checkCapsulePermission("viewer"), asy
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - insufficient permissions
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Capsule not found
+ *         description: Email address not verified yet
  *         content:
  *           application/json:
  *             schema:
@@ -474,78 +529,81 @@ router.get("/:id", validateObjectId("id"), checkCapsulePermission("viewer"), asy
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id", validateObjectId("id"), checkCapsulePermission("admin"), async (req, res) => {
+router.get("/invitations", async (req, res) => {
   try {
-    const { title, description, theme, tags, settings } = req.body
-
-    const capsule = await Capsule.findById(req.params.id)
+    if (!req.user.isVerified) return sendUnverifiedResponse(res)
 
-    if (title) capsule.title = title
-    if (description !== undefined) capsule.description = description
-    if (theme) capsule.theme = theme
-    if (tags) capsule.tags = tags
-    if (settings) capsule.settings = { ...capsule.settings, ...settings }
+    const invitations = await CapsuleInvitation.find({ email: req.user.email, status: "pending" })
+      .populate("capsule", "title description coverImage")
+      .populate("invitedBy", "name avatarUrl")
+      .sort({ createdAt: -1 })
 
-    capsule.stats.lastActivity = new Date()
-    await capsule.save()
+    res.json({
+      success: true,
+      data: { invitations },
+    })
+  } catch (error) {
+    console.error("Get my invitations error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get invitations",
+    })
+  }
+})
 
-    await capsule.populate("owner", "name avatarUrl")
-    await capsule.populate("contributors.user", "name avatarUrl")
+// Accept or decline an invitation sent to the current user's address
+const answerInvitation = (status) => async (req, res) => {
+  try {
+    if (!req.user.isVerified) return sendUnverifiedResponse(res)
 
-    // Emit to socket
-    req.io.to(`capsule_${capsule._id}`).emit("capsule_updated", {
-      capsule,
-      updatedBy: req.user,
+    const invitation = await CapsuleInvitation.findOne({
+      _id: req.params.invitationId,
+      email: req.user.email,
+      status: "pending",
     })
+    const updated = invitation && (await respondToInvitation(invitation, req.user, status, req.io))
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found",
+      })
+    }
 
     res.json({
       success: true,
-      message: "Capsule updated successfully",
-      data: { capsule },
+      message: `Invitation ${status}`,
+      data: { invitation: updated },
     })
   } catch (error) {
-    console.error("Update capsule error:", error)
+    console.error("Answer invitation error:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to update capsule",
+      message: "Failed to answer invitation",
     })
   }
-})
+}
 
 /**
  * @swagger
- * /api/capsules/{id}/join:
+ * /api/capsules/invitations/{invitationId}/accept:
  *   post:
- *     summary: Join capsule
- *     description: Join a capsule using invite code
+ *     summary: Accept a capsule invitation
+ *     description: Join with the invited role. Only the user the invitation was sent to can accept it.
  *     tags: [Capsules]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: invitationId
  *         required: true
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: Capsule ID
- *         example: "507f1f77bcf86cd799439012"
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - inviteCode
- *             properties:
- *               inviteCode:
- *                 type: string
- *                 description: Invite code for private capsules
- *                 example: "SUMMER2023"
+ *         description: Invitation ID
  *     responses:
  *       200:
- *         description: Successfully joined capsule
+ *         description: Invitation accepted
  *         content:
  *           application/json:
  *             schema:
@@ -556,14 +614,14 @@ router.put("/:id", validateObjectId("id"), checkCapsulePermission("admin"), asyn
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Successfully joined capsule"
+ *                   example: "Invitation accepted"
  *                 data:
  *                   type: object
  *                   properties:
- *                     capsule:
- *                       $ref: '#/components/schemas/Capsule'
+ *                     invitation:
+ *                       $ref: '#/components/schemas/CapsuleInvitation'
  *       400:
- *         description: Bad request - invalid capsule ID or invite code
+ *         description: Bad request - invalid invitation ID
  *         content:
  *           application/json:
  *             schema:
@@ -574,8 +632,14 @@ router.put("/:id", validateObjectId("id"), checkCapsulePermission("admin"), asyn
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email address not verified yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Capsule not found
+ *         description: No pending invitation with this ID for the current user
  *         content:
  *           application/json:
  *             schema:
@@ -587,79 +651,2897 @@ router.put("/:id", validateObjectId("id"), checkCapsulePermission("admin"), asyn
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/:id/join", validateObjectId("id"), async (req, res) => {
-  try {
-    const { inviteCode } = req.body
-
-    const capsule = await Capsule.findById(req.params.id)
-
-    if (!capsule) {
-      return res.status(404).json({
-        success: false,
-        message: "Capsule not found",
-      })
-    }
-
-    // Check invite code for private capsules
-    if (capsule.type === "private" && capsule.inviteCode !== inviteCode) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid invite code",
-      })
-    }
-
-    // Check if user is already a contributor
-    const isAlreadyContributor = capsule.contributors.some((c) => c.user.toString() === req.user._id.toString())
-
-    if (isAlreadyContributor) {
-      return res.status(400).json({
-        success: false,
-        message: "You are already a member of this capsule",
-      })
-    }
-
-    // Add user as contributor
-    capsule.contributors.push({
-      user: req.user._id,
-      role: "contributor",
-    })
-
-    capsule.stats.lastActivity = new Date()
-    await capsule.save()
-
-    // Add to user's joined capsules
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { joinedCapsules: capsule._id },
-    })
-
-    await capsule.populate("contributors.user", "name avatarUrl")
+router.post("/invitations/:invitationId/accept", validateObjectId("invitationId"), answerInvitation("accepted"))
+
+/**
+ * @swagger
+ * /api/capsules/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline a capsule invitation
+ *     description: Only the user the invitation was sent to can decline it.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation declined"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/CapsuleInvitation'
+ *       400:
+ *         description: Bad request - invalid invitation ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email address not verified yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No pending invitation with this ID for the current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/invitations/:invitationId/decline", validateObjectId("invitationId"), answerInvitation("declined"))
+
+/**
+ * @swagger
+ * /api/capsules/trash:
+ *   get:
+ *     summary: List capsules in the trash
+ *     description: Deleted capsules owned by the current user. Each can be restored until its `purgeAfter` date, after which it is removed permanently.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Trashed capsules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Capsule'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/trash", validatePagination, async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 10
+    const skip = (page - 1) * limit
+
+    const query = { owner: req.user._id, deletedAt: { $ne: null } }
+
+    const capsules = await Capsule.find(query).sort({ deletedAt: -1 }).skip(skip).limit(limit)
+    const total = await Capsule.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        capsules,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Get trash error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get deleted capsules",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/templates:
+ *   get:
+ *     summary: List capsule templates
+ *     description: Built-in templates (one for each theme) followed by the templates the current user saved.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CapsuleTemplate'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/templates", async (req, res) => {
+  try {
+    const templates = await listTemplates(req.user._id)
+
+    res.json({
+      success: true,
+      data: { templates },
+    })
+  } catch (error) {
+    console.error("Get templates error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get templates",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/templates/{templateId}:
+ *   delete:
+ *     summary: Delete a template
+ *     description: Delete one of your saved templates. Built-in templates cannot be deleted.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Bad request - invalid template ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/templates/:templateId", validateObjectId("templateId"), async (req, res) => {
+  try {
+    const template = await CapsuleTemplate.findOneAndDelete({ _id: req.params.templateId, owner: req.user._id })
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Template deleted",
+    })
+  } catch (error) {
+    console.error("Delete template error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete template",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}:
+ *   get:
+ *     summary: Get capsule by ID
+ *     description: Retrieve a specific capsule by its ID
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Capsule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *                     userRole:
+ *                       type: string
+ *                       enum: [owner, admin, contributor, viewer]
+ *                       description: User's role in this capsule
+ *       400:
+ *         description: Bad request - invalid capsule ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - no access to capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", validateObjectId("id"), checkCapsulePermission("viewer"), async (req, res) => {
+  try {
+    const capsule = await Capsule.findById(req.params.id)
+      .populate("owner", "name avatarUrl bio")
+      .populate("contributors.user", "name avatarUrl bio lastActive")
+      .populate({
+        path: "content",
+        populate: {
+          path: "author",
+          select: "name avatarUrl",
+        },
+        options: { sort: { createdAt: -1 } },
+      })
+
+    if (!capsule) {
+      return res.status(404).json({
+        success: false,
+        message: "Capsule not found",
+      })
+    }
+
+    // Only owner and admins can see unreleased timed capsules
+    if (isSealedFor(capsule, req.userRole)) {
+      return sendSealedResponse(res, capsule)
+    }
+
+    const capsuleData = capsule.toObject()
+    capsuleData.content = capsule.content.map((memory) => presentMemory(memory, req.user._id))
+
+    res.json({
+      success: true,
+      data: { capsule: capsuleData, userRole: req.userRole },
+    })
+  } catch (error) {
+    console.error("Get capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}:
+ *   put:
+ *     summary: Update capsule
+ *     description: Update a capsule (admin/owner only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Capsule title
+ *                 example: "Updated Summer 2023"
+ *               description:
+ *                 type: string
+ *                 description: Capsule description
+ *                 example: "Updated memories from our summer vacation"
+ *               theme:
+ *                 type: string
+ *                 description: Capsule theme
+ *                 example: "ocean"
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Capsule tags
+ *                 example: ["summer", "vacation", "family", "beach"]
+ *               settings:
+ *                 type: object
+ *                 description: Capsule settings
+ *                 properties:
+ *                   allowPublicDiscovery:
+ *                     type: boolean
+ *                     example: true
+ *                   allowComments:
+ *                     type: boolean
+ *                     example: true
+ *                   requireVerifiedMembers:
+ *                     type: boolean
+ *                     description: Only users with a verified email can join
+ *                     example: false
+ *                   requireAdminTwoFactor:
+ *                     type: boolean
+ *                     description: Admins must have two-factor authentication enabled to use admin actions (owner only)
+ *                     example: false
+ *                   allowMagicLinkSignup:
+ *                     type: boolean
+ *                     description: People without an account can sign up with a magic link and this capsule's invite code
+ *                     example: false
+ *                   defaultRole:
+ *                     type: string
+ *                     enum: [contributor, viewer]
+ *                     description: Role given to people who join
+ *                     example: "contributor"
+ *                   releaseReminderDays:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 365
+ *                     description: Timed capsules - remind members this many days before release (0 turns it off)
+ *                     example: 7
+ *                   emailOnRelease:
+ *                     type: boolean
+ *                     description: Timed capsules - also email members on release and reminder
+ *                     example: false
+ *     responses:
+ *       200:
+ *         description: Capsule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Capsule updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *       400:
+ *         description: Bad request - invalid capsule ID or settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateCapsuleUpdate,
+  async (req, res) => {
+    try {
+      const { title, description, theme, tags, settings } = req.body
+
+      // Only the owner decides whether admins need two-factor authentication
+      if (settings && settings.requireAdminTwoFactor !== undefined && req.userRole !== "owner") {
+        return res.status(403).json({
+          success: false,
+          message: "Only the capsule owner can change the two-factor requirement",
+        })
+      }
+
+      const capsule = await Capsule.findById(req.params.id)
+
+      if (title) capsule.title = title
+      if (description !== undefined) capsule.description = description
+      if (theme) capsule.theme = theme
+      if (tags) capsule.tags = tags
+      if (settings) capsule.settings = { ...capsule.settings, ...settings }
+
+      capsule.stats.lastActivity = new Date()
+      await capsule.save()
+
+      if (settings && settings.releaseReminderDays !== undefined) {
+        await scheduleRelease(capsule)
+      }
+
+      await capsule.populate("owner", "name avatarUrl")
+      await capsule.populate("contributors.user", "name avatarUrl")
+
+      // Emit to socket
+      req.io.to(`capsule_${capsule._id}`).emit("capsule_updated", {
+        capsule,
+        updatedBy: req.user,
+      })
+
+      res.json({
+        success: true,
+        message: "Capsule updated successfully",
+        data: { capsule },
+      })
+    } catch (error) {
+      console.error("Update capsule error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to update capsule",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}:
+ *   delete:
+ *     summary: Delete capsule
+ *     description: |
+ *       Move a capsule to the owner's trash (owner only). Members lose access right away and are removed
+ *       from the live room. The capsule can be restored for `CAPSULE_TRASH_DAYS` (30 by default); after
+ *       that it is permanently removed with its memories, notifications and media.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Capsule moved to the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Capsule moved to trash"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     purgeAfter:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the capsule will be permanently deleted
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the owner can delete the capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", validateObjectId("id"), checkCapsulePermission("owner"), async (req, res) => {
+  try {
+    await trashCapsule(req.capsule, req.io)
+
+    res.json({
+      success: true,
+      message: "Capsule moved to trash",
+      data: { purgeAfter: req.capsule.purgeAfter },
+    })
+  } catch (error) {
+    console.error("Delete capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/restore:
+ *   post:
+ *     summary: Restore capsule from the trash
+ *     description: Bring a deleted capsule back with its members and memories (owner only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Capsule restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Capsule restored"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - access token lacks the capsules:admin scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No deleted capsule with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The capsule is already being permanently deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/restore", validateObjectId("id"), async (req, res) => {
+  try {
+    if (!hasScope(req, "capsules:admin")) {
+      return res.status(403).json({
+        success: false,
+        message: "Access token lacks the capsules:admin scope",
+      })
+    }
+
+    const capsule = await Capsule.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: { $ne: null } })
+
+    if (!capsule) {
+      return res.status(404).json({
+        success: false,
+        message: "Deleted capsule not found",
+      })
+    }
+
+    const restored = await restoreCapsule(capsule)
+
+    if (!restored) {
+      return res.status(409).json({
+        success: false,
+        message: "Capsule is already being permanently deleted",
+      })
+    }
+
+    const restoredCapsule = await Capsule.findById(capsule._id)
+
+    // A release or unlocks that came due while the capsule was in the trash happen now
+    await scheduleRelease(restoredCapsule)
+    await scheduleCapsuleUnlocks(restoredCapsule)
+
+    res.json({
+      success: true,
+      message: "Capsule restored",
+      data: { capsule: restoredCapsule },
+    })
+  } catch (error) {
+    console.error("Restore capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/clone:
+ *   post:
+ *     summary: Clone a capsule
+ *     description: |
+ *       Create a new capsule owned by you from an existing one (admin). Description, theme and tags are always
+ *       copied; settings, members and memories only when asked for. Copied media is duplicated into the new
+ *       capsule. Memories that are still locked for you are skipped, and memories with an unlock audience are
+ *       only copied together with the members. Cloning a timed capsule needs a new `releaseDate`.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the original title followed by "(copy)"
+ *               releaseDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when cloning a timed capsule
+ *               copySettings:
+ *                 type: boolean
+ *                 default: false
+ *               copyContributors:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Members keep their roles; the original owner becomes an admin
+ *               copyMemories:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Capsule cloned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Capsule cloned"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *       400:
+ *         description: Bad request - validation error or missing release date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/clone",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateCapsuleClone,
+  async (req, res) => {
+    try {
+      if (req.capsule.type === "timed" && !req.body.releaseDate) {
+        return res.status(400).json({
+          success: false,
+          message: "A future release date is required to clone a timed capsule",
+        })
+      }
+
+      const capsule = await cloneCapsule(req.capsule, req.user, req.body)
+
+      res.status(201).json({
+        success: true,
+        message: "Capsule cloned",
+        data: { capsule },
+      })
+    } catch (error) {
+      console.error("Clone capsule error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to clone capsule",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/template:
+ *   post:
+ *     summary: Save a capsule as a template
+ *     description: |
+ *       Save the capsule's theme, tags, description and settings as one of your templates (admin). With
+ *       `includeMemories`, up to 20 of its text memories become starter prompts; locked memories never do.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Our wedding"
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Defaults to the capsule's description
+ *               includeMemories:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Template saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Template saved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     template:
+ *                       $ref: '#/components/schemas/CapsuleTemplate'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/template",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateTemplateCreation,
+  async (req, res) => {
+    try {
+      const template = await saveAsTemplate(req.capsule, req.user, req.body)
+
+      res.status(201).json({
+        success: true,
+        message: "Template saved",
+        data: { template },
+      })
+    } catch (error) {
+      console.error("Save template error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to save template",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/transfer:
+ *   post:
+ *     summary: Offer capsule ownership to a member
+ *     description: The owner nominates a member of the capsule. Nothing changes until the nominee accepts; a new nomination replaces a pending one.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Member to make the new owner
+ *                 example: "507f1f77bcf86cd799439011"
+ *     responses:
+ *       200:
+ *         description: Ownership offered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Bad request - the nominee is not a member of the capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the owner can transfer the capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/transfer",
+  validateObjectId("id"),
+  checkCapsulePermission("owner"),
+  validateCapsuleTransfer,
+  async (req, res) => {
+    try {
+      const capsule = req.capsule
+      const isMember =
+        req.body.userId !== capsule.owner.toString() &&
+        capsule.contributors.some((c) => c.user.toString() === req.body.userId)
+      const nominee = isMember && (await User.findById(req.body.userId))
+
+      if (!nominee) {
+        return res.status(400).json({
+          success: false,
+          message: "Ownership can only be transferred to a member of the capsule",
+        })
+      }
+
+      await requestTransfer(capsule, req.user, nominee, req.io)
+
+      res.json({
+        success: true,
+        message: "Ownership offered, waiting for the member to accept",
+      })
+    } catch (error) {
+      console.error("Transfer capsule error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to transfer capsule",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/transfer/accept:
+ *   post:
+ *     summary: Accept capsule ownership
+ *     description: The nominee becomes the owner and the previous owner stays on as an admin. Accepting again as the new owner is safe and repeats the update of the members' capsule lists.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "You are now the owner of this capsule"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a capsule member or the access token lacks the capsules:admin scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found or no transfer pending for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The offer changed while it was being accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/transfer/accept", validateObjectId("id"), checkCapsulePermission("viewer"), async (req, res) => {
+  try {
+    const { pendingTransfer } = req.capsule
+
+    // Accepting again after an interrupted accept finishes the user-side update
+    if (req.userRole === "owner" && !pendingTransfer) {
+      await syncCapsuleLists(req.capsule)
+      return res.json({
+        success: true,
+        message: "You are now the owner of this capsule",
+        data: { capsule: req.capsule },
+      })
+    }
+
+    if (!pendingTransfer || !pendingTransfer.to || pendingTransfer.to.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "No ownership transfer is pending for you",
+      })
+    }
+
+    if (!hasScope(req, "capsules:admin")) {
+      return res.status(403).json({
+        success: false,
+        message: "Access token lacks the capsules:admin scope",
+      })
+    }
+
+    const capsule = await acceptTransfer(req.capsule, req.user, req.io)
+
+    if (!capsule) {
+      return res.status(409).json({
+        success: false,
+        message: "The ownership offer is no longer valid",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "You are now the owner of this capsule",
+      data: { capsule },
+    })
+  } catch (error) {
+    console.error("Accept transfer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept ownership",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/transfer/decline:
+ *   post:
+ *     summary: Decline or withdraw an ownership transfer
+ *     description: The nominee declines the offer, or the owner withdraws it.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a capsule member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found or no transfer pending for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/transfer/decline", validateObjectId("id"), checkCapsulePermission("viewer"), async (req, res) => {
+  try {
+    const { pendingTransfer } = req.capsule
+    const userId = req.user._id.toString()
+
+    if (
+      !pendingTransfer ||
+      !pendingTransfer.to ||
+      (pendingTransfer.to.toString() !== userId && req.capsule.owner.toString() !== userId)
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "No ownership transfer is pending for you",
+      })
+    }
+
+    await cancelTransfer(req.capsule, req.user, req.io)
+
+    res.json({
+      success: true,
+      message: "Ownership transfer cancelled",
+    })
+  } catch (error) {
+    console.error("Decline transfer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel ownership transfer",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/join:
+ *   post:
+ *     summary: Join capsule
+ *     description: |
+ *       Join a capsule using invite code. When the capsule requires approval a join request is queued
+ *       for its admins instead and the response is `202`. After a rejection the user has to wait
+ *       `JOIN_REQUEST_COOLDOWN_HOURS` before asking again.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inviteCode
+ *             properties:
+ *               inviteCode:
+ *                 type: string
+ *                 description: Invite code for private capsules
+ *                 example: "SUMMER2023"
+ *               message:
+ *                 type: string
+ *                 maxLength: 300
+ *                 description: Note for the admins when the capsule requires approval
+ *                 example: "Hi, I'm Anna's cousin"
+ *     responses:
+ *       200:
+ *         description: Successfully joined capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Successfully joined capsule"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/Capsule'
+ *       202:
+ *         description: Join request queued for approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Join request sent. An admin will review it"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     joinRequest:
+ *                       $ref: '#/components/schemas/JoinRequest'
+ *       400:
+ *         description: Bad request - invalid capsule ID or invite code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - capsule requires a verified email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A join request is already pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: The last request was rejected recently. See the Retry-After header.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/join", validateObjectId("id"), validateJoinCapsule, async (req, res) => {
+  try {
+    const { inviteCode } = req.body
+
+    const capsule = await Capsule.findById(req.params.id)
+
+    if (!capsule || !capsule.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Capsule not found",
+      })
+    }
+
+    // Check invite code for private capsules
+    if (capsule.type === "private" && capsule.inviteCode !== inviteCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invite code",
+      })
+    }
+
+    // Owner can restrict joining to verified accounts
+    if (capsule.settings.requireVerifiedMembers && !req.user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email before joining this capsule",
+      })
+    }
+
+    // Owners are not listed as contributors after a transfer, so ask for the role
+    if (getMemberRole(capsule, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already a member of this capsule",
+      })
+    }
+
+    // Admins approve new members: queue a request instead of joining
+    if (capsule.settings.requireApproval) {
+      const retryAfter = await rejectionCooldown(capsule, req.user)
+
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter))
+        return res.status(429).json({
+          success: false,
+          message: "Your last request to join was declined. Please try again later",
+          retryAfter,
+        })
+      }
+
+      const pending = await JoinRequest.exists({ capsule: capsule._id, user: req.user._id, status: "pending" })
+
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: "You already asked to join this capsule",
+        })
+      }
+
+      const joinRequest = await createJoinRequest(capsule, req.user, req.body.message, req.io)
+
+      return res.status(202).json({
+        success: true,
+        message: "Join request sent. An admin will review it",
+        data: { joinRequest },
+      })
+    }
+
+    // Add user with the capsule's default role
+    capsule.contributors.push({
+      user: req.user._id,
+      role: capsule.settings.defaultRole || "contributor",
+    })
+
+    capsule.stats.lastActivity = new Date()
+    await capsule.save()
+
+    // Add to user's joined capsules
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { joinedCapsules: capsule._id },
+    })
+
+    await capsule.populate("contributors.user", "name avatarUrl")
+
+    // Emit to socket
+    req.io.to(`capsule_${capsule._id}`).emit("user_joined", {
+      user: req.user,
+      capsule: capsule._id,
+    })
+
+    res.json({
+      success: true,
+      message: "Successfully joined capsule",
+      data: { capsule },
+    })
+  } catch (error) {
+    console.error("Join capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to join capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invites:
+ *   post:
+ *     summary: Create an invite link
+ *     description: Create a link that lets people join by its code alone, with its own role, expiry and usage limit (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [contributor, viewer]
+ *                 description: Role granted to people who join; defaults to the capsule's default role
+ *                 example: "viewer"
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 description: How many people can join with the link; unlimited when omitted
+ *                 example: 10
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the link stops working; never when omitted
+ *     responses:
+ *       201:
+ *         description: Invite link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invite link created"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invite:
+ *                       $ref: '#/components/schemas/CapsuleInvite'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/invites",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateInviteCreation,
+  async (req, res) => {
+    try {
+      const invite = await createInvite(req.capsule, req.user, req.body)
+
+      res.status(201).json({
+        success: true,
+        message: "Invite link created",
+        data: { invite: { ...invite.toJSON(), url: inviteUrl(invite) } },
+      })
+    } catch (error) {
+      console.error("Create invite error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to create invite link",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invites:
+ *   get:
+ *     summary: List invite links
+ *     description: Every invite link of the capsule that has not been revoked, newest first (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Invite links retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invites:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CapsuleInvite'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/invites", validateObjectId("id"), checkCapsulePermission("admin"), async (req, res) => {
+  try {
+    const invites = await CapsuleInvite.find({ capsule: req.capsule._id, revokedAt: null })
+      .populate("createdBy", "name avatarUrl")
+      .sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: {
+        invites: invites.map((invite) => ({
+          ...invite.toJSON(),
+          url: inviteUrl(invite),
+          usable: invite.isUsable(),
+        })),
+      },
+    })
+  } catch (error) {
+    console.error("Get invites error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get invite links",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke an invite link
+ *     description: The link stops working immediately; members who already joined keep their access (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Invite link ID
+ *     responses:
+ *       200:
+ *         description: Invite link revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule or invite link not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/:id/invites/:inviteId",
+  validateObjectId("id"),
+  validateObjectId("inviteId"),
+  checkCapsulePermission("admin"),
+  async (req, res) => {
+    try {
+      const invite = await CapsuleInvite.findOneAndUpdate(
+        { _id: req.params.inviteId, capsule: req.capsule._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+      )
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite link not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Invite link revoked",
+      })
+    } catch (error) {
+      console.error("Revoke invite error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke invite link",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invitations:
+ *   post:
+ *     summary: Invite people by email
+ *     description: |
+ *       Email an invitation to each address (admin only). People with an account also get a
+ *       `capsule_invite` notification and can accept or decline. People without one join automatically
+ *       with the invited role when they register with that address. Members and addresses with a pending
+ *       invitation are skipped.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emails
+ *             properties:
+ *               emails:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                   format: email
+ *                 example: ["grandma@example.com", "uncle@example.com"]
+ *               role:
+ *                 type: string
+ *                 enum: [contributor, viewer]
+ *                 description: Role the invitees get; defaults to the capsule's default role
+ *                 example: "contributor"
+ *     responses:
+ *       201:
+ *         description: Invitations sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "2 invitations sent"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CapsuleInvitation'
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           email:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                             enum: [already_member, already_invited]
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/invitations",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateInvitations,
+  async (req, res) => {
+    try {
+      const { invitations, skipped } = await inviteByEmail(req.capsule, req.user, req.body, req.io)
+
+      res.status(201).json({
+        success: true,
+        message: `${invitations.length} invitation${invitations.length === 1 ? "" : "s"} sent`,
+        data: { invitations, skipped },
+      })
+    } catch (error) {
+      console.error("Send invitations error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to send invitations",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invitations:
+ *   get:
+ *     summary: List email invitations
+ *     description: Invitations sent for the capsule, newest first (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined]
+ *         description: Only invitations with this status
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CapsuleInvitation'
+ *       400:
+ *         description: Bad request - invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/:id/invitations",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateInvitationQuery,
+  async (req, res) => {
+    try {
+      const query = { capsule: req.capsule._id }
+      if (req.query.status) query.status = req.query.status
+
+      const invitations = await CapsuleInvitation.find(query)
+        .populate("invitedBy", "name avatarUrl")
+        .sort({ createdAt: -1 })
+
+      res.json({
+        success: true,
+        data: { invitations },
+      })
+    } catch (error) {
+      console.error("Get invitations error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to get invitations",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Cancel an email invitation
+ *     description: Withdraw a pending invitation (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule or pending invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/:id/invitations/:invitationId",
+  validateObjectId("id"),
+  validateObjectId("invitationId"),
+  checkCapsulePermission("admin"),
+  async (req, res) => {
+    try {
+      const invitation = await CapsuleInvitation.findOneAndDelete({
+        _id: req.params.invitationId,
+        capsule: req.capsule._id,
+        status: "pending",
+      })
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending invitation not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation cancelled",
+      })
+    } catch (error) {
+      console.error("Cancel invitation error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel invitation",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/invite-code/rotate:
+ *   post:
+ *     summary: Rotate the capsule's invite code
+ *     description: Replace the capsule's built-in invite code, e.g. after it leaked. The old code stops working immediately (admin only).
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Invite code rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invite code rotated"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inviteCode:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/invite-code/rotate", validateObjectId("id"), checkCapsulePermission("admin"), async (req, res) => {
+  try {
+    // The save hook generates a fresh code
+    req.capsule.inviteCode = undefined
+    await req.capsule.save()
+
+    res.json({
+      success: true,
+      message: "Invite code rotated",
+      data: { inviteCode: req.capsule.inviteCode },
+    })
+  } catch (error) {
+    console.error("Rotate invite code error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to rotate invite code",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/public-share:
+ *   put:
+ *     summary: Turn the capsule's public page on or off
+ *     description: |
+ *       A shared capsule can be read by anyone with its link, without an account, at
+ *       GET /api/public/capsules/{slug}. Private capsules cannot be shared. Turning the page off keeps
+ *       the slug, so turning it back on restores the same link (owner only).
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enabled
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Public page updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Public page enabled"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     slug:
+ *                       type: string
+ *                       example: "summer-2023-3f9a1c2b"
+ *                     url:
+ *                       type: string
+ *                       example: "https://memoryscape.app/p/summer-2023-3f9a1c2b"
+ *       400:
+ *         description: Validation error or the capsule is private
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the owner can share the capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/public-share",
+  validateObjectId("id"),
+  checkCapsulePermission("owner"),
+  validatePublicShare,
+  async (req, res) => {
+    try {
+      const { enabled } = req.body
+      if (enabled && req.capsule.type === "private") {
+        return res.status(400).json({
+          success: false,
+          message: "Private capsules cannot be shared publicly",
+        })
+      }
+
+      await setPublicShare(req.capsule, enabled)
+
+      res.json({
+        success: true,
+        message: enabled ? "Public page enabled" : "Public page disabled",
+        data: publicShareData(req.capsule),
+      })
+    } catch (error) {
+      console.error("Update public share error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to update public page",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/public-share/rotate:
+ *   post:
+ *     summary: Rotate the capsule's public link
+ *     description: Give the public page a new slug. The old link stops working immediately (owner only).
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Public link rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Public link rotated"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     slug:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the owner can rotate the public link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/public-share/rotate", validateObjectId("id"), checkCapsulePermission("owner"), async (req, res) => {
+  try {
+    await rotatePublicSlug(req.capsule)
+
+    res.json({
+      success: true,
+      message: "Public link rotated",
+      data: publicShareData(req.capsule),
+    })
+  } catch (error) {
+    console.error("Rotate public link error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to rotate public link",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/join-requests:
+ *   get:
+ *     summary: List join requests
+ *     description: Requests to join a capsule that requires approval (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: Only requests with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Join requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     joinRequests:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/JoinRequest'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/:id/join-requests",
+  validateObjectId("id"),
+  checkCapsulePermission("admin"),
+  validateJoinRequestQuery,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const query = { capsule: req.capsule._id, status: req.query.status || "pending" }
+
+      const joinRequests = await JoinRequest.find(query)
+        .populate("user", "name avatarUrl")
+        .populate("decidedBy", "name avatarUrl")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+      const total = await JoinRequest.countDocuments(query)
+
+      res.json({
+        success: true,
+        data: {
+          joinRequests,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Get join requests error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to get join requests",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/join-requests/{requestId}/approve:
+ *   post:
+ *     summary: Approve a join request
+ *     description: Adds the requester with the capsule's default role (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Join request ID
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Join request approved"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     joinRequest:
+ *                       $ref: '#/components/schemas/JoinRequest'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found or no pending request with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/join-requests/:requestId/approve",
+  validateObjectId("id"),
+  validateObjectId("requestId"),
+  checkCapsulePermission("admin"),
+  async (req, res) => {
+    try {
+      const joinRequest = await approveJoinRequest(req.capsule, req.params.requestId, req.user, req.io)
+
+      if (!joinRequest) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending join request not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Join request approved",
+        data: { joinRequest },
+      })
+    } catch (error) {
+      console.error("Approve join request error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to approve join request",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/join-requests/{requestId}/reject:
+ *   post:
+ *     summary: Reject a join request
+ *     description: The requester cannot ask again for `JOIN_REQUEST_COOLDOWN_HOURS` (admin only)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Join request ID
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Join request rejected"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     joinRequest:
+ *                       $ref: '#/components/schemas/JoinRequest'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found or no pending request with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/join-requests/:requestId/reject",
+  validateObjectId("id"),
+  validateObjectId("requestId"),
+  checkCapsulePermission("admin"),
+  async (req, res) => {
+    try {
+      const joinRequest = await rejectJoinRequest(req.capsule, req.params.requestId, req.user, req.io)
+
+      if (!joinRequest) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending join request not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Join request rejected",
+        data: { joinRequest },
+      })
+    } catch (error) {
+      console.error("Reject join request error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to reject join request",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/capsules/{id}/leave:
+ *   delete:
+ *     summary: Leave capsule
+ *     description: Leave a capsule (cannot leave if you are the owner)
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Successfully left capsule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Successfully left capsule"
+ *       400:
+ *         description: Bad request - invalid capsule ID or owner cannot leave
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a capsule member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id/leave", validateObjectId("id"), checkCapsulePermission("viewer"), async (req, res) => {
+  try {
+    const capsule = await Capsule.findById(req.params.id)
+
+    // Owner cannot leave their own capsule
+    if (capsule.owner.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Capsule owner cannot leave. Transfer ownership or delete the capsule instead.",
+      })
+    }
+
+    // Remove user from contributors
+    capsule.contributors = capsule.contributors.filter((c) => c.user.toString() !== req.user._id.toString())
+
+    capsule.stats.lastActivity = new Date()
+    await capsule.save()
+
+    // Remove from user's joined capsules
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { joinedCapsules: capsule._id },
+    })
 
     // Emit to socket
-    req.io.to(`capsule_${capsule._id}`).emit("user_joined", {
+    req.io.to(`capsule_${capsule._id}`).emit("user_left", {
       user: req.user,
       capsule: capsule._id,
     })
 
     res.json({
       success: true,
-      message: "Successfully joined capsule",
-      data: { capsule },
+      message: "Successfully left capsule",
     })
   } catch (error) {
-    console.error("Join capsule error:", error)
+    console.error("Leave capsule error:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to join capsule",
+      message: "Failed to leave capsule",
     })
   }
 })
 
+// Owners manage every member; admins only manage contributors and viewers
+const canManageMember = (req, member) => req.userRole === "owner" || member.role !== "admin"
+
+const findMember = (capsule, userId) => capsule.contributors.find((c) => c.user.toString() === userId)
+
 /**
  * @swagger
- * /api/capsules/{id}/leave:
- *   delete:
- *     summary: Leave capsule
- *     description: Leave a capsule (cannot leave if you are the owner)
+ * /api/capsules/{id}/members:
+ *   get:
+ *     summary: List capsule members
+ *     description: The owner followed by every member with their role
  *     tags: [Capsules]
  *     security:
  *       - bearerAuth: []
@@ -674,7 +3556,7 @@ router.post("/:id/join", validateObjectId("id"), async (req, res) => {
  *         example: "507f1f77bcf86cd799439012"
  *     responses:
  *       200:
- *         description: Successfully left capsule
+ *         description: Members retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -683,11 +3565,126 @@ router.post("/:id/join", validateObjectId("id"), async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Successfully left capsule"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     members:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           role:
+ *                             type: string
+ *                             enum: [owner, admin, contributor, viewer]
+ *                           joinedAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a capsule member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/members", validateObjectId("id"), checkCapsulePermission("viewer"), async (req, res) => {
+  try {
+    const capsule = req.capsule
+    await capsule.populate("owner", "name avatarUrl")
+    await capsule.populate("contributors.user", "name avatarUrl")
+
+    // Capsules created through the API also list their owner as an admin
+    const ownerId = capsule.owner._id.toString()
+    const members = [
+      { user: capsule.owner, role: "owner", joinedAt: capsule.createdAt },
+      ...capsule.contributors
+        .filter((c) => !c.user || c.user._id.toString() !== ownerId)
+        .map((c) => ({ user: c.user, role: c.role, joinedAt: c.joinedAt })),
+    ]
+
+    res.json({
+      success: true,
+      data: { members },
+    })
+  } catch (error) {
+    console.error("Get members error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get members",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/capsules/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: |
+ *       Owners can change any member's role. Admins can only move contributors and viewers between those
+ *       two roles; only the owner can make someone an admin or change another admin. The owner's own role
+ *       cannot be changed here (transfer ownership instead).
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Member's user ID
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, contributor, viewer]
+ *                 example: "viewer"
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Bad request - invalid capsule ID or owner cannot leave
+ *         description: Bad request - invalid role or the target is the owner
  *         content:
  *           application/json:
  *             schema:
@@ -699,7 +3696,13 @@ router.post("/:id/join", validateObjectId("id"), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not a capsule member
+ *         description: Forbidden - admin role required, or the change needs the owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule or member not found
  *         content:
  *           application/json:
  *             schema:
@@ -711,54 +3714,213 @@ router.post("/:id/join", validateObjectId("id"), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete("/:id/leave", validateObjectId("id"), checkCapsulePermission("contributor"), async (req, res) => {
-  try {
-    const capsule = await Capsule.findById(req.params.id)
+router.patch(
+  "/:id/members/:userId",
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  checkCapsulePermission("admin"),
+  validateMemberRole,
+  async (req, res) => {
+    try {
+      const capsule = req.capsule
+      const { role } = req.body
 
-    // Owner cannot leave their own capsule
-    if (capsule.owner.toString() === req.user._id.toString()) {
-      return res.status(400).json({
+      if (capsule.owner.toString() === req.params.userId) {
+        return res.status(400).json({
+          success: false,
+          message: "The owner's role cannot be changed. Transfer ownership instead.",
+        })
+      }
+
+      const member = findMember(capsule, req.params.userId)
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        })
+      }
+
+      if (!canManageMember(req, member) || (role === "admin" && req.userRole !== "owner")) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the capsule owner can manage admins",
+        })
+      }
+
+      member.role = role
+      capsule.stats.lastActivity = new Date()
+      await capsule.save()
+
+      req.io.to(`capsule_${capsule._id}`).emit("member_updated", {
+        capsule: capsule._id,
+        user: req.params.userId,
+        role,
+        updatedBy: req.user._id,
+      })
+
+      // Only the owner and admins follow the live room of a sealed capsule
+      if (isSealedFor(capsule, role)) {
+        req.io.in(`user_${req.params.userId}`).socketsLeave(`capsule_${capsule._id}`)
+      }
+
+      res.json({
+        success: true,
+        message: "Member role updated",
+      })
+    } catch (error) {
+      console.error("Update member error:", error)
+      res.status(500).json({
         success: false,
-        message: "Capsule owner cannot leave. Transfer ownership or delete the capsule instead.",
+        message: "Failed to update member",
       })
     }
+  },
+)
 
-    // Remove user from contributors
-    capsule.contributors = capsule.contributors.filter((c) => c.user.toString() !== req.user._id.toString())
+/**
+ * @swagger
+ * /api/capsules/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: |
+ *       Remove someone from the capsule. Owners can remove any member; admins can only remove contributors
+ *       and viewers. The member is taken out of the live room immediately.
+ *     tags: [Capsules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Capsule ID
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Member's user ID
+ *         example: "507f1f77bcf86cd799439011"
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Bad request - the owner cannot be removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admin role required, or the member is an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule or member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/:id/members/:userId",
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  checkCapsulePermission("admin"),
+  async (req, res) => {
+    try {
+      const capsule = req.capsule
+      const { userId } = req.params
 
-    capsule.stats.lastActivity = new Date()
-    await capsule.save()
+      if (capsule.owner.toString() === userId) {
+        return res.status(400).json({
+          success: false,
+          message: "The capsule owner cannot be removed",
+        })
+      }
 
-    // Remove from user's joined capsules
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { joinedCapsules: capsule._id },
-    })
+      const member = findMember(capsule, userId)
 
-    // Emit to socket
-    req.io.to(`capsule_${capsule._id}`).emit("user_left", {
-      user: req.user,
-      capsule: capsule._id,
-    })
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        })
+      }
 
-    res.json({
-      success: true,
-      message: "Successfully left capsule",
-    })
-  } catch (error) {
-    console.error("Leave capsule error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to leave capsule",
-    })
-  }
-})
+      if (!canManageMember(req, member)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the capsule owner can remove admins",
+        })
+      }
+
+      capsule.contributors = capsule.contributors.filter((c) => c.user.toString() !== userId)
+      if (capsule.pendingTransfer && capsule.pendingTransfer.to && capsule.pendingTransfer.to.toString() === userId) {
+        capsule.pendingTransfer = undefined
+      }
+      capsule.stats.lastActivity = new Date()
+      await capsule.save()
+
+      await User.findByIdAndUpdate(userId, {
+        $pull: { joinedCapsules: capsule._id },
+      })
+
+      // Tell the room, then take the removed member's sockets out of it
+      const roomName = `capsule_${capsule._id}`
+      req.io.to(roomName).emit("member_removed", {
+        capsule: capsule._id,
+        user: userId,
+        removedBy: req.user._id,
+      })
+      req.io.in(`user_${userId}`).socketsLeave(roomName)
+
+      res.json({
+        success: true,
+        message: "Member removed",
+      })
+    } catch (error) {
+      console.error("Remove member error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove member",
+      })
+    }
+  },
+)
 
 /**
  * @swagger
  * /api/capsules/explore/public:
  *   get:
  *     summary: Get public capsules for discovery
- *     description: Retrieve public capsules that allow public discovery
+ *     description: |
+ *       Search and browse public capsules that allow public discovery. Searches use the capsule text
+ *       index over title, tags and description and are ranked by relevance; each result carries
+ *       highlighted snippets of where it matched. Facet counts for tags and themes cover every match,
+ *       with each facet ignoring its own filter.
  *     tags: [Capsules]
  *     security:
  *       - bearerAuth: []
@@ -782,7 +3944,29 @@ router.delete("/:id/leave", validateObjectId("id"), checkCapsulePermission("cont
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for capsule title, description, or tags
+ *           maxLength: 100
+ *         description: |
+ *           Words to search for in capsule title, description, or tags. Use quotes for an exact
+ *           phrase and a leading minus to exclude a word.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only capsules with this tag
+ *       - in: query
+ *         name: theme
+ *         schema:
+ *           type: string
+ *           enum: [default, vintage, modern, nature, space, ocean]
+ *         description: Only capsules with this theme
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevant, newest, active, memories]
+ *         description: |
+ *           Result order. Defaults to relevant when searching and to active (latest activity first)
+ *           otherwise; memories puts capsules with the most memories first.
  *     responses:
  *       200:
  *         description: Public capsules retrieved successfully
@@ -800,7 +3984,27 @@ router.delete("/:id/leave", validateObjectId("id"), checkCapsulePermission("cont
  *                     capsules:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Capsule'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Capsule'
+ *                           - type: object
+ *                             properties:
+ *                               score:
+ *                                 type: number
+ *                                 description: Relevance, only when searching
+ *                               highlights:
+ *                                 $ref: '#/components/schemas/SearchHighlights'
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         tags:
+ *                           type: array
+ *                           description: The 20 most common tags
+ *                           items:
+ *                             $ref: '#/components/schemas/FacetCount'
+ *                         themes:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FacetCount'
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -816,6 +4020,12 @@ router.delete("/:id/leave", validateObjectId("id"), checkCapsulePermission("cont
  *                         pages:
  *                           type: integer
  *                           example: 4
+ *       400:
+ *         description: Invalid search, filter, sort or pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -829,40 +4039,20 @@ router.delete("/:id/leave", validateObjectId("id"), checkCapsulePermission("cont
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/explore/public", validatePagination, async (req, res) => {
+router.get("/explore/public", validatePagination, validateExploreQuery, async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 12
     const skip = (page - 1) * limit
-    const search = req.query.search || ""
-
-    const query = {
-      type: "public",
-      isActive: true,
-      "settings.allowPublicDiscovery": true,
-    }
+    const { search, tag, theme, sort } = req.query
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { tags: { $in: [new RegExp(search, "i")] } },
-      ]
-    }
-
-    const capsules = await Capsule.find(query)
-      .populate("owner", "name avatarUrl")
-      .select("title description coverImage stats tags theme createdAt")
-      .sort({ "stats.lastActivity": -1 })
-      .skip(skip)
-      .limit(limit)
-
-    const total = await Capsule.countDocuments(query)
+    const { capsules, total, facets } = await exploreCapsules({ search, tag, theme, sort, skip, limit })
 
     res.json({
       success: true,
       data: {
         capsules,
+        facets,
         pagination: {
           page,
           limit,
@@ -0,0 +1,107 @@
+const express = require("express")
+const DataExport = require("../models/DataExport")
+const { validateObjectId } = require("../middleware/validation")
+const { readDownloadToken } = require("../services/dataExport")
+const { privateDownloadUrl } = require("../config/cloudinary")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/exports/{id}/download:
+ *   get:
+ *     summary: Download a personal data export
+ *     description: |
+ *       Download a ready export archive. The link from the data_export_ready notification or from
+ *       GET /api/users/me/export carries its own token, so no Authorization header is needed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Export ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Download token from the export link
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       302:
+ *         description: Redirect to a short-lived signed download URL of the archive in Cloudinary
+ *       400:
+ *         description: Invalid export ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Invalid or expired download link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Export not found or no longer available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/download", validateObjectId("id"), async (req, res) => {
+  try {
+    const decoded = readDownloadToken(req.query.token)
+    if (!decoded || decoded.exportId !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid or expired download link",
+      })
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: decoded.userId })
+    if (!dataExport || !dataExport.isDownloadable()) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found or no longer available",
+      })
+    }
+
+    if (dataExport.storageKey) {
+      return res.redirect(privateDownloadUrl(dataExport.storageKey))
+    }
+
+    const fileName = `memoryscape-export-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`
+    res.download(dataExport.filePath, fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error("Download export error:", error)
+        res.status(404).json({
+          success: false,
+          message: "Export not found or no longer available",
+        })
+      }
+    })
+  } catch (error) {
+    console.error("Download export error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to download export",
+    })
+  }
+})
+
+module.exports = router
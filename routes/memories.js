@@ -1,7 +1,19 @@
 const express = require("express")
 const MemoryItem = require("../models/MemoryItem")
 const Capsule = require("../models/Capsule")
-const { checkCapsulePermission } = require("../middleware/auth")
+const { checkCapsulePermission, hasCapsuleRole, isAdminTwoFactorSatisfied, hasScope } = require("../middleware/auth")
+const {
+  getMemberRole,
+  isSealedFor,
+  visibleMemoryFilter,
+  canSeeMemory,
+  isMemoryLockedFor,
+  presentMemory,
+  broadcastMemory,
+  sendSealedResponse,
+  sendLockedResponse,
+} = require("../services/capsuleSealing")
+const { scheduleMemoryUnlock, cancelMemoryUnlock } = require("../services/memoryUnlock")
 const {
   validateMemoryCreation,
   validateComment,
@@ -11,12 +23,23 @@ const {
 
 const router = express.Router()
 
+// Role of the user in the memory's capsule, or null when they cannot reach it
+const getMemoryAccess = async (memory, userId) => {
+  const capsule = await Capsule.findById(memory.capsule)
+  if (!capsule || !capsule.isActive || capsule.deletedAt) return { capsule, role: null }
+
+  return { capsule, role: getMemberRole(capsule, userId) }
+}
+
 /**
  * @swagger
  * /api/memories/capsule/{capsuleId}:
  *   get:
  *     summary: Get memories for a capsule
- *     description: Retrieve all memories for a specific capsule
+ *     description: |
+ *       Retrieve all memories for a specific capsule. While a timed capsule is sealed, members other than
+ *       the owner and admins only get the memories they added themselves. Memories that are still locked
+ *       for the user come back as placeholders with only the author and unlock date.
  *     tags: [Memories]
  *     security:
  *       - bearerAuth: []
@@ -68,6 +91,9 @@ const router = express.Router()
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/MemoryItem'
+ *                     sealed:
+ *                       type: boolean
+ *                       description: The capsule is sealed for this user, so only their own memories are listed
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -120,7 +146,11 @@ router.get(
       const skip = (page - 1) * limit
       const type = req.query.type // Filter by memory type
 
-      const query = { capsule: req.params.capsuleId }
+      // Members of a sealed capsule only see their own memories
+      const query = {
+        capsule: req.params.capsuleId,
+        ...visibleMemoryFilter(req.capsule, req.userRole, req.user._id),
+      }
       if (type) query.type = type
 
       const memories = await MemoryItem.find(query)
@@ -136,7 +166,8 @@ router.get(
       res.json({
         success: true,
         data: {
-          memories,
+          memories: memories.map((memory) => presentMemory(memory, req.user._id)),
+          sealed: isSealedFor(req.capsule, req.userRole),
           pagination: {
             page,
             limit,
@@ -237,6 +268,16 @@ router.get(
  *                     items:
  *                       type: number
  *                     example: [-80.1918, 25.7617]
+ *               unlockAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Keep the memory locked for everyone but its author until this date
+ *               unlockAudience:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *                 description: Capsule members the memory opens for; everyone else keeps seeing a placeholder
  *     responses:
  *       201:
  *         description: Memory created successfully
@@ -269,7 +310,7 @@ router.get(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not a capsule member
+ *         description: Forbidden - not a capsule member, or only a viewer
  *         content:
  *           application/json:
  *             schema:
@@ -289,29 +330,53 @@ router.get(
  */
 router.post("/", validateMemoryCreation, async (req, res) => {
   try {
-    const { capsuleId, type, title, text, mediaUrl, thumbnailUrl, mediaMetadata, tags, location } = req.body
+    const {
+      capsuleId,
+      type,
+      title,
+      text,
+      mediaUrl,
+      thumbnailUrl,
+      mediaMetadata,
+      tags,
+      location,
+      unlockAt,
+      unlockAudience,
+    } = req.body
 
     // Check if user has permission to add memories to this capsule
     const capsule = await Capsule.findById(capsuleId)
-    if (!capsule) {
+    if (!capsule || !capsule.isActive) {
       return res.status(404).json({
         success: false,
         message: "Capsule not found",
       })
     }
 
-    // Check if user is contributor
-    const isContributor =
-      capsule.owner.toString() === req.user._id.toString() ||
-      capsule.contributors.some((c) => c.user.toString() === req.user._id.toString())
+    // Viewers can look but not add
+    const role = getMemberRole(capsule, req.user._id)
 
-    if (!isContributor) {
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Access denied - not a capsule member",
       })
     }
 
+    if (!hasCapsuleRole(role, "contributor")) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied - contributor role required",
+      })
+    }
+
+    if (unlockAudience && unlockAudience.some((userId) => !getMemberRole(capsule, userId))) {
+      return res.status(400).json({
+        success: false,
+        message: "The unlock audience can only include capsule members",
+      })
+    }
+
     const memory = new MemoryItem({
       capsule: capsuleId,
       author: req.user._id,
@@ -323,9 +388,12 @@ router.post("/", validateMemoryCreation, async (req, res) => {
       mediaMetadata,
       tags: tags || [],
       location,
+      unlockAt,
+      unlockAudience: unlockAudience ? [...new Set(unlockAudience)] : [],
     })
 
     await memory.save()
+    await scheduleMemoryUnlock(memory)
 
     // Update capsule stats
     await Capsule.findByIdAndUpdate(capsuleId, {
@@ -338,7 +406,7 @@ router.post("/", validateMemoryCreation, async (req, res) => {
 
     // Emit to socket
     req.io.to(`capsule_${capsuleId}`).emit("new_memory", {
-      memory,
+      memory: broadcastMemory(memory),
       capsule: capsuleId,
     })
 
@@ -375,21 +443,22 @@ router.get("/:id", validateObjectId("id"), async (req, res) => {
     }
 
     // Check if user has access to the capsule
-    const capsule = await Capsule.findById(memory.capsule)
-    const hasAccess =
-      capsule.owner.toString() === req.user._id.toString() ||
-      capsule.contributors.some((c) => c.user.toString() === req.user._id.toString())
+    const { capsule, role } = await getMemoryAccess(memory, req.user._id)
 
-    if (!hasAccess) {
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       })
     }
 
+    if (!canSeeMemory(capsule, role, memory, req.user._id)) {
+      return sendSealedResponse(res, capsule)
+    }
+
     res.json({
       success: true,
-      data: { memory },
+      data: { memory: presentMemory(memory, req.user._id) },
     })
   } catch (error) {
     console.error("Get memory error:", error)
@@ -417,7 +486,7 @@ router.put("/:id", validateObjectId("id"), async (req, res) => {
     }
 
     // Only author can edit their memory
-    if (memory.author.toString() !== req.user._id.toString()) {
+    if (!memory.author || memory.author.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: "Access denied - you can only edit your own memories",
@@ -433,7 +502,7 @@ router.put("/:id", validateObjectId("id"), async (req, res) => {
 
     // Emit to socket
     req.io.to(`capsule_${memory.capsule}`).emit("memory_updated", {
-      memory,
+      memory: broadcastMemory(memory),
       updatedBy: req.user,
     })
 
@@ -467,13 +536,14 @@ router.delete("/:id", validateObjectId("id"), async (req, res) => {
 
     // Check if user can delete (author or capsule admin/owner)
     const capsule = await Capsule.findById(memory.capsule)
-    const isAuthor = memory.author.toString() === req.user._id.toString()
+    const isAuthor = Boolean(memory.author) && memory.author.toString() === req.user._id.toString()
     const isOwner = capsule.owner.toString() === req.user._id.toString()
-    const isAdmin = capsule.contributors.some(
-      (c) => c.user.toString() === req.user._id.toString() && c.role === "admin",
-    )
+    const isAdmin =
+      capsule.contributors.some((c) => c.user.toString() === req.user._id.toString() && c.role === "admin") &&
+      isAdminTwoFactorSatisfied(capsule, req.user)
+    const canModerate = (isOwner || isAdmin) && hasScope(req, "capsules:admin")
 
-    if (!isAuthor && !isOwner && !isAdmin) {
+    if (!isAuthor && !canModerate) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -481,6 +551,7 @@ router.delete("/:id", validateObjectId("id"), async (req, res) => {
     }
 
     await MemoryItem.findByIdAndDelete(req.params.id)
+    await cancelMemoryUnlock(memory)
 
     // Update capsule stats
     await Capsule.findByIdAndUpdate(memory.capsule, {
@@ -532,6 +603,24 @@ router.post("/:id/react", validateObjectId("id"), async (req, res) => {
       })
     }
 
+    const { capsule, role } = await getMemoryAccess(memory, req.user._id)
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied - not a capsule member",
+      })
+    }
+
+    // Memories of a sealed capsule cannot be discussed before release
+    if (!canSeeMemory(capsule, role, memory, req.user._id)) {
+      return sendSealedResponse(res, capsule)
+    }
+
+    if (isMemoryLockedFor(memory, req.user._id)) {
+      return sendLockedResponse(res, memory)
+    }
+
     // Check if user already reacted with this emoji
     const existingReaction = memory.reactions.find(
       (r) => r.user.toString() === req.user._id.toString() && r.emoji === emoji,
@@ -590,6 +679,24 @@ router.post("/:id/comment", validateObjectId("id"), validateComment, async (req,
       })
     }
 
+    const { capsule, role } = await getMemoryAccess(memory, req.user._id)
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied - not a capsule member",
+      })
+    }
+
+    // Memories of a sealed capsule cannot be discussed before release
+    if (!canSeeMemory(capsule, role, memory, req.user._id)) {
+      return sendSealedResponse(res, capsule)
+    }
+
+    if (isMemoryLockedFor(memory, req.user._id)) {
+      return sendLockedResponse(res, memory)
+    }
+
     const comment = {
       user: req.user._id,
       text,
@@ -639,11 +746,11 @@ router.post("/:id/pin", validateObjectId("id"), async (req, res) => {
     // Check if user is capsule admin/owner
     const capsule = await Capsule.findById(memory.capsule)
     const isOwner = capsule.owner.toString() === req.user._id.toString()
-    const isAdmin = capsule.contributors.some(
-      (c) => c.user.toString() === req.user._id.toString() && c.role === "admin",
-    )
+    const isAdmin =
+      capsule.contributors.some((c) => c.user.toString() === req.user._id.toString() && c.role === "admin") &&
+      isAdminTwoFactorSatisfied(capsule, req.user)
 
-    if (!isOwner && !isAdmin) {
+    if (!(isOwner || isAdmin) || !hasScope(req, "capsules:admin")) {
       return res.status(403).json({
         success: false,
         message: "Access denied - admin privileges required",
@@ -0,0 +1,204 @@
+const express = require("express")
+const MemoryItem = require("../models/MemoryItem")
+const { validateShareSlug, validatePagination } = require("../middleware/validation")
+const {
+  findSharedCapsule,
+  sanitizeCapsule,
+  sanitizeMemory,
+  publicMemoryQuery,
+  findPublicMemories,
+} = require("../services/publicShare")
+
+const router = express.Router()
+
+const sendNotShared = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: "Shared capsule not found",
+  })
+}
+
+/**
+ * @swagger
+ * /api/public/capsules/{slug}:
+ *   get:
+ *     summary: Get a shared capsule
+ *     description: |
+ *       Read-only view of a capsule whose owner turned on its public page. No Authorization header
+ *       is needed. Member emails, invite codes and settings are never included.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share slug, e.g. summer-2023-3f9a1c2b
+ *     responses:
+ *       200:
+ *         description: Capsule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capsule:
+ *                       $ref: '#/components/schemas/PublicCapsule'
+ *       400:
+ *         description: Invalid share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Shared capsule not found or no longer shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/capsules/:slug", validateShareSlug, async (req, res) => {
+  try {
+    const capsule = await findSharedCapsule(req.params.slug)
+    if (!capsule) return sendNotShared(res)
+
+    res.json({
+      success: true,
+      data: { capsule: sanitizeCapsule(capsule) },
+    })
+  } catch (error) {
+    console.error("Get shared capsule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get capsule",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/public/capsules/{slug}/memories:
+ *   get:
+ *     summary: Get the memories of a shared capsule
+ *     description: |
+ *       Memories of a publicly shared capsule. No Authorization header is needed. Locations keep only
+ *       their name, comments are left out when the capsule does not allow them, and memories that are
+ *       locked or meant for an unlock audience are never listed. A sealed timed capsule returns no
+ *       memories until its release date.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share slug
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Memories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     memories:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PublicMemory'
+ *                     sealed:
+ *                       type: boolean
+ *                     releaseDate:
+ *                       type: string
+ *                       format: date-time
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid share link or pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Shared capsule not found or no longer shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/capsules/:slug/memories", validateShareSlug, validatePagination, async (req, res) => {
+  try {
+    const capsule = await findSharedCapsule(req.params.slug)
+    if (!capsule) return sendNotShared(res)
+
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const skip = (page - 1) * limit
+
+    const query = publicMemoryQuery(capsule)
+    const [memories, total] = query
+      ? await Promise.all([findPublicMemories(query, { skip, limit }), MemoryItem.countDocuments(query)])
+      : [[], 0]
+
+    res.json({
+      success: true,
+      data: {
+        memories: memories.map((memory) => sanitizeMemory(memory, capsule)),
+        sealed: !query,
+        releaseDate: capsule.releaseDate,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Get shared memories error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get memories",
+    })
+  }
+})
+
+module.exports = router
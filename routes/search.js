@@ -0,0 +1,170 @@
+const express = require("express")
+const { checkCapsulePermission } = require("../middleware/auth")
+const { validateSearchQuery } = require("../middleware/validation")
+const { findSearchableCapsules, searchMemories } = require("../services/memorySearch")
+
+const router = express.Router()
+
+// A capsule filter gets the same checks as the capsule's own routes
+const checkCapsuleFilter = (req, res, next) => {
+  if (!req.query.capsule) return next()
+
+  req.params.capsuleId = req.query.capsule
+  return checkCapsulePermission("viewer")(req, res, next)
+}
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search memories across the user's capsules
+ *     description: |
+ *       Full-text search over memory titles, text, tags, comments and location names in every capsule
+ *       the user can read. Memories of sealed timed capsules are only found by their authors (and the
+ *       capsule's owner and admins), and memories still locked for the user are never found. With `q`
+ *       results are ranked by relevance and carry highlighted snippets; without it they are the newest
+ *       memories matching the filters. Pass `nextCursor` back as `cursor` for the next page.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Words to search for. Use quotes for an exact phrase and a leading minus to exclude a word.
+ *         example: beach video
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [image, video, audio, text, voice]
+ *         description: Only memories of this type
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Only memories by this user
+ *       - in: query
+ *         name: capsule
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Only memories in this capsule
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only memories created at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only memories created at or before this time
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Number of results per page
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     memories:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MemorySearchResult'
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the next page, or null on the last page
+ *       400:
+ *         description: Invalid query, filter or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not a member of the capsule in the filter, or the capsule is deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule in the filter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", validateSearchQuery, checkCapsuleFilter, async (req, res) => {
+  try {
+    const { q, type, author, from, to, cursor } = req.query
+    const capsules = req.capsule ? [req.capsule] : await findSearchableCapsules(req.user._id)
+
+    const result = await searchMemories(req.user._id, {
+      search: q,
+      capsules,
+      type,
+      author,
+      from,
+      to,
+      cursor,
+      limit: Number.parseInt(req.query.limit) || 20,
+    })
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cursor",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    })
+  } catch (error) {
+    console.error("Search error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to search",
+    })
+  }
+})
+
+module.exports = router
@@ -1,7 +1,11 @@
 const express = require("express")
 const multer = require("multer")
 const path = require("path")
+const mongoose = require("mongoose")
+const Capsule = require("../models/Capsule")
 const { uploadToCloudinary, generateVideoThumbnail } = require("../config/cloudinary")
+const { getMemberRole } = require("../services/capsuleSealing")
+const { hasCapsuleRole } = require("../middleware/auth")
 
 const router = express.Router()
 
@@ -136,6 +140,18 @@ const upload = multer({
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a member of the capsule, or only a viewer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Capsule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -161,6 +177,40 @@ router.post("/media", upload.single("file"), async (req, res) => {
       })
     }
 
+    if (!mongoose.isValidObjectId(capsuleId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid capsule ID",
+      })
+    }
+
+    const capsule = await Capsule.findById(capsuleId)
+
+    if (!capsule || !capsule.isActive || capsule.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Capsule not found",
+      })
+    }
+
+    // Same rule as creating a memory. Members of a sealed capsule still
+    // upload; they add their memories blind
+    const role = getMemberRole(capsule, req.user._id)
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied - not a capsule member",
+      })
+    }
+
+    if (!hasCapsuleRole(role, "contributor")) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied - contributor role required",
+      })
+    }
+
     // Upload to Cloudinary
     const uploadResult = await uploadToCloudinary(req.file, `memoryscape/capsules/${capsuleId}`)
 
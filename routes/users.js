@@ -2,9 +2,18 @@ const express = require("express")
 const User = require("../models/User")
 const Capsule = require("../models/Capsule")
 const MemoryItem = require("../models/MemoryItem")
+const { validateAccountDeletion, validateAccessTokenCreation, validateObjectId } = require("../middleware/validation")
+const { scheduleDeletion, cancelDeletion } = require("../services/accountDeletion")
+const { requestExport, findActiveExport, downloadUrl } = require("../services/dataExport")
+const { createAccessToken, getActiveAccessTokens } = require("../services/accessTokenService")
+const DataExport = require("../models/DataExport")
+const PersonalAccessToken = require("../models/PersonalAccessToken")
 
 const router = express.Router()
 
+// Public base URL of the API, used in links that leave the app
+const apiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get("host")}`
+
 /**
  * @swagger
  * /api/users/profile:
@@ -259,6 +268,593 @@ router.get("/stats", async (req, res) => {
   }
 })
 
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete the current account
+ *     description: |
+ *       Schedule the account for deletion after a grace period (ACCOUNT_DELETION_GRACE_DAYS, 14 days by default),
+ *       during which it can still be cancelled. Owned capsules are handed to the longest-standing admin or member,
+ *       or deleted when nobody is left or capsules is "delete". Memories and comments in other capsules are deleted
+ *       or kept without an author, depending on contributions. Reactions, notifications and media are always removed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password, required for accounts that have one
+ *               confirmEmail:
+ *                 type: string
+ *                 description: Account email, required instead of a password for Google-only accounts
+ *               contributions:
+ *                 type: string
+ *                 enum: [delete, anonymize]
+ *                 default: anonymize
+ *               capsules:
+ *                 type: string
+ *                 enum: [transfer, delete]
+ *                 default: transfer
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletion:
+ *                       type: object
+ *                       properties:
+ *                         requestedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         scheduledFor:
+ *                           type: string
+ *                           format: date-time
+ *                         contributions:
+ *                           type: string
+ *                         capsules:
+ *                           type: string
+ *       400:
+ *         description: Validation error or wrong password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Deletion already scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/me", validateAccountDeletion, async (req, res) => {
+  try {
+    const { password, confirmEmail, contributions, capsules } = req.body
+
+    const user = await User.findById(req.user.id)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(409).json({
+        success: false,
+        message: "Account deletion is already scheduled",
+      })
+    }
+
+    const confirmed = user.password
+      ? await user.comparePassword(password || "")
+      : String(confirmEmail || "").toLowerCase() === user.email
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: user.password ? "Password is incorrect" : "Email confirmation does not match",
+      })
+    }
+
+    const deletion = await scheduleDeletion(user, { contributions, capsules })
+
+    res.status(202).json({
+      success: true,
+      message: "Account deletion scheduled",
+      data: {
+        deletion,
+      },
+    })
+  } catch (error) {
+    console.error("Delete account error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to schedule account deletion",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/me/deletion/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     description: Keep the account when its deletion is still within the grace period
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: No deletion is scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Deletion is already in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/me/deletion/cancel", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (!user || !user.deletion || !user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: "No account deletion is scheduled",
+      })
+    }
+
+    if (!(await cancelDeletion(user))) {
+      return res.status(409).json({
+        success: false,
+        message: "Account deletion is already in progress",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled",
+    })
+  } catch (error) {
+    console.error("Cancel account deletion error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel account deletion",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   post:
+ *     summary: Request a personal data export
+ *     description: |
+ *       Build a ZIP archive in the background with the user's profile, every capsule they own or joined, their
+ *       memories with comments and reactions, their comments and reactions elsewhere, and copies of their media.
+ *       A data_export_ready notification with an expiring download link is sent when it is done.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     export:
+ *                       $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: An export is already being prepared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/me/export", async (req, res) => {
+  try {
+    if (await findActiveExport(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: "An export is already being prepared",
+      })
+    }
+
+    const dataExport = await requestExport(req.user, { io: req.io, baseUrl: apiBaseUrl(req) })
+
+    res.status(202).json({
+      success: true,
+      message: "Export started. You will be notified when it is ready.",
+      data: {
+        export: dataExport,
+      },
+    })
+  } catch (error) {
+    console.error("Request export error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to start export",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: List personal data exports
+ *     description: Recent exports of the current user; ready ones include a fresh download link
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exports:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/DataExport'
+ *                           - type: object
+ *                             properties:
+ *                               downloadUrl:
+ *                                 type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/me/export", async (req, res) => {
+  try {
+    const dataExports = await DataExport.find({ user: req.user.id }).sort({ createdAt: -1 }).limit(10)
+
+    res.json({
+      success: true,
+      data: {
+        exports: dataExports.map((dataExport) => ({
+          ...dataExport.toJSON(),
+          downloadUrl: dataExport.isDownloadable() ? downloadUrl(dataExport, apiBaseUrl(req)) : undefined,
+        })),
+      },
+    })
+  } catch (error) {
+    console.error("List exports error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get exports",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/me/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: |
+ *       Create a named token for scripts and integrations, sent as "Authorization: Bearer msp_...".
+ *       GET requests need the read scope of their area (capsules:read, memories:read) and other methods the write
+ *       scope; /api/upload needs upload. Capsule admin actions additionally need capsules:admin. Tokens cannot call
+ *       /api/auth or /api/users. The token value is only returned once.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Bulk upload script"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [capsules:read, capsules:write, capsules:admin, memories:read, memories:write, upload]
+ *                 example: ["memories:write", "upload"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry; tokens without one stay valid until revoked
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: Plain token value, shown only once
+ *                       example: "msp_2Jk9..."
+ *                     accessToken:
+ *                       $ref: '#/components/schemas/PersonalAccessToken'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/me/tokens", validateAccessTokenCreation, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body
+
+    const { accessToken, token } = await createAccessToken(req.user, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Access token created. Copy it now, it will not be shown again.",
+      data: {
+        token,
+        accessToken,
+      },
+    })
+  } catch (error) {
+    console.error("Create access token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to create access token",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/me/tokens:
+ *   get:
+ *     summary: List personal access tokens
+ *     description: Active (not revoked, not expired) personal access tokens of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokens:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PersonalAccessToken'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/me/tokens", async (req, res) => {
+  try {
+    const tokens = await getActiveAccessTokens(req.user.id)
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+      },
+    })
+  } catch (error) {
+    console.error("List access tokens error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get access tokens",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/users/me/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid token ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Token not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/me/tokens/:tokenId", validateObjectId("tokenId"), async (req, res) => {
+  try {
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.tokenId, user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    )
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: "Access token not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Access token revoked",
+    })
+  } catch (error) {
+    console.error("Revoke access token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke access token",
+    })
+  }
+})
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -7,6 +7,14 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
+const { configurePassport } = require('./config/passport');
+const { registerTask, startScheduler } = require('./services/scheduler');
+const { processDueDeletions } = require('./services/accountDeletion');
+const { purgeExpiredExports } = require('./services/dataExport');
+const { purgeTrashedCapsules } = require('./services/capsuleTrash');
+const { runDueReleaseJobs } = require('./services/capsuleRelease');
+const { runDueUnlockJobs } = require('./services/memoryUnlock');
+const { getTransport } = require('./services/mailService');
 require('dotenv').config();
 
 // Import routes
@@ -15,6 +23,10 @@ const userRoutes = require('./routes/users');
 const capsuleRoutes = require('./routes/capsules');
 const memoryRoutes = require('./routes/memories');
 const uploadRoutes = require('./routes/upload');
+const exportRoutes = require('./routes/exports');
+const publicRoutes = require('./routes/public');
+const searchRoutes = require('./routes/search');
+const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -26,6 +38,21 @@ const socketHandler = require('./socket/socketHandler');
 const app = express();
 const server = createServer(app);
 
+// === 🌐 Reverse proxy ===
+// Render puts one proxy hop in front of the app; trusting it makes req.ip the
+// client address, which rate limiting and login lockouts are keyed on.
+const parseTrustProxy = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+app.set(
+  'trust proxy',
+  parseTrustProxy(process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : 'loopback'))
+);
+
 // === 🔐 CORS configuration ===
 const allowedOrigins = ['https://memoryscape-frontend.vercel.app'];
 
@@ -38,7 +65,7 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 };
 app.use(cors(corsOptions)); // Apply CORS middleware
@@ -71,6 +98,13 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// === 📧 Mail ===
+// Resolve the transport now so a missing mail setup stops the server at startup
+getTransport();
+
+// === 🔑 Passport (Google OAuth) ===
+app.use(configurePassport().initialize());
+
 // === 🔗 Attach socket.io to requests ===
 app.use((req, res, next) => {
   req.io = io;
@@ -109,6 +143,10 @@ app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/capsules', authenticateToken, capsuleRoutes);
 app.use('/api/memories', authenticateToken, memoryRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/search', authenticateToken, searchRoutes);
+app.use('/api/admin', authenticateToken, adminRoutes);
 
 /**
  * @swagger
@@ -154,6 +192,16 @@ socketHandler(io);
 const connectDB = require('./config/database');
 connectDB();
 
+// === ⏰ Background jobs ===
+registerTask('account-deletion', 60 * 60 * 1000, () => processDueDeletions(io));
+registerTask('data-export-cleanup', 60 * 60 * 1000, purgeExpiredExports);
+registerTask('capsule-trash-purge', 60 * 60 * 1000, purgeTrashedCapsules);
+registerTask('capsule-release', 60 * 1000, () => runDueReleaseJobs(io));
+registerTask('memory-unlock', 60 * 1000, () => runDueUnlockJobs(io));
+if (process.env.NODE_ENV !== 'test') {
+  startScheduler();
+}
+
 // === 🧼 Graceful shutdown ===
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
@@ -0,0 +1,67 @@
+const crypto = require("crypto")
+const PersonalAccessToken = require("../models/PersonalAccessToken")
+const User = require("../models/User")
+
+// Personal access tokens look like "msp_<43 base64url characters>". The prefix
+// tells them apart from JWTs and makes leaked tokens easy to scan for.
+const TOKEN_PREFIX = "msp_"
+
+// lastUsedAt is only written when it is older than this, to spare a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const isPersonalAccessToken = (token) => typeof token === "string" && token.startsWith(TOKEN_PREFIX)
+
+// Returns the stored document and the plain token, which is never shown again
+const createAccessToken = async (user, { name, scopes, expiresAt }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`
+
+  const accessToken = await PersonalAccessToken.create({
+    user: user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+  })
+
+  return { accessToken, token }
+}
+
+// Resolve a personal access token to its user, or null when it is unknown,
+// revoked or expired
+const verifyPersonalAccessToken = async (token) => {
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) })
+  if (!accessToken || !accessToken.isActive()) return null
+
+  const user = await User.findById(accessToken.user).select("-password")
+  if (!user) return null
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    accessToken.lastUsedAt = new Date()
+    await accessToken.save()
+  }
+
+  return { user, accessToken }
+}
+
+const getActiveAccessTokens = (userId) => {
+  return PersonalAccessToken.find({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).sort({ createdAt: -1 })
+}
+
+const revokeAllAccessTokens = (userId) => {
+  return PersonalAccessToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } })
+}
+
+module.exports = {
+  isPersonalAccessToken,
+  createAccessToken,
+  verifyPersonalAccessToken,
+  getActiveAccessTokens,
+  revokeAllAccessTokens,
+}
@@ -0,0 +1,202 @@
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const Notification = require("../models/Notification")
+const Session = require("../models/Session")
+const PersonalAccessToken = require("../models/PersonalAccessToken")
+const JoinRequest = require("../models/JoinRequest")
+const CapsuleTemplate = require("../models/CapsuleTemplate")
+const { removeUserExports } = require("./dataExport")
+const { purgeCapsule } = require("./capsuleTrash")
+const { deleteFromCloudinaryByUrl } = require("../config/cloudinary")
+
+const GRACE_PERIOD_DAYS = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+
+// A claim older than this is assumed to belong to a crashed run and is retried
+const STALE_CLAIM_MS = 60 * 60 * 1000
+
+const ROLE_PRIORITY = { admin: 0, contributor: 1, viewer: 2 }
+
+// Media cleanup is best effort: a missing or already deleted asset must not
+// keep the account around
+const removeMedia = async (task) => {
+  try {
+    await task()
+  } catch (error) {
+    console.error("Account deletion media error:", error)
+  }
+}
+
+const scheduleDeletion = async (user, { contributions = "anonymize", capsules = "transfer" } = {}) => {
+  const now = new Date()
+
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000),
+    contributions,
+    capsules,
+  }
+  await user.save()
+
+  return user.deletion
+}
+
+// Returns false once a scheduler run has claimed the account
+const cancelDeletion = async (user) => {
+  const result = await User.updateOne(
+    { _id: user._id, "deletion.scheduledFor": { $ne: null }, "deletion.processingAt": null },
+    { $unset: { deletion: 1 } },
+  )
+  return result.modifiedCount === 1
+}
+
+// The longest-standing member with the highest role takes over a capsule
+const pickSuccessor = (capsule, userId) => {
+  const candidates = capsule.contributors.filter((c) => c.user && c.user.toString() !== userId.toString())
+
+  candidates.sort((a, b) => ROLE_PRIORITY[a.role] - ROLE_PRIORITY[b.role] || a.joinedAt - b.joinedAt)
+  return candidates[0] || null
+}
+
+const transferCapsule = async (capsule, successor, io) => {
+  capsule.owner = successor.user
+  capsule.pendingTransfer = undefined
+  capsule.contributors = capsule.contributors.filter((c) => c.user.toString() !== successor.user.toString())
+  capsule.stats.lastActivity = new Date()
+  await capsule.save()
+
+  await User.findByIdAndUpdate(successor.user, {
+    $pull: { joinedCapsules: capsule._id },
+    $addToSet: { createdCapsules: capsule._id },
+  })
+
+  if (io) {
+    io.to(`capsule_${capsule._id}`).emit("capsule_updated", { capsule })
+  }
+}
+
+const handleOwnedCapsules = async (user, io) => {
+  const capsules = await Capsule.find({ owner: user._id })
+
+  for (const capsule of capsules) {
+    // Capsules already in the trash are not handed on
+    const successor =
+      user.deletion.capsules === "transfer" && !capsule.deletedAt && pickSuccessor(capsule, user._id)
+
+    if (successor) {
+      await transferCapsule(capsule, successor, io)
+    } else {
+      await purgeCapsule(capsule)
+    }
+  }
+}
+
+const handleMemories = async (user) => {
+  if (user.deletion.contributions === "anonymize") {
+    await MemoryItem.updateMany({ author: user._id }, { $set: { author: null, anonymized: true } })
+    return
+  }
+
+  const memories = await MemoryItem.find({ author: user._id }).select("capsule mediaUrl")
+
+  for (const memory of memories) {
+    await Capsule.findByIdAndUpdate(memory.capsule, {
+      $pull: { content: memory._id },
+      $inc: { "stats.totalMemories": -1 },
+    })
+    await Notification.deleteMany({ relatedMemory: memory._id })
+    await memory.deleteOne()
+
+    await removeMedia(() => deleteFromCloudinaryByUrl(memory.mediaUrl))
+  }
+}
+
+const handleComments = async (user) => {
+  if (user.deletion.contributions === "anonymize") {
+    await MemoryItem.updateMany(
+      { "comments.user": user._id },
+      { $set: { "comments.$[comment].user": null, "comments.$[comment].anonymized": true } },
+      { arrayFilters: [{ "comment.user": user._id }] },
+    )
+    await MemoryItem.updateMany(
+      { "comments.replies.user": user._id },
+      { $set: { "comments.$[].replies.$[reply].user": null } },
+      { arrayFilters: [{ "reply.user": user._id }] },
+    )
+    return
+  }
+
+  await MemoryItem.updateMany({ "comments.user": user._id }, { $pull: { comments: { user: user._id } } })
+  await MemoryItem.updateMany(
+    { "comments.replies.user": user._id },
+    { $pull: { "comments.$[].replies": { user: user._id } } },
+  )
+}
+
+const handleMemberships = async (user) => {
+  const capsules = await Capsule.find({ "contributors.user": user._id })
+
+  for (const capsule of capsules) {
+    capsule.contributors = capsule.contributors.filter((c) => c.user.toString() !== user._id.toString())
+    await capsule.save()
+  }
+}
+
+// Carry out a scheduled deletion. Contributions are handled according to the
+// choice the user made when requesting it.
+const purgeAccount = async (user, io) => {
+  await handleOwnedCapsules(user, io)
+  await handleMemories(user)
+  await handleComments(user)
+
+  // Reactions carry no content worth keeping, so they always go
+  await MemoryItem.updateMany({ "reactions.user": user._id }, { $pull: { reactions: { user: user._id } } })
+
+  await handleMemberships(user)
+  await Notification.deleteMany({ $or: [{ recipient: user._id }, { sender: user._id }] })
+  await Session.deleteMany({ user: user._id })
+  await PersonalAccessToken.deleteMany({ user: user._id })
+  await JoinRequest.deleteMany({ user: user._id })
+  await CapsuleTemplate.deleteMany({ owner: user._id })
+  await removeUserExports(user._id)
+
+  await removeMedia(() => deleteFromCloudinaryByUrl(user.avatarUrl))
+  await user.deleteOne()
+
+  if (io) {
+    io.in(`user_${user._id}`).disconnectSockets(true)
+  }
+}
+
+// Claim due deletions one at a time so that concurrent runs never process the
+// same account twice
+const processDueDeletions = async (io) => {
+  let processed = 0
+
+  for (;;) {
+    const now = new Date()
+    const user = await User.findOneAndUpdate(
+      {
+        "deletion.scheduledFor": { $lte: now },
+        $or: [
+          { "deletion.processingAt": null },
+          { "deletion.processingAt": { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+        ],
+      },
+      { $set: { "deletion.processingAt": now } },
+      { new: true },
+    )
+    if (!user) return processed
+
+    await purgeAccount(user, io)
+    processed += 1
+  }
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  processDueDeletions,
+}
@@ -0,0 +1,20 @@
+const AuditLog = require("../models/AuditLog")
+
+// Record an action taken through the admin console by the requesting user
+const recordAdminAction = (req, { action, targetType, target, reason, changes }) => {
+  return AuditLog.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    target,
+    reason,
+    changes,
+    ip: req.ip || "",
+    userAgent: req.headers["user-agent"] || "",
+  })
+}
+
+module.exports = {
+  recordAdminAction,
+}
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const CapsuleTemplate = require("../models/CapsuleTemplate")
+const { BUILT_IN_TEMPLATES, getBuiltInTemplate } = require("../config/capsuleTemplates")
+const { copyCloudinaryAsset, generateVideoThumbnail } = require("../config/cloudinary")
+const { getMemberIds, isMemoryRestricted, isMemoryLockedFor } = require("./capsuleSealing")
+const { scheduleRelease } = require("./capsuleRelease")
+const { scheduleMemoryUnlock } = require("./memoryUnlock")
+const { purgeCapsule } = require("./capsuleTrash")
+
+// Text memories saved as prompts when a capsule becomes a template
+const MAX_TEMPLATE_PROMPTS = 20
+
+const builtInView = ({ id, ...template }) => ({ _id: id, builtIn: true, ...template })
+
+// Built-in templates followed by the user's own
+const listTemplates = async (userId) => {
+  const own = await CapsuleTemplate.find({ owner: userId }).sort({ createdAt: -1 })
+  return [
+    ...BUILT_IN_TEMPLATES.map(builtInView),
+    ...own.map((template) => ({ ...template.toObject(), builtIn: false })),
+  ]
+}
+
+// Accepts a built-in template ID or the ID of one of the user's templates
+const findTemplate = async (templateId, userId) => {
+  const builtIn = getBuiltInTemplate(templateId)
+  if (builtIn) return builtInView(builtIn)
+  if (!mongoose.isValidObjectId(templateId)) return null
+
+  return CapsuleTemplate.findOne({ _id: templateId, owner: userId })
+}
+
+const attachMemories = (capsule, memories) => {
+  if (!memories.length) return null
+
+  return Capsule.updateOne(
+    { _id: capsule._id },
+    {
+      $push: { content: { $each: memories.map((memory) => memory._id) } },
+      $inc: { "stats.totalMemories": memories.length },
+    },
+  )
+}
+
+// Starter prompts of a template become text memories of the new capsule
+const addTemplatePrompts = async (capsule, template, authorId) => {
+  const memories = await MemoryItem.insertMany(
+    (template.prompts || []).map((prompt) => ({
+      capsule: capsule._id,
+      author: authorId,
+      type: "text",
+      title: prompt.title,
+      text: prompt.text,
+      tags: ["prompt"],
+    })),
+  )
+  await attachMemories(capsule, memories)
+}
+
+// Locked memories never become prompts
+const saveAsTemplate = async (capsule, user, { name, description, includeMemories }) => {
+  let prompts = []
+
+  if (includeMemories) {
+    const memories = await MemoryItem.find({ capsule: capsule._id, type: "text" }).sort({ createdAt: 1 })
+    prompts = memories
+      .filter((memory) => !isMemoryRestricted(memory))
+      .slice(0, MAX_TEMPLATE_PROMPTS)
+      .map((memory) => ({ title: memory.title, text: memory.text }))
+  }
+
+  return CapsuleTemplate.create({
+    owner: user._id,
+    name,
+    description: description !== undefined ? description : capsule.description,
+    sourceCapsule: capsule._id,
+    theme: capsule.theme,
+    tags: capsule.tags,
+    settings: capsule.toObject().settings,
+    prompts,
+  })
+}
+
+// Cloudinary media is copied into the new capsule's folder, so either capsule
+// can be deleted without breaking the other; media hosted elsewhere keeps its
+// URL. Memories locked for the user are left out, and so are memories meant
+// for an audience unless the members come along. Memories by people who are
+// not members of the copy are credited to the user who made it.
+const copyMemories = async (source, capsule, user, withContributors) => {
+  const memories = await MemoryItem.find({ capsule: source._id }).sort({ createdAt: 1 })
+  const memberIds = new Set(getMemberIds(capsule))
+  const copies = []
+
+  for (const memory of memories) {
+    if (isMemoryLockedFor(memory, user._id)) continue
+    if (memory.unlockAudience.length && !withContributors) continue
+
+    const copy = {
+      capsule: capsule._id,
+      author: memory.author && !memberIds.has(memory.author.toString()) ? user._id : memory.author,
+      anonymized: memory.anonymized,
+      type: memory.type,
+      title: memory.title,
+      text: memory.text,
+      mediaMetadata: memory.mediaMetadata,
+      tags: memory.tags,
+      location: memory.location,
+      isPinned: memory.isPinned,
+      unlockAt: memory.unlockAt,
+      unlockAudience: memory.unlockAudience,
+    }
+
+    if (memory.mediaUrl) {
+      const copied = await copyCloudinaryAsset(memory.mediaUrl, `memoryscape/capsules/${capsule._id}`)
+      copy.mediaUrl = copied ? copied.url : memory.mediaUrl
+      if (!copied) {
+        copy.thumbnailUrl = memory.thumbnailUrl
+      } else if (memory.type === "video") {
+        copy.thumbnailUrl = await generateVideoThumbnail(copied.url)
+      }
+    }
+
+    const created = await MemoryItem.create(copy)
+    await scheduleMemoryUnlock(created)
+    copies.push(created)
+  }
+
+  await attachMemories(capsule, copies)
+}
+
+// Copy a capsule into a new one owned by `user`. Theme, tags and description
+// always come along; settings, members and memories only when asked for.
+const cloneCapsule = async (source, user, options) => {
+  const { title, releaseDate, copySettings, copyContributors } = options
+  const contributors = [{ user: user._id, role: "admin" }]
+
+  if (copyContributors) {
+    // The original owner stays in charge of the copy as an admin
+    getMemberIds(source)
+      .filter((id) => id !== user._id.toString())
+      .forEach((id) => {
+        const member = source.contributors.find((c) => c.user && c.user.toString() === id)
+        contributors.push({ user: id, role: member ? member.role : "admin" })
+      })
+  }
+
+  const capsule = new Capsule({
+    title: title || `${source.title} (copy)`.slice(0, 100),
+    description: source.description,
+    type: source.type,
+    owner: user._id,
+    contributors,
+    releaseDate: source.type === "timed" ? releaseDate : undefined,
+    theme: source.theme,
+    tags: source.tags,
+    settings: copySettings ? source.toObject().settings : undefined,
+  })
+  await capsule.save()
+
+  try {
+    await User.updateOne({ _id: user._id }, { $push: { createdCapsules: capsule._id } })
+    await User.updateMany(
+      { _id: { $in: contributors.slice(1).map((c) => c.user) } },
+      { $addToSet: { joinedCapsules: capsule._id } },
+    )
+
+    if (options.copyMemories) {
+      await copyMemories(source, capsule, user, copyContributors)
+    }
+  } catch (error) {
+    // Do not leave a half-copied capsule behind
+    await purgeCapsule(capsule)
+    throw error
+  }
+
+  await scheduleRelease(capsule)
+  return Capsule.findById(capsule._id)
+}
+
+module.exports = {
+  listTemplates,
+  findTemplate,
+  addTemplatePrompts,
+  saveAsTemplate,
+  cloneCapsule,
+}
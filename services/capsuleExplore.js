@@ -0,0 +1,109 @@
+const Capsule = require("../models/Capsule")
+const { searchTerms, highlight, snippet } = require("./searchHighlight")
+
+// Sort modes for the explore page. Ties fall back to _id so pages never
+// overlap; "relevant" only applies to searches and means "active" otherwise.
+const EXPLORE_SORTS = {
+  relevant: { score: -1, "stats.lastActivity": -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  active: { "stats.lastActivity": -1, _id: -1 },
+  memories: { "stats.totalMemories": -1, "stats.lastActivity": -1, _id: -1 },
+}
+
+const TAG_FACET_LIMIT = 20
+
+const facetCounts = (buckets) => buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }))
+
+const capsuleHighlights = (capsule, terms) => {
+  const highlights = {}
+
+  const title = highlight(capsule.title, terms)
+  if (title) highlights.title = title
+
+  const description = snippet(capsule.description, terms)
+  if (description) highlights.description = description
+
+  const tags = (capsule.tags || []).map((tag) => highlight(tag, terms)).filter(Boolean)
+  if (tags.length > 0) highlights.tags = tags
+
+  return highlights
+}
+
+// Discoverable public capsules, ranked with the capsule text index. Each facet
+// leaves out its own filter, so picking a theme still shows the other themes.
+const exploreCapsules = async ({ search, tag, theme, sort, skip, limit }) => {
+  const match = {
+    type: "public",
+    isActive: true,
+    deletedAt: null,
+    "settings.allowPublicDiscovery": true,
+  }
+  if (search) match.$text = { $search: search }
+
+  const tagFilter = tag ? { tags: tag } : {}
+  const themeFilter = theme ? { theme } : {}
+  let mode = sort || (search ? "relevant" : "active")
+  if (mode === "relevant" && !search) mode = "active"
+
+  const [result] = await Capsule.aggregate([
+    { $match: match },
+    ...(search ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        capsules: [
+          { $match: { ...tagFilter, ...themeFilter } },
+          { $sort: EXPLORE_SORTS[mode] },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1,
+              description: 1,
+              coverImage: 1,
+              stats: 1,
+              tags: 1,
+              theme: 1,
+              owner: 1,
+              createdAt: 1,
+              score: 1,
+            },
+          },
+        ],
+        total: [{ $match: { ...tagFilter, ...themeFilter } }, { $count: "count" }],
+        tags: [
+          { $match: themeFilter },
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TAG_FACET_LIMIT },
+        ],
+        themes: [
+          { $match: tagFilter },
+          { $group: { _id: "$theme", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+      },
+    },
+  ])
+
+  await Capsule.populate(result.capsules, { path: "owner", select: "name avatarUrl" })
+
+  const terms = searchTerms(search)
+  const capsules = search
+    ? result.capsules.map((capsule) => ({ ...capsule, highlights: capsuleHighlights(capsule, terms) }))
+    : result.capsules
+
+  return {
+    capsules,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      tags: facetCounts(result.tags),
+      themes: facetCounts(result.themes),
+    },
+  }
+}
+
+module.exports = {
+  EXPLORE_SORTS,
+  exploreCapsules,
+}
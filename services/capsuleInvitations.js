@@ -0,0 +1,122 @@
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const CapsuleInvitation = require("../models/CapsuleInvitation")
+const { sendMail } = require("./mailService")
+const { notify } = require("./notificationService")
+const { capsuleInvitationEmail } = require("./emailTemplates")
+
+const isMember = (capsule, userId) =>
+  capsule.owner.toString() === userId.toString() ||
+  capsule.contributors.some((c) => c.user.toString() === userId.toString())
+
+// Email invitations to a list of addresses. Members and addresses with an
+// open invitation are skipped and reported back.
+const inviteByEmail = async (capsule, inviter, { emails, role }, io) => {
+  const invitations = []
+  const skipped = []
+
+  for (const email of [...new Set(emails)]) {
+    const existingUser = await User.findOne({ email })
+
+    if (existingUser && isMember(capsule, existingUser._id)) {
+      skipped.push({ email, reason: "already_member" })
+      continue
+    }
+
+    if (await CapsuleInvitation.exists({ capsule: capsule._id, email, status: "pending" })) {
+      skipped.push({ email, reason: "already_invited" })
+      continue
+    }
+
+    const invitation = await CapsuleInvitation.create({
+      capsule: capsule._id,
+      email,
+      role: role || capsule.settings.defaultRole || "contributor",
+      invitedBy: inviter._id,
+    })
+    invitations.push(invitation)
+
+    // One bad address should not stop the rest of the batch
+    await sendMail({
+      to: email,
+      ...capsuleInvitationEmail({
+        inviterName: inviter.name,
+        capsuleTitle: capsule.title,
+        hasAccount: Boolean(existingUser),
+      }),
+    }).catch((error) => console.error("Invitation email error:", error))
+
+    if (existingUser) {
+      await notify(io, {
+        recipient: existingUser._id,
+        sender: inviter._id,
+        type: "capsule_invite",
+        title: "Capsule invitation",
+        message: `${inviter.name} invited you to join "${capsule.title}".`,
+        relatedCapsule: capsule._id,
+      })
+    }
+  }
+
+  return { invitations, skipped }
+}
+
+// Settle a pending invitation for the user it was sent to. Accepting adds
+// them with the invited role. Returns null when it was already answered.
+const respondToInvitation = async (invitation, user, status, io) => {
+  const updated = await CapsuleInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: "pending" },
+    { $set: { status, respondedAt: new Date() } },
+    { new: true },
+  )
+  if (!updated || status !== "accepted") return updated
+
+  // invitation.capsule may be populated
+  const capsule = await Capsule.findOne({ _id: invitation.capsule._id, isActive: true })
+  if (!capsule || isMember(capsule, user._id)) return updated
+
+  capsule.contributors.push({ user: user._id, role: invitation.role })
+  capsule.stats.lastActivity = new Date()
+  await capsule.save()
+
+  await User.findByIdAndUpdate(user._id, { $addToSet: { joinedCapsules: capsule._id } })
+
+  if (io) {
+    io.to(`capsule_${capsule._id}`).emit("user_joined", { user: user.toJSON(), capsule: capsule._id })
+  }
+
+  return updated
+}
+
+// A new account takes up every invitation sent to its address, but only once
+// the address is proven: anyone can sign up with an address they do not own
+const acceptPendingInvitations = async (user, io) => {
+  if (!user.isVerified) return
+
+  const invitations = await CapsuleInvitation.find({ email: user.email, status: "pending" }).populate(
+    "capsule",
+    "title isActive",
+  )
+
+  for (const invitation of invitations) {
+    if (!invitation.capsule || !invitation.capsule.isActive) continue
+
+    const accepted = await respondToInvitation(invitation, user, "accepted", io)
+    if (!accepted) continue
+
+    await notify(io, {
+      recipient: user._id,
+      sender: invitation.invitedBy,
+      type: "capsule_invite",
+      title: "You joined a capsule",
+      message: `You were invited to "${invitation.capsule.title}" and are now a member.`,
+      relatedCapsule: invitation.capsule._id,
+    })
+  }
+}
+
+module.exports = {
+  inviteByEmail,
+  respondToInvitation,
+  acceptPendingInvitations,
+}
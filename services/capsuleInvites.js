@@ -0,0 +1,44 @@
+const crypto = require("crypto")
+const CapsuleInvite = require("../models/CapsuleInvite")
+const { clientUrl } = require("./emailTemplates")
+
+// 128 random bits, URL-safe
+const generateInviteCode = () => crypto.randomBytes(16).toString("base64url")
+
+const inviteUrl = (invite) => `${clientUrl()}/join/${invite.code}`
+
+const createInvite = (capsule, user, { role, maxUses, expiresAt }) => {
+  return CapsuleInvite.create({
+    capsule: capsule._id,
+    code: generateInviteCode(),
+    role: role || capsule.settings.defaultRole || "contributor",
+    maxUses,
+    expiresAt,
+    createdBy: user._id,
+  })
+}
+
+// Count one use of a link. The checks and the increment happen in a single
+// update so a link can never be used more often than its limit allows.
+const redeemInvite = (invite) => {
+  const now = new Date()
+
+  return CapsuleInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true },
+  )
+}
+
+module.exports = {
+  inviteUrl,
+  createInvite,
+  redeemInvite,
+}
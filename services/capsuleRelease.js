@@ -0,0 +1,105 @@
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const { scheduleJob, cancelJob, runDueJobs } = require("./scheduledJobs")
+const { getMemberIds } = require("./capsuleSealing")
+const { sendMail } = require("./mailService")
+const { notifyMany } = require("./notificationService")
+const { capsuleReleaseEmail, capsuleReleaseReminderEmail } = require("./emailTemplates")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// (Re)schedule the release of a timed capsule and its reminder. Call it
+// whenever the capsule becomes available again or its reminder setting changes.
+const scheduleRelease = async (capsule) => {
+  if (capsule.type !== "timed" || !capsule.releaseDate || capsule.releasedAt) return
+
+  await scheduleJob("capsule_release", { capsule: capsule._id }, capsule.releaseDate)
+
+  const days = capsule.settings.releaseReminderDays || 0
+  const remindAt = new Date(capsule.releaseDate.getTime() - days * DAY_MS)
+
+  if (days > 0 && remindAt > new Date()) {
+    await scheduleJob("capsule_release_reminder", { capsule: capsule._id }, remindAt)
+  } else {
+    await cancelJob("capsule_release_reminder", { capsule: capsule._id })
+  }
+}
+
+// Emails are opt-in per capsule and best effort
+const emailMembers = async (capsule, recipients, template, extra = {}) => {
+  if (!capsule.settings.emailOnRelease) return
+
+  const users = await User.find({ _id: { $in: recipients } }).select("name email")
+  for (const user of users) {
+    await sendMail({
+      to: user.email,
+      ...template({ name: user.name, capsuleTitle: capsule.title, capsuleId: capsule._id, ...extra }),
+    }).catch((error) => console.error("Capsule release email error:", error))
+  }
+}
+
+// Open a timed capsule. The conditional update lets only one run release it;
+// capsules that are deactivated or in the trash wait until they are back.
+const releaseCapsule = async (capsuleId, io) => {
+  const now = new Date()
+  const capsule = await Capsule.findOneAndUpdate(
+    {
+      _id: capsuleId,
+      type: "timed",
+      releasedAt: null,
+      releaseDate: { $lte: now },
+      isActive: true,
+      deletedAt: null,
+    },
+    { $set: { releasedAt: now } },
+    { new: true },
+  )
+  if (!capsule) return
+
+  const recipients = getMemberIds(capsule)
+
+  // Members kept out of the room while the capsule was sealed hear about it too
+  if (io) {
+    io.to([`capsule_${capsule._id}`, ...recipients.map((id) => `user_${id}`)]).emit("capsule_released", {
+      capsule: capsule._id,
+      releasedAt: capsule.releasedAt,
+    })
+  }
+
+  await notifyMany(io, recipients, {
+    type: "capsule_released",
+    title: "Capsule released",
+    message: `"${capsule.title}" is now open.`,
+    relatedCapsule: capsule._id,
+  })
+  await emailMembers(capsule, recipients, capsuleReleaseEmail)
+}
+
+const remindRelease = async (capsuleId, io) => {
+  const capsule = await Capsule.findOne({ _id: capsuleId, type: "timed", releasedAt: null, isActive: true })
+  if (!capsule || capsule.releaseDate <= new Date()) return
+
+  const days = Math.max(1, Math.round((capsule.releaseDate.getTime() - Date.now()) / DAY_MS))
+  const when = days === 1 ? "tomorrow" : `in ${days} days`
+
+  const recipients = getMemberIds(capsule)
+  await notifyMany(io, recipients, {
+    type: "capsule_release_reminder",
+    title: "Capsule opening soon",
+    message: `"${capsule.title}" will be released ${when}.`,
+    relatedCapsule: capsule._id,
+  })
+  await emailMembers(capsule, recipients, capsuleReleaseReminderEmail, { days })
+}
+
+const handlers = {
+  capsule_release: (job, io) => releaseCapsule(job.capsule, io),
+  capsule_release_reminder: (job, io) => remindRelease(job.capsule, io),
+}
+
+const runDueReleaseJobs = (io) => runDueJobs(handlers, io)
+
+module.exports = {
+  scheduleRelease,
+  runDueReleaseJobs,
+}
@@ -0,0 +1,96 @@
+// Timed capsules stay sealed until their release date. While a capsule is
+// sealed its owner and admins see everything; other members can still add
+// memories, but only ever see their own. Single memories can also be locked
+// with their own unlock date and audience. Every read path goes through these
+// helpers so the rules live in one place.
+
+// Works for populated and plain references
+const idOf = (ref) => (ref._id || ref).toString()
+
+// "owner", the member's role, or null for non-members
+const getMemberRole = (capsule, userId) => {
+  if (idOf(capsule.owner) === userId.toString()) return "owner"
+
+  const member = capsule.contributors.find((c) => c.user && idOf(c.user) === userId.toString())
+  return member ? member.role : null
+}
+
+// Owner and member IDs as strings, without duplicates
+const getMemberIds = (capsule) => {
+  return [...new Set([capsule.owner, ...capsule.contributors.map((c) => c.user)].filter(Boolean).map(idOf))]
+}
+
+const isSealed = (capsule) => {
+  return capsule.type === "timed" && Boolean(capsule.releaseDate) && new Date() < capsule.releaseDate
+}
+
+const canSeeSealedContent = (role) => role === "owner" || role === "admin"
+
+const isSealedFor = (capsule, role) => isSealed(capsule) && !canSeeSealedContent(role)
+
+// Extra memory query conditions for a member of the capsule
+const visibleMemoryFilter = (capsule, role, userId) => (isSealedFor(capsule, role) ? { author: userId } : {})
+
+const canSeeMemory = (capsule, role, memory, userId) => {
+  return !isSealedFor(capsule, role) || (Boolean(memory.author) && idOf(memory.author) === userId.toString())
+}
+
+// Memories with an unlock date in the future or an unlock audience
+const isMemoryRestricted = (memory) => {
+  return (Boolean(memory.unlockAt) && new Date() < memory.unlockAt) || memory.unlockAudience.length > 0
+}
+
+// Locked memories open for their author only; once unlockAt has passed they
+// open for everyone, or just the unlock audience when there is one
+const isMemoryLockedFor = (memory, userId) => {
+  if (memory.author && idOf(memory.author) === userId.toString()) return false
+  if (memory.unlockAt && new Date() < memory.unlockAt) return true
+
+  return memory.unlockAudience.length > 0 && !memory.unlockAudience.some((id) => idOf(id) === userId.toString())
+}
+
+// What members see of a memory that is locked for them
+const memoryPlaceholder = (memory) => ({
+  _id: memory._id,
+  capsule: memory.capsule,
+  author: memory.author,
+  unlockAt: memory.unlockAt,
+  locked: true,
+  createdAt: memory.createdAt,
+})
+
+const presentMemory = (memory, userId) => (isMemoryLockedFor(memory, userId) ? memoryPlaceholder(memory) : memory)
+
+// For broadcasts to the whole capsule room
+const broadcastMemory = (memory) => (isMemoryRestricted(memory) ? memoryPlaceholder(memory) : memory)
+
+const sendSealedResponse = (res, capsule) => {
+  return res.status(403).json({
+    success: false,
+    message: "This capsule is not yet available",
+    releaseDate: capsule.releaseDate,
+  })
+}
+
+const sendLockedResponse = (res, memory) => {
+  return res.status(403).json({
+    success: false,
+    message: "This memory is still locked",
+    unlockAt: memory.unlockAt,
+  })
+}
+
+module.exports = {
+  getMemberRole,
+  getMemberIds,
+  isSealed,
+  isSealedFor,
+  visibleMemoryFilter,
+  canSeeMemory,
+  isMemoryRestricted,
+  isMemoryLockedFor,
+  presentMemory,
+  broadcastMemory,
+  sendSealedResponse,
+  sendLockedResponse,
+}
@@ -0,0 +1,136 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const { notify } = require("./notificationService")
+
+// The owner nominates a member; nothing changes until the nominee accepts
+const requestTransfer = async (capsule, owner, nominee, io) => {
+  capsule.pendingTransfer = { to: nominee._id, requestedAt: new Date() }
+  await capsule.save()
+
+  await notify(io, {
+    recipient: nominee._id,
+    sender: owner._id,
+    type: "capsule_transfer",
+    title: "Capsule ownership offered",
+    message: `${owner.name} wants to make you the owner of "${capsule.title}".`,
+    relatedCapsule: capsule._id,
+  })
+}
+
+// Bring the users' capsule lists in line with the capsule document: the owner
+// created it and every other member joined it. Every update is a $pull or an
+// $addToSet, so running it again after a failure is harmless.
+const syncCapsuleLists = (capsule) => {
+  const ownerId = capsule.owner._id
+  const memberIds = capsule.contributors
+    .map((c) => c.user && c.user._id)
+    .filter((id) => id && id.toString() !== ownerId.toString())
+
+  return User.bulkWrite([
+    {
+      updateOne: {
+        filter: { _id: ownerId },
+        update: { $pull: { joinedCapsules: capsule._id }, $addToSet: { createdCapsules: capsule._id } },
+      },
+    },
+    {
+      updateMany: {
+        filter: { _id: { $in: memberIds } },
+        update: { $pull: { createdCapsules: capsule._id }, $addToSet: { joinedCapsules: capsule._id } },
+      },
+    },
+  ])
+}
+
+// Hand the capsule to the nominee. The capsule document is switched in a
+// single conditional update, so a withdrawn offer, a departed nominee or a
+// second accept can never produce two owners. Returns null when the offer is
+// no longer valid. The user lists follow in a separate idempotent step; if
+// it fails, the new owner accepting again repeats it.
+const acceptTransfer = async (capsule, nominee, io) => {
+  const previousOwner = capsule.owner
+  const newOwner = new mongoose.Types.ObjectId(String(nominee._id))
+  const now = new Date()
+
+  const updated = await Capsule.findOneAndUpdate(
+    {
+      _id: capsule._id,
+      owner: previousOwner,
+      isActive: true,
+      "pendingTransfer.to": newOwner,
+      "contributors.user": newOwner,
+    },
+    [
+      {
+        $set: {
+          owner: newOwner,
+          // The nominee leaves the member list and the previous owner stays on as an admin.
+          // Capsules created through the API already list their owner, so that entry is replaced.
+          contributors: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: "$contributors",
+                  cond: { $not: [{ $in: ["$$this.user", [newOwner, previousOwner]] }] },
+                },
+              },
+              [{ _id: new mongoose.Types.ObjectId(), user: previousOwner, role: "admin", joinedAt: now }],
+            ],
+          },
+          "stats.lastActivity": now,
+        },
+      },
+      { $unset: "pendingTransfer" },
+    ],
+    { new: true },
+  )
+  if (!updated) return null
+
+  await syncCapsuleLists(updated)
+
+  await updated.populate("owner", "name avatarUrl")
+  await updated.populate("contributors.user", "name avatarUrl")
+
+  if (io) {
+    io.to(`capsule_${capsule._id}`).emit("capsule_updated", { capsule: updated, updatedBy: nominee })
+  }
+
+  await notify(io, {
+    recipient: previousOwner,
+    sender: nominee._id,
+    type: "capsule_transfer",
+    title: "Capsule ownership transferred",
+    message: `${nominee.name} is now the owner of "${capsule.title}". You remain an admin.`,
+    relatedCapsule: capsule._id,
+  })
+
+  return updated
+}
+
+// The nominee turns the offer down or the owner withdraws it
+const cancelTransfer = async (capsule, user, io) => {
+  const nomineeId = capsule.pendingTransfer.to
+  const declined = nomineeId.toString() === user._id.toString()
+
+  capsule.pendingTransfer = undefined
+  await capsule.save()
+
+  await notify(io, {
+    recipient: declined ? capsule.owner : nomineeId,
+    sender: user._id,
+    type: "capsule_transfer",
+    title: declined ? "Capsule ownership declined" : "Capsule ownership offer withdrawn",
+    message: declined
+      ? `${user.name} declined to take over "${capsule.title}".`
+      : `${user.name} withdrew the offer to take over "${capsule.title}".`,
+    relatedCapsule: capsule._id,
+  })
+}
+
+module.exports = {
+  requestTransfer,
+  acceptTransfer,
+  cancelTransfer,
+  syncCapsuleLists,
+}
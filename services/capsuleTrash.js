@@ -0,0 +1,101 @@
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const Notification = require("../models/Notification")
+const JoinRequest = require("../models/JoinRequest")
+const CapsuleInvite = require("../models/CapsuleInvite")
+const CapsuleInvitation = require("../models/CapsuleInvitation")
+const ScheduledJob = require("../models/ScheduledJob")
+const { deleteFromCloudinaryByUrl, deleteFolderFromCloudinary } = require("../config/cloudinary")
+
+const TRASH_RETENTION_DAYS = Number.parseInt(process.env.CAPSULE_TRASH_DAYS) || 30
+
+// A claim older than this is assumed to belong to a crashed run and is retried
+const STALE_CLAIM_MS = 60 * 60 * 1000
+
+// Media cleanup is best effort: a missing or already deleted asset must not
+// keep the capsule around
+const removeMedia = async (task) => {
+  try {
+    await task()
+  } catch (error) {
+    console.error("Capsule purge media error:", error)
+  }
+}
+
+// Move a capsule to its owner's trash. It stays restorable until purgeAfter.
+const trashCapsule = async (capsule, io) => {
+  const now = new Date()
+
+  capsule.isActive = false
+  capsule.deletedAt = now
+  capsule.purgeAfter = new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  await capsule.save()
+
+  if (io) {
+    const roomName = `capsule_${capsule._id}`
+    io.to(roomName).emit("capsule_deleted", { capsule: capsule._id })
+    io.in(roomName).socketsLeave(roomName)
+  }
+}
+
+// Returns false once the purge job has claimed the capsule
+const restoreCapsule = async (capsule) => {
+  const result = await Capsule.updateOne(
+    { _id: capsule._id, deletedAt: { $ne: null }, purgingAt: null },
+    {
+      $set: { isActive: true, "stats.lastActivity": new Date() },
+      $unset: { deletedAt: 1, purgeAfter: 1 },
+    },
+  )
+  return result.modifiedCount === 1
+}
+
+// Remove a capsule together with its memories, notifications and media
+const purgeCapsule = async (capsule) => {
+  await MemoryItem.deleteMany({ capsule: capsule._id })
+  await Notification.deleteMany({ relatedCapsule: capsule._id })
+  await JoinRequest.deleteMany({ capsule: capsule._id })
+  await CapsuleInvite.deleteMany({ capsule: capsule._id })
+  await CapsuleInvitation.deleteMany({ capsule: capsule._id })
+  await ScheduledJob.deleteMany({ capsule: capsule._id })
+  await User.updateMany(
+    { $or: [{ joinedCapsules: capsule._id }, { createdCapsules: capsule._id }] },
+    { $pull: { joinedCapsules: capsule._id, createdCapsules: capsule._id } },
+  )
+  await capsule.deleteOne()
+
+  await removeMedia(() => deleteFolderFromCloudinary(`memoryscape/capsules/${capsule._id}`))
+  await removeMedia(() => deleteFromCloudinaryByUrl(capsule.coverImage))
+}
+
+// Permanently delete capsules whose time in the trash is up. Capsules are
+// claimed one at a time so that concurrent runs never purge the same one twice.
+const purgeTrashedCapsules = async () => {
+  let purged = 0
+
+  for (;;) {
+    const now = new Date()
+    const capsule = await Capsule.findOneAndUpdate(
+      {
+        deletedAt: { $ne: null },
+        purgeAfter: { $lte: now },
+        $or: [{ purgingAt: null }, { purgingAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } }],
+      },
+      { $set: { purgingAt: now } },
+      { new: true },
+    )
+    if (!capsule) return purged
+
+    await purgeCapsule(capsule)
+    purged += 1
+  }
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashCapsule,
+  restoreCapsule,
+  purgeCapsule,
+  purgeTrashedCapsules,
+}
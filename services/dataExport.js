@@ -0,0 +1,259 @@
+const fs = require("fs")
+const path = require("path")
+const { once } = require("events")
+const { Readable } = require("stream")
+const jwt = require("jsonwebtoken")
+const archiver = require("archiver")
+const DataExport = require("../models/DataExport")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const { notify } = require("./notificationService")
+const { parseCloudinaryUrl, uploadPrivateFile, deletePrivateFile } = require("../config/cloudinary")
+
+const EXPORT_DIR = process.env.EXPORT_DIR || "exports"
+const EXPORT_TTL_HOURS = Number.parseInt(process.env.EXPORT_TTL_HOURS) || 48
+const DOWNLOAD_PURPOSE = "data-export"
+const MEDIA_TIMEOUT_MS = 5 * 60 * 1000
+// Exports still pending after this long were interrupted by a restart
+const STALE_EXPORT_MS = 6 * 60 * 60 * 1000
+
+// Download links carry their own credential so they work from an email client
+// or a plain browser tab, and stop working when the archive expires. Their
+// audience keeps them from being accepted anywhere but the download route.
+const createDownloadToken = (dataExport) => {
+  const secondsLeft = Math.max(1, Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000))
+  return jwt.sign(
+    { exportId: dataExport._id.toString(), userId: dataExport.user.toString(), purpose: DOWNLOAD_PURPOSE },
+    process.env.JWT_SECRET,
+    { audience: DOWNLOAD_PURPOSE, expiresIn: secondsLeft },
+  )
+}
+
+const readDownloadToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: DOWNLOAD_PURPOSE })
+    return decoded.purpose === DOWNLOAD_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+const downloadUrl = (dataExport, baseUrl = "") => {
+  return `${baseUrl}/api/exports/${dataExport._id}/download?token=${createDownloadToken(dataExport)}`
+}
+
+// Keep only the parts of someone else's memory that the user wrote
+const ownActivity = (memory, userId) => {
+  const isOwn = (entry) => entry.user && entry.user.toString() === userId.toString()
+
+  return {
+    memory: memory._id,
+    capsule: memory.capsule,
+    title: memory.title,
+    comments: memory.comments.filter(isOwn),
+    replies: memory.comments.flatMap((comment) =>
+      (comment.replies || []).filter(isOwn).map((reply) => ({ ...reply, comment: comment._id })),
+    ),
+    reactions: memory.reactions.filter(isOwn),
+  }
+}
+
+const collectData = async (userId) => {
+  const user = await User.findById(userId)
+
+  const capsules = await Capsule.find({ $or: [{ owner: userId }, { "contributors.user": userId }] })
+    .populate("owner", "name")
+    .populate("contributors.user", "name")
+    .lean()
+
+  const memories = await MemoryItem.find({ author: userId })
+    .populate("comments.user", "name")
+    .populate("reactions.user", "name")
+    .sort({ createdAt: 1 })
+    .lean()
+
+  const otherMemories = await MemoryItem.find({
+    author: { $ne: userId },
+    $or: [{ "comments.user": userId }, { "comments.replies.user": userId }, { "reactions.user": userId }],
+  })
+    .select("capsule title comments reactions")
+    .lean()
+
+  return {
+    profile: user.toJSON(),
+    capsules,
+    memories,
+    activity: otherMemories.map((memory) => ownActivity(memory, userId)),
+  }
+}
+
+// Only media hosted on Cloudinary is fetched, never arbitrary URLs
+const mediaEntries = ({ profile, memories }) => {
+  const entries = []
+  const add = (url, name) => {
+    if (!parseCloudinaryUrl(url)) return
+    entries.push({ url, name: `media/${name}${path.extname(new URL(url).pathname)}` })
+  }
+
+  add(profile.avatarUrl, "avatar")
+  memories.forEach((memory) => add(memory.mediaUrl, memory._id.toString()))
+
+  return entries
+}
+
+const writeArchive = async (filePath, data) => {
+  const output = fs.createWriteStream(filePath)
+  const archive = archiver("zip", { zlib: { level: 6 } })
+
+  let archiveError = null
+  const failed = new Promise((resolve, reject) => {
+    const fail = (error) => {
+      archiveError = error
+      reject(error)
+    }
+    archive.on("error", fail)
+    output.on("error", fail)
+  })
+  failed.catch(() => null)
+
+  archive.pipe(output)
+  archive.append(JSON.stringify(data.profile, null, 2), { name: "profile.json" })
+  archive.append(JSON.stringify(data.capsules, null, 2), { name: "capsules.json" })
+  archive.append(JSON.stringify(data.memories, null, 2), { name: "memories.json" })
+  archive.append(JSON.stringify(data.activity, null, 2), { name: "activity.json" })
+
+  // One download at a time; the next starts once the previous entry is written
+  const skippedMedia = []
+  for (const entry of mediaEntries(data)) {
+    try {
+      const response = await fetch(entry.url, { signal: AbortSignal.timeout(MEDIA_TIMEOUT_MS) })
+      if (!response.ok) throw new Error(`Media download failed with status ${response.status}`)
+
+      archive.append(Readable.fromWeb(response.body), { name: entry.name })
+      await Promise.race([once(archive, "entry"), failed])
+    } catch (error) {
+      if (archiveError) throw archiveError
+      skippedMedia.push(entry.url)
+    }
+  }
+
+  if (skippedMedia.length > 0) {
+    archive.append(JSON.stringify(skippedMedia, null, 2), { name: "skipped-media.json" })
+  }
+
+  archive.finalize()
+  await Promise.race([once(output, "close"), failed])
+
+  return { size: archive.pointer(), skippedMedia }
+}
+
+// Finished archives go to Cloudinary as authenticated raw assets, so download
+// links survive restarts and deploys and work on every instance. The local
+// disk (EXPORT_DIR) only holds archives while they are built, and keeps them
+// under tests.
+const exportStorage = () => process.env.EXPORT_STORAGE || (process.env.NODE_ENV === "test" ? "local" : "cloudinary")
+
+const removeFile = async (filePath) => {
+  if (!filePath) return
+  await fs.promises.unlink(filePath).catch((error) => {
+    if (error.code !== "ENOENT") throw error
+  })
+}
+
+const runExport = async (dataExport, { io, baseUrl }) => {
+  const filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`)
+
+  try {
+    dataExport.status = "processing"
+    dataExport.startedAt = new Date()
+    await dataExport.save()
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true })
+    const data = await collectData(dataExport.user)
+    const { size, skippedMedia } = await writeArchive(filePath, data)
+
+    if (exportStorage() === "cloudinary") {
+      dataExport.storageKey = await uploadPrivateFile(filePath, `memoryscape/exports/${dataExport._id}.zip`)
+      await removeFile(filePath)
+    } else {
+      dataExport.filePath = filePath
+    }
+
+    dataExport.status = "ready"
+    dataExport.size = size
+    dataExport.skippedMedia = skippedMedia
+    dataExport.completedAt = new Date()
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000)
+    await dataExport.save()
+
+    await notify(io, {
+      recipient: dataExport.user,
+      type: "data_export_ready",
+      title: "Your data export is ready",
+      message: `Your archive can be downloaded until ${dataExport.expiresAt.toUTCString()}.`,
+      actionUrl: downloadUrl(dataExport, baseUrl),
+    })
+  } catch (error) {
+    console.error("Data export error:", error)
+    await removeFile(filePath).catch(() => null)
+
+    dataExport.status = "failed"
+    dataExport.error = error.message
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000)
+    await dataExport.save().catch(() => null)
+  }
+}
+
+// Create the export record and build the archive in the background
+const requestExport = async (user, { io, baseUrl } = {}) => {
+  const dataExport = await DataExport.create({ user: user._id })
+
+  setImmediate(() => runExport(dataExport, { io, baseUrl }))
+
+  return dataExport
+}
+
+const findActiveExport = (userId) => {
+  return DataExport.findOne({ user: userId, status: { $in: ["pending", "processing"] } })
+}
+
+const removeExport = async (dataExport) => {
+  await removeFile(dataExport.filePath)
+  if (dataExport.storageKey) {
+    await deletePrivateFile(dataExport.storageKey)
+  }
+  await dataExport.deleteOne()
+}
+
+const removeUserExports = async (userId) => {
+  const dataExports = await DataExport.find({ user: userId })
+  for (const dataExport of dataExports) {
+    await removeExport(dataExport)
+  }
+}
+
+// Scheduler task: drop expired archives and exports interrupted by a restart
+const purgeExpiredExports = async () => {
+  const now = new Date()
+  const dataExports = await DataExport.find({
+    $or: [
+      { expiresAt: { $lte: now } },
+      { status: { $in: ["pending", "processing"] }, createdAt: { $lt: new Date(now.getTime() - STALE_EXPORT_MS) } },
+    ],
+  })
+
+  for (const dataExport of dataExports) {
+    await removeExport(dataExport)
+  }
+  return dataExports.length
+}
+
+module.exports = {
+  requestExport,
+  findActiveExport,
+  downloadUrl,
+  readDownloadToken,
+  removeUserExports,
+  purgeExpiredExports,
+}
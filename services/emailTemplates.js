@@ -0,0 +1,125 @@
+// Transactional email content. Each template returns { subject, text, html }
+// ready to hand to mailService.sendMail.
+
+const clientUrl = () => process.env.CLIENT_URL || "https://memoryscape-frontend.vercel.app"
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char])
+
+const layout = (heading, paragraphs, action) => {
+  const body = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("")
+  const button = action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : ""
+  return `<h2>${escapeHtml(heading)}</h2>${body}${button}`
+}
+
+const verificationEmail = ({ name, token }) => {
+  const url = `${clientUrl()}/verify-email/${token}`
+
+  return {
+    subject: "Verify your Memoryscape email",
+    text: `Hi ${name},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+    html: layout(
+      "Verify your email",
+      [`Hi ${name},`, "Please confirm your email address. The link expires in 24 hours."],
+      { url, label: "Verify email" },
+    ),
+  }
+}
+
+const passwordResetEmail = ({ name, token }) => {
+  const url = `${clientUrl()}/reset-password/${token}`
+
+  return {
+    subject: "Reset your Memoryscape password",
+    text: `Hi ${name},\n\nSomeone asked to reset the password of your account. Open this link to choose a new one:\n${url}\n\nThe link expires in 30 minutes and can only be used once. If you did not ask for this, you can ignore this email.`,
+    html: layout(
+      "Reset your password",
+      [
+        `Hi ${name},`,
+        "Someone asked to reset the password of your account. The link expires in 30 minutes and can only be used once.",
+        "If you did not ask for this, you can ignore this email.",
+      ],
+      { url, label: "Choose a new password" },
+    ),
+  }
+}
+
+const magicLinkEmail = ({ name, token, capsuleTitle }) => {
+  const url = `${clientUrl()}/magic-link/${token}`
+  const intro = capsuleTitle
+    ? `Open this link to create your account and join "${capsuleTitle}".`
+    : "Open this link to sign in to Memoryscape."
+  const greeting = name ? `Hi ${name},` : "Hi,"
+
+  return {
+    subject: capsuleTitle ? `Join "${capsuleTitle}" on Memoryscape` : "Your Memoryscape sign-in link",
+    text: `${greeting}\n\n${intro}\n${url}\n\nThe link expires in 15 minutes, works once, and only in the browser where you asked for it. If you did not ask for this, you can ignore this email.`,
+    html: layout(
+      capsuleTitle ? "Join Memoryscape" : "Sign in to Memoryscape",
+      [
+        greeting,
+        intro,
+        "The link expires in 15 minutes, works once, and only in the browser where you asked for it.",
+        "If you did not ask for this, you can ignore this email.",
+      ],
+      { url, label: capsuleTitle ? "Create my account" : "Sign in" },
+    ),
+  }
+}
+
+const capsuleInvitationEmail = ({ inviterName, capsuleTitle, hasAccount }) => {
+  const url = hasAccount ? `${clientUrl()}/invitations` : `${clientUrl()}/register`
+  const next = hasAccount
+    ? "Sign in to accept or decline the invitation."
+    : "Create an account with this email address and you will join automatically."
+
+  return {
+    subject: `${inviterName} invited you to "${capsuleTitle}" on Memoryscape`,
+    text: `Hi,\n\n${inviterName} invited you to share memories in "${capsuleTitle}". ${next}\n${url}`,
+    html: layout(
+      `Join "${capsuleTitle}"`,
+      ["Hi,", `${inviterName} invited you to share memories in "${capsuleTitle}".`, next],
+      { url, label: hasAccount ? "View invitation" : "Create my account" },
+    ),
+  }
+}
+
+const capsuleReleaseEmail = ({ name, capsuleTitle, capsuleId }) => {
+  const url = `${clientUrl()}/capsules/${capsuleId}`
+
+  return {
+    subject: `"${capsuleTitle}" is now open`,
+    text: `Hi ${name},\n\nThe time capsule "${capsuleTitle}" has been released. Open it here:\n${url}`,
+    html: layout(
+      `"${capsuleTitle}" is now open`,
+      [`Hi ${name},`, `The time capsule "${capsuleTitle}" has been released.`],
+      { url, label: "Open capsule" },
+    ),
+  }
+}
+
+const capsuleReleaseReminderEmail = ({ name, capsuleTitle, capsuleId, days }) => {
+  const url = `${clientUrl()}/capsules/${capsuleId}`
+  const when = days === 1 ? "tomorrow" : `in ${days} days`
+
+  return {
+    subject: `"${capsuleTitle}" opens ${when}`,
+    text: `Hi ${name},\n\nThe time capsule "${capsuleTitle}" will be released ${when}.\n${url}`,
+    html: layout(
+      `"${capsuleTitle}" opens ${when}`,
+      [`Hi ${name},`, `The time capsule "${capsuleTitle}" will be released ${when}.`],
+      { url, label: "View capsule" },
+    ),
+  }
+}
+
+module.exports = {
+  clientUrl,
+  escapeHtml,
+  verificationEmail,
+  passwordResetEmail,
+  magicLinkEmail,
+  capsuleInvitationEmail,
+  capsuleReleaseEmail,
+  capsuleReleaseReminderEmail,
+}
@@ -0,0 +1,120 @@
+const User = require("../models/User")
+const JoinRequest = require("../models/JoinRequest")
+const { notify, notifyMany } = require("./notificationService")
+
+// How long a rejected user has to wait before asking again
+const REJECTION_COOLDOWN_HOURS = Number.parseInt(process.env.JOIN_REQUEST_COOLDOWN_HOURS) || 24
+
+const capsuleManagers = (capsule) => [
+  capsule.owner,
+  ...capsule.contributors.filter((c) => c.role === "admin").map((c) => c.user),
+]
+
+// Seconds until the user may ask again after a rejection, or 0
+const rejectionCooldown = async (capsule, user) => {
+  const since = new Date(Date.now() - REJECTION_COOLDOWN_HOURS * 60 * 60 * 1000)
+  const rejection = await JoinRequest.findOne({
+    capsule: capsule._id,
+    user: user._id,
+    status: "rejected",
+    decidedAt: { $gt: since },
+  }).sort({ decidedAt: -1 })
+
+  if (!rejection) return 0
+  return Math.ceil((rejection.decidedAt.getTime() - since.getTime()) / 1000)
+}
+
+// Queue a request and let the owner and admins know
+const createJoinRequest = async (capsule, user, message, io) => {
+  const joinRequest = await JoinRequest.create({ capsule: capsule._id, user: user._id, message })
+
+  await notifyMany(io, capsuleManagers(capsule), {
+    sender: user._id,
+    type: "join_request",
+    title: "New join request",
+    message: `${user.name} asked to join "${capsule.title}".`,
+    relatedCapsule: capsule._id,
+  })
+
+  if (io) {
+    capsuleManagers(capsule).forEach((manager) => {
+      io.to(`user_${manager}`).emit("join_request_created", { capsule: capsule._id, joinRequest })
+    })
+  }
+
+  return joinRequest
+}
+
+const announceDecision = async (capsule, joinRequest, decidedBy, io) => {
+  const approved = joinRequest.status === "approved"
+
+  await notify(io, {
+    recipient: joinRequest.user,
+    sender: decidedBy._id,
+    type: "join_request",
+    title: approved ? "Join request approved" : "Join request declined",
+    message: approved
+      ? `You are now a member of "${capsule.title}".`
+      : `Your request to join "${capsule.title}" was declined.`,
+    relatedCapsule: capsule._id,
+  })
+
+  if (io) {
+    io.to(`user_${joinRequest.user}`).emit("join_request_decided", {
+      capsule: capsule._id,
+      joinRequest: joinRequest._id,
+      status: joinRequest.status,
+    })
+  }
+}
+
+// Settle a pending request. Returns null when it was already decided, so two
+// admins acting at once cannot both apply a decision.
+const decideJoinRequest = (capsule, requestId, status, decidedBy) => {
+  return JoinRequest.findOneAndUpdate(
+    { _id: requestId, capsule: capsule._id, status: "pending" },
+    { $set: { status, decidedBy: decidedBy._id, decidedAt: new Date() } },
+    { new: true },
+  )
+}
+
+const approveJoinRequest = async (capsule, requestId, decidedBy, io) => {
+  const joinRequest = await decideJoinRequest(capsule, requestId, "approved", decidedBy)
+  if (!joinRequest) return null
+
+  const user = await User.findById(joinRequest.user)
+  const isMember =
+    capsule.owner.toString() === joinRequest.user.toString() ||
+    capsule.contributors.some((c) => c.user.toString() === joinRequest.user.toString())
+
+  if (user && !isMember) {
+    capsule.contributors.push({ user: user._id, role: capsule.settings.defaultRole || "contributor" })
+    capsule.stats.lastActivity = new Date()
+    await capsule.save()
+
+    await User.findByIdAndUpdate(user._id, { $addToSet: { joinedCapsules: capsule._id } })
+
+    if (io) {
+      io.to(`capsule_${capsule._id}`).emit("user_joined", { user: user.toJSON(), capsule: capsule._id })
+    }
+  }
+
+  await announceDecision(capsule, joinRequest, decidedBy, io)
+  return joinRequest
+}
+
+const rejectJoinRequest = async (capsule, requestId, decidedBy, io) => {
+  const joinRequest = await decideJoinRequest(capsule, requestId, "rejected", decidedBy)
+  if (!joinRequest) return null
+
+  await announceDecision(capsule, joinRequest, decidedBy, io)
+  return joinRequest
+}
+
+module.exports = {
+  REJECTION_COOLDOWN_HOURS,
+  rejectionCooldown,
+  createJoinRequest,
+  approveJoinRequest,
+  rejectJoinRequest,
+}
@@ -0,0 +1,162 @@
+const LoginAttempt = require("../models/LoginAttempt")
+
+// Lockout policies. After `threshold` failures every further failure locks the
+// key for baseLockMs * 2^(failures - threshold), capped at maxLockMs.
+const policies = {
+  email: { threshold: 5, baseLockMs: 60 * 1000, maxLockMs: 60 * 60 * 1000 },
+  ip: { threshold: 20, baseLockMs: 60 * 1000, maxLockMs: 60 * 60 * 1000 },
+}
+
+// Failures are forgotten after this long without a new one
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000
+
+const lockDuration = (policy, failures) => {
+  if (failures < policy.threshold) return 0
+  return Math.min(policy.baseLockMs * 2 ** (failures - policy.threshold), policy.maxLockMs)
+}
+
+// Shared store backed by MongoDB so counters work across instances
+const mongoStore = {
+  get: (key) => LoginAttempt.findOne({ key }).lean(),
+
+  recordFailure: async (key, policy) => {
+    const now = Date.now()
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { expiresAt: new Date(now + COUNTER_TTL_MS) } },
+      { upsert: true, new: true },
+    )
+
+    const duration = lockDuration(policy, attempt.failures)
+    if (duration > 0) {
+      attempt.lockedUntil = new Date(now + duration)
+      await attempt.save()
+    }
+
+    return attempt.toObject()
+  },
+
+  reset: (key) => LoginAttempt.deleteOne({ key }),
+}
+
+// In-process store for tests and single-instance development
+const createMemoryStore = () => {
+  const attempts = new Map()
+
+  const get = async (key) => {
+    const attempt = attempts.get(key)
+    if (attempt && attempt.expiresAt <= new Date()) {
+      attempts.delete(key)
+      return null
+    }
+    return attempt || null
+  }
+
+  return {
+    get,
+
+    recordFailure: async (key, policy) => {
+      const now = Date.now()
+      const attempt = (await get(key)) || { key, failures: 0 }
+
+      attempt.failures += 1
+      attempt.expiresAt = new Date(now + COUNTER_TTL_MS)
+
+      const duration = lockDuration(policy, attempt.failures)
+      if (duration > 0) attempt.lockedUntil = new Date(now + duration)
+
+      attempts.set(key, attempt)
+      return { ...attempt }
+    },
+
+    reset: async (key) => {
+      attempts.delete(key)
+    },
+
+    clear: () => attempts.clear(),
+  }
+}
+
+const memoryStore = createMemoryStore()
+
+const selectStore = () => {
+  const name = process.env.LOGIN_THROTTLE_STORE || (process.env.NODE_ENV === "test" ? "memory" : "mongo")
+  return name === "memory" ? memoryStore : mongoStore
+}
+
+let store = selectStore()
+
+const setStore = (nextStore) => {
+  store = nextStore
+}
+
+const keysFor = ({ email, ip }) => ({
+  email: `email:${String(email || "").toLowerCase()}`,
+  ip: `ip:${ip || "unknown"}`,
+})
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000))
+
+// Returns { scope, retryAfter } when the email or IP is currently locked out, else null
+const checkLock = async (identity) => {
+  const keys = keysFor(identity)
+  const [emailAttempt, ipAttempt] = await Promise.all([store.get(keys.email), store.get(keys.ip)])
+  const now = new Date()
+
+  if (emailAttempt && emailAttempt.lockedUntil && emailAttempt.lockedUntil > now) {
+    return { scope: "email", retryAfter: secondsUntil(emailAttempt.lockedUntil) }
+  }
+  if (ipAttempt && ipAttempt.lockedUntil && ipAttempt.lockedUntil > now) {
+    return { scope: "ip", retryAfter: secondsUntil(ipAttempt.lockedUntil) }
+  }
+  return null
+}
+
+// Count a failed attempt. `accountLocked` is true when this failure started a lockout of the email.
+const recordFailure = async (identity) => {
+  const keys = keysFor(identity)
+  const [emailAttempt] = await Promise.all([
+    store.recordFailure(keys.email, policies.email),
+    store.recordFailure(keys.ip, policies.ip),
+  ])
+
+  return {
+    failures: emailAttempt.failures,
+    accountLocked: emailAttempt.failures >= policies.email.threshold,
+    retryAfter: emailAttempt.lockedUntil ? secondsUntil(emailAttempt.lockedUntil) : 0,
+  }
+}
+
+// A successful login clears the account counter. The IP counter is kept so a
+// valid account cannot be used to reset an attacker's budget.
+const recordSuccess = (identity) => store.reset(keysFor(identity).email)
+
+// Send the standard lockout response
+const sendLockedResponse = (res, lock) => {
+  res.set("Retry-After", String(lock.retryAfter))
+
+  if (lock.scope === "email") {
+    return res.status(423).json({
+      success: false,
+      message: "Account temporarily locked due to too many failed login attempts",
+      retryAfter: lock.retryAfter,
+    })
+  }
+
+  return res.status(429).json({
+    success: false,
+    message: "Too many failed login attempts, please try again later",
+    retryAfter: lock.retryAfter,
+  })
+}
+
+module.exports = {
+  policies,
+  checkLock,
+  recordFailure,
+  recordSuccess,
+  sendLockedResponse,
+  setStore,
+  memoryStore,
+  mongoStore,
+}
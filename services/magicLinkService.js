@@ -0,0 +1,133 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const MagicLink = require("../models/MagicLink")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const { hashToken } = require("./sessionService")
+const { sendMail } = require("./mailService")
+const { magicLinkEmail } = require("./emailTemplates")
+const { createJoinRequest } = require("./joinRequestService")
+const { acceptPendingInvitations } = require("./capsuleInvitations")
+
+const MAGIC_LINK_PURPOSE = "magic-link"
+const MAGIC_LINK_TTL_MINUTES = 15
+
+// Capsules opt in to letting their invite create accounts without a password
+const signupCapsuleQuery = (capsuleId) => ({
+  _id: capsuleId,
+  isActive: true,
+  "settings.allowMagicLinkSignup": true,
+})
+
+// Email a sign-in link. The returned browser token must be kept by the
+// requesting device and sent back with the link; it is returned even when no
+// email goes out so the response does not reveal whether an account exists.
+const requestMagicLink = async ({ email, name, capsuleId, inviteCode }, req) => {
+  const browserToken = crypto.randomBytes(32).toString("base64url")
+
+  const user = await User.findOne({ email })
+  const capsule =
+    !user && capsuleId && inviteCode ? await Capsule.findOne({ ...signupCapsuleQuery(capsuleId), inviteCode }) : null
+
+  if ((user && !user.isSuspended()) || capsule) {
+    const link = await MagicLink.create({
+      email,
+      user: user ? user._id : undefined,
+      capsule: capsule ? capsule._id : undefined,
+      name: user ? undefined : name,
+      browserSecretHash: hashToken(browserToken),
+      ip: req.ip || "",
+      expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000),
+    })
+
+    const token = jwt.sign({ linkId: link._id.toString(), purpose: MAGIC_LINK_PURPOSE }, process.env.JWT_SECRET, {
+      audience: MAGIC_LINK_PURPOSE,
+      expiresIn: `${MAGIC_LINK_TTL_MINUTES}m`,
+    })
+
+    await sendMail({
+      to: email,
+      ...magicLinkEmail({ name: user ? user.name : name, token, capsuleTitle: capsule && capsule.title }),
+    })
+  }
+
+  return browserToken
+}
+
+// Use up a link. Returns null for invalid, expired or already used links and
+// for links opened in another browser than the one that requested them.
+const consumeMagicLink = async (token, browserToken) => {
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: MAGIC_LINK_PURPOSE })
+  } catch (error) {
+    return null
+  }
+  if (decoded.purpose !== MAGIC_LINK_PURPOSE || !browserToken) return null
+
+  return MagicLink.findOneAndUpdate(
+    {
+      _id: decoded.linkId,
+      browserSecretHash: hashToken(browserToken),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true },
+  )
+}
+
+// The account a used link signs in to. Invite links create it on first use
+// and add the new user to the capsule, or ask to join when the capsule
+// requires approval; capsule is only set when the user joined. Suspended
+// accounts are returned untouched so the caller can refuse them.
+const resolveMagicLinkUser = async (link, io) => {
+  const existing = await User.findOne(link.user ? { _id: link.user } : { email: link.email })
+  if (existing && existing.isSuspended()) {
+    return { user: existing, capsule: null, created: false }
+  }
+  if (existing) {
+    // Opening the emailed link proves the address
+    if (!existing.isVerified && existing.email === link.email) {
+      existing.isVerified = true
+      await existing.save()
+      await acceptPendingInvitations(existing, io)
+    }
+    return { user: existing, capsule: null, created: false }
+  }
+
+  if (link.user || !link.capsule) return { user: null, capsule: null }
+
+  const capsule = await Capsule.findOne(signupCapsuleQuery(link.capsule))
+  if (!capsule) return { user: null, capsule: null }
+
+  const needsApproval = capsule.settings.requireApproval
+  const user = await User.create({
+    name: link.name || link.email.split("@")[0].slice(0, 50),
+    email: link.email,
+    passwordless: true,
+    isVerified: true,
+    joinedCapsules: needsApproval ? [] : [capsule._id],
+  })
+
+  if (needsApproval) {
+    await createJoinRequest(capsule, user, "", io)
+    await acceptPendingInvitations(user, io)
+    return { user, capsule: null, created: true }
+  }
+
+  capsule.contributors.push({ user: user._id, role: capsule.settings.defaultRole || "contributor" })
+  capsule.stats.lastActivity = new Date()
+  await capsule.save()
+
+  // Join the capsules this address was invited to
+  await acceptPendingInvitations(user, io)
+
+  return { user, capsule, created: true }
+}
+
+module.exports = {
+  requestMagicLink,
+  consumeMagicLink,
+  resolveMagicLinkUser,
+}
@@ -0,0 +1,106 @@
+const fs = require("fs")
+const path = require("path")
+const nodemailer = require("nodemailer")
+
+// Messages sent through the memory transport, used by tests
+const outbox = []
+
+// Built-in transports. Each one only needs a send(message) method, so a custom
+// transport can be plugged in with setTransport().
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number.parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    })
+
+    return {
+      name: "smtp",
+      send: (message) => transporter.sendMail(message),
+    }
+  },
+
+  // Writes every message as a JSON file, handy for local development
+  file: () => {
+    const directory = process.env.MAIL_FILE_DIR || "mail"
+
+    return {
+      name: "file",
+      send: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true })
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`
+        await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2))
+        return { fileName }
+      },
+    }
+  },
+
+  // Only logs the recipient and subject: bodies carry sign-in and reset tokens
+  console: () => ({
+    name: "console",
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}`)
+      return {}
+    },
+  }),
+
+  memory: () => ({
+    name: "memory",
+    send: async (message) => {
+      outbox.push(message)
+      return {}
+    },
+  }),
+}
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT
+  if (process.env.NODE_ENV === "test") return "memory"
+  if (process.env.SMTP_HOST) return "smtp"
+
+  // Outside development a missing mail setup is an error, not a silent fallback
+  if ((process.env.NODE_ENV || "development") !== "development") {
+    throw new Error("Mail is not configured: set SMTP_HOST or MAIL_TRANSPORT")
+  }
+  return "console"
+}
+
+let transport = null
+
+const getTransport = () => {
+  if (!transport) {
+    const name = defaultTransportName()
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`)
+    }
+    transport = transports[name]()
+  }
+  return transport
+}
+
+// Replace the active transport, either by name or with a custom { send } object
+const setTransport = (nameOrTransport) => {
+  transport = typeof nameOrTransport === "string" ? transports[nameOrTransport]() : nameOrTransport
+  return transport
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "Memoryscape <no-reply@memoryscape.com>",
+    to,
+    subject,
+    text,
+    html,
+  }
+
+  return getTransport().send(message)
+}
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  outbox,
+}
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const { getMemberRole, isSealedFor } = require("./capsuleSealing")
+const { searchTerms, highlight, snippet } = require("./searchHighlight")
+
+const MAX_COMMENT_HIGHLIGHTS = 3
+
+// Cursors are opaque to clients: the sort values of the last result, base64url-encoded
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString("base64url")
+
+const decodeCursor = (cursor, ranked) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString())
+    if (!mongoose.isValidObjectId(values.id)) return null
+    if (ranked ? typeof values.score !== "number" : Number.isNaN(Date.parse(values.createdAt))) return null
+    return values
+  } catch (error) {
+    return null
+  }
+}
+
+// Capsules the user can read, checked like checkCapsulePermission("viewer")
+// does: active, not in the trash, and the user is a member
+const findSearchableCapsules = (userId) => {
+  return Capsule.find({
+    $or: [{ owner: userId }, { "contributors.user": userId }],
+    isActive: true,
+    deletedAt: null,
+  }).select("owner contributors type releaseDate")
+}
+
+// Which memories of those capsules the user may see. Sealed capsules only
+// show the user's own memories, and locked memories are never matched, so
+// their content cannot leak through search.
+const visibleMemoriesQuery = (capsules, userId) => {
+  const open = []
+  const sealed = []
+  capsules.forEach((capsule) => {
+    const role = getMemberRole(capsule, userId)
+    if (role) (isSealedFor(capsule, role) ? sealed : open).push(capsule._id)
+  })
+
+  const now = new Date()
+  return {
+    $and: [
+      { $or: [{ capsule: { $in: open } }, { capsule: { $in: sealed }, author: userId }] },
+      {
+        $or: [
+          { author: userId },
+          {
+            $and: [
+              { $or: [{ unlockAt: null }, { unlockAt: { $lte: now } }] },
+              { $or: [{ "unlockAudience.0": { $exists: false } }, { unlockAudience: userId }] },
+            ],
+          },
+        ],
+      },
+    ],
+  }
+}
+
+const memoryHighlights = (memory, terms) => {
+  const highlights = {}
+
+  const title = highlight(memory.title, terms)
+  if (title) highlights.title = title
+
+  const text = snippet(memory.text, terms)
+  if (text) highlights.text = text
+
+  const tags = (memory.tags || []).map((tag) => highlight(tag, terms)).filter(Boolean)
+  if (tags.length > 0) highlights.tags = tags
+
+  const location = memory.location && highlight(memory.location.name, terms)
+  if (location) highlights.location = location
+
+  const comments = (memory.comments || [])
+    .map((comment) => ({ _id: comment._id, text: snippet(comment.text, terms) }))
+    .filter((comment) => comment.text)
+    .slice(0, MAX_COMMENT_HIGHLIGHTS)
+  if (comments.length > 0) highlights.comments = comments
+
+  return highlights
+}
+
+// Search the memories, and their comments, of every capsule the user can
+// read. With a search string results are ranked by relevance, otherwise
+// newest first; either way `cursor` continues after the previous page.
+const searchMemories = async (userId, { search, capsules, type, author, from, to, cursor, limit }) => {
+  const ranked = Boolean(search)
+  const match = visibleMemoriesQuery(capsules, userId)
+  if (search) match.$text = { $search: search }
+  if (type) match.type = type
+  if (author) match.author = new mongoose.Types.ObjectId(author)
+  if (from || to) {
+    match.createdAt = {}
+    if (from) match.createdAt.$gte = new Date(from)
+    if (to) match.createdAt.$lte = new Date(to)
+  }
+
+  const after = cursor && decodeCursor(cursor, ranked)
+  if (cursor && !after) return null
+
+  const afterId = after && new mongoose.Types.ObjectId(after.id)
+  const sortField = ranked ? "score" : "createdAt"
+  const sortValue = after && (ranked ? after.score : new Date(after.createdAt))
+
+  const results = await MemoryItem.aggregate([
+    { $match: match },
+    ...(ranked ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    ...(after
+      ? [{ $match: { $or: [{ [sortField]: { $lt: sortValue } }, { [sortField]: sortValue, _id: { $lt: afterId } }] } }]
+      : []),
+    { $sort: { [sortField]: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: { reactions: 0, "comments.replies": 0 } },
+  ])
+
+  const hasMore = results.length > limit
+  const page = results.slice(0, limit)
+  await MemoryItem.populate(page, [
+    { path: "author", select: "name avatarUrl" },
+    { path: "capsule", select: "title theme" },
+  ])
+
+  const terms = searchTerms(search)
+  const memories = page.map(({ comments, ...memory }) => ({
+    ...memory,
+    commentCount: (comments || []).length,
+    ...(ranked ? { highlights: memoryHighlights({ ...memory, comments }, terms) } : {}),
+  }))
+
+  const last = page[page.length - 1]
+  return {
+    memories,
+    nextCursor: hasMore
+      ? encodeCursor(ranked ? { score: last.score, id: last._id } : { createdAt: last.createdAt, id: last._id })
+      : null,
+  }
+}
+
+module.exports = {
+  findSearchableCapsules,
+  searchMemories,
+}
@@ -0,0 +1,84 @@
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const { scheduleJob, cancelJob, runDueJobs } = require("./scheduledJobs")
+const { notifyMany } = require("./notificationService")
+const { getMemberIds, getMemberRole, isSealedFor, isMemoryLockedFor } = require("./capsuleSealing")
+
+const jobTarget = (memory) => ({ capsule: memory.capsule, memory: memory._id })
+
+// Schedule the unlock of an "open when" memory
+const scheduleMemoryUnlock = (memory) => {
+  if (!memory.unlockAt || memory.unlockAt <= new Date()) return cancelJob("memory_unlock", jobTarget(memory))
+  return scheduleJob("memory_unlock", jobTarget(memory), memory.unlockAt)
+}
+
+const cancelMemoryUnlock = (memory) => cancelJob("memory_unlock", jobTarget(memory))
+
+// Unlocks that came due while the capsule was deactivated or in the trash are
+// queued again. Call it whenever the capsule becomes available again.
+const scheduleCapsuleUnlocks = async (capsule) => {
+  const memories = await MemoryItem.find({ capsule: capsule._id, unlockedAt: null, unlockAt: { $ne: null } }).select(
+    "capsule unlockAt",
+  )
+
+  for (const memory of memories) {
+    await scheduleJob("memory_unlock", jobTarget(memory), memory.unlockAt)
+  }
+}
+
+// Tell the members a memory has opened for. The conditional update makes sure
+// they are told once; members of a sealed capsule hear about it on release.
+// Memories of a deactivated or trashed capsule stay pending until it is back.
+const unlockMemory = async (memoryId, io) => {
+  const pending = await MemoryItem.findOne({ _id: memoryId, unlockedAt: null }).select("capsule")
+  if (!pending) return
+
+  const capsule = await Capsule.findById(pending.capsule)
+  if (!capsule || !capsule.isActive || capsule.deletedAt) return
+
+  const now = new Date()
+  const memory = await MemoryItem.findOneAndUpdate(
+    { _id: memoryId, unlockedAt: null, unlockAt: { $lte: now } },
+    { $set: { unlockedAt: now } },
+    { new: true },
+  ).populate("author", "name avatarUrl")
+  if (!memory) return
+
+  const recipients = getMemberIds(capsule).filter(
+    (id) =>
+      !(memory.author && memory.author._id.toString() === id) &&
+      !isSealedFor(capsule, getMemberRole(capsule, id)) &&
+      !isMemoryLockedFor(memory, id),
+  )
+  if (!recipients.length) return
+
+  if (io) {
+    io.to(recipients.map((id) => `user_${id}`)).emit("memory_unlocked", {
+      memory,
+      capsule: capsule._id,
+    })
+  }
+
+  const authorName = memory.author ? memory.author.name : "A former member"
+  await notifyMany(io, recipients, {
+    sender: memory.author ? memory.author._id : undefined,
+    type: "memory_unlocked",
+    title: "Memory unlocked",
+    message: `${authorName} left a memory in "${capsule.title}" that is now open.`,
+    relatedCapsule: capsule._id,
+    relatedMemory: memory._id,
+  })
+}
+
+const handlers = {
+  memory_unlock: (job, io) => unlockMemory(job.memory, io),
+}
+
+const runDueUnlockJobs = (io) => runDueJobs(handlers, io)
+
+module.exports = {
+  scheduleMemoryUnlock,
+  cancelMemoryUnlock,
+  scheduleCapsuleUnlocks,
+  runDueUnlockJobs,
+}
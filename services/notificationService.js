@@ -0,0 +1,22 @@
+const Notification = require("../models/Notification")
+
+// Persist a notification and push it to the recipient's open sockets
+const notify = async (io, data) => {
+  const notification = await Notification.create(data)
+
+  if (io) {
+    io.to(`user_${data.recipient}`).emit("notification", notification)
+  }
+
+  return notification
+}
+
+// Same notification for several recipients
+const notifyMany = (io, recipients, data) => {
+  return Promise.all(recipients.map((recipient) => notify(io, { ...data, recipient })))
+}
+
+module.exports = {
+  notify,
+  notifyMany,
+}
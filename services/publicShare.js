@@ -0,0 +1,152 @@
+const crypto = require("crypto")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const { clientUrl } = require("./emailTemplates")
+const { isSealed } = require("./capsuleSealing")
+
+const shareUrl = (capsule) => `${clientUrl()}/p/${capsule.publicShare.slug}`
+
+// "Summer 2024 at the Lake!" -> "summer-2024-at-the-lake-3f9a1c2b". The random
+// suffix keeps slugs unique and makes a rotated slug hard to guess.
+const slugify = (title) => {
+  const base = title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50)
+    .replace(/-+$/, "")
+
+  return `${base || "capsule"}-${crypto.randomBytes(4).toString("hex")}`
+}
+
+const generateSlug = async (title) => {
+  for (;;) {
+    const slug = slugify(title)
+    if (!(await Capsule.exists({ "publicShare.slug": slug }))) return slug
+  }
+}
+
+// Turn the public page on or off. The slug survives turning it off, so
+// re-enabling brings the old link back; rotate it to break old links.
+const setPublicShare = async (capsule, enabled) => {
+  if (enabled && !capsule.publicShare.slug) {
+    capsule.publicShare.slug = await generateSlug(capsule.title)
+  }
+  capsule.publicShare.enabled = enabled
+  await capsule.save()
+}
+
+const rotatePublicSlug = async (capsule) => {
+  capsule.publicShare.slug = await generateSlug(capsule.title)
+  await capsule.save()
+}
+
+const findSharedCapsule = (slug) => {
+  return Capsule.findOne({
+    "publicShare.slug": slug,
+    "publicShare.enabled": true,
+    type: { $ne: "private" },
+    isActive: true,
+    deletedAt: null,
+  })
+    .populate("owner", "name avatarUrl")
+    .populate("contributors.user", "name avatarUrl")
+}
+
+const person = (user) => (user ? { name: user.name, avatarUrl: user.avatarUrl } : null)
+
+// Only what a stranger may see: no emails, invite codes or settings beyond
+// what the page needs
+const sanitizeCapsule = (capsule) => ({
+  slug: capsule.publicShare.slug,
+  title: capsule.title,
+  description: capsule.description,
+  type: capsule.type,
+  theme: capsule.theme,
+  tags: capsule.tags,
+  coverImage: capsule.coverImage,
+  releaseDate: capsule.releaseDate,
+  sealed: isSealed(capsule),
+  owner: person(capsule.owner),
+  members: capsule.contributors.filter((c) => c.user).map((c) => ({ ...person(c.user), role: c.role })),
+  allowComments: capsule.settings.allowComments,
+  allowReactions: capsule.settings.allowReactions,
+  stats: {
+    totalMemories: capsule.stats.totalMemories,
+    totalContributors: capsule.stats.totalContributors,
+  },
+  createdAt: capsule.createdAt,
+})
+
+const sanitizeComment = (comment) => ({
+  _id: comment._id,
+  user: person(comment.user),
+  text: comment.text,
+  createdAt: comment.createdAt,
+})
+
+// Locations keep their name but lose their coordinates
+const sanitizeMemory = (memory, capsule) => {
+  const reactions = {}
+  memory.reactions.forEach((reaction) => {
+    reactions[reaction.emoji] = (reactions[reaction.emoji] || 0) + 1
+  })
+
+  return {
+    _id: memory._id,
+    type: memory.type,
+    title: memory.title,
+    text: memory.text,
+    mediaUrl: memory.mediaUrl,
+    thumbnailUrl: memory.thumbnailUrl,
+    tags: memory.tags,
+    location: memory.location && memory.location.name ? { name: memory.location.name } : undefined,
+    author: person(memory.author),
+    isPinned: memory.isPinned,
+    reactions: capsule.settings.allowReactions
+      ? Object.entries(reactions).map(([emoji, count]) => ({ emoji, count }))
+      : undefined,
+    comments: capsule.settings.allowComments
+      ? memory.comments.map((comment) => ({
+          ...sanitizeComment(comment),
+          replies: comment.replies.map(sanitizeComment),
+        }))
+      : undefined,
+    createdAt: memory.createdAt,
+  }
+}
+
+// Memories a stranger may see: none while the capsule is sealed, and never
+// ones that are locked or meant for an unlock audience
+const publicMemoryQuery = (capsule) => {
+  if (isSealed(capsule)) return null
+
+  return {
+    capsule: capsule._id,
+    "unlockAudience.0": { $exists: false },
+    $or: [{ unlockAt: null }, { unlockAt: { $lte: new Date() } }],
+  }
+}
+
+const findPublicMemories = (query, { skip, limit }) => {
+  return MemoryItem.find(query)
+    .populate("author", "name avatarUrl")
+    .populate("comments.user", "name avatarUrl")
+    .populate("comments.replies.user", "name avatarUrl")
+    .sort({ isPinned: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+}
+
+module.exports = {
+  shareUrl,
+  setPublicShare,
+  rotatePublicSlug,
+  findSharedCapsule,
+  sanitizeCapsule,
+  sanitizeMemory,
+  publicMemoryQuery,
+  findPublicMemories,
+}
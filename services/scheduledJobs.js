@@ -0,0 +1,86 @@
+const os = require("os")
+const ScheduledJob = require("../models/ScheduledJob")
+
+// A lock older than this is assumed to belong to a crashed instance and is taken over
+const STALE_LOCK_MS = 10 * 60 * 1000
+
+// A failing job is retried a few times before it is left as failed
+const MAX_ATTEMPTS = 5
+const RETRY_DELAY_MS = 5 * 60 * 1000
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`
+
+const jobKey = (type, { capsule, memory }) => ({ type, capsule, memory: memory || null })
+
+// Create or move the job for a capsule (or one of its memories)
+const scheduleJob = (type, target, runAt) => {
+  return ScheduledJob.updateOne(
+    jobKey(type, target),
+    {
+      $set: { runAt, status: "pending", attempts: 0 },
+      $unset: { lockedAt: 1, lockedBy: 1, lastError: 1, completedAt: 1 },
+    },
+    { upsert: true },
+  )
+}
+
+const cancelJob = (type, target) => {
+  return ScheduledJob.deleteOne({ ...jobKey(type, target), status: "pending" })
+}
+
+const claimJob = (types) => {
+  const now = new Date()
+  return ScheduledJob.findOneAndUpdate(
+    {
+      type: { $in: types },
+      runAt: { $lte: now },
+      attempts: { $lt: MAX_ATTEMPTS },
+      $or: [{ status: "pending" }, { status: "running", lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }],
+    },
+    { $set: { status: "running", lockedAt: now, lockedBy: INSTANCE_ID }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } },
+  )
+}
+
+// Run every due job handled by `handlers` ({ type: (job, io) => Promise }).
+// Jobs are claimed one at a time, so several instances can poll together
+// without firing the same job twice.
+const runDueJobs = async (handlers, io) => {
+  const types = Object.keys(handlers)
+  let processed = 0
+
+  for (;;) {
+    const job = await claimJob(types)
+    if (!job) return processed
+
+    // Only the current lock holder settles the job, so a reschedule made
+    // while it was running is not overwritten
+    const lock = { _id: job._id, status: "running", lockedAt: job.lockedAt }
+
+    try {
+      await handlers[job.type](job, io)
+      await ScheduledJob.updateOne(lock, {
+        $set: { status: "done", completedAt: new Date() },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1 },
+      })
+    } catch (error) {
+      console.error(`Scheduled job "${job.type}" error:`, error)
+      const retry = job.attempts < MAX_ATTEMPTS
+      await ScheduledJob.updateOne(lock, {
+        $set: retry
+          ? { status: "pending", runAt: new Date(Date.now() + RETRY_DELAY_MS), lastError: error.message }
+          : { status: "failed", lastError: error.message },
+        $unset: { lockedAt: 1, lockedBy: 1 },
+      })
+    }
+
+    processed += 1
+  }
+}
+
+module.exports = {
+  scheduleJob,
+  cancelJob,
+  runDueJobs,
+}
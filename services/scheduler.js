@@ -0,0 +1,42 @@
+// Minimal in-process scheduler for periodic background work. A run that is
+// still busy when its next tick arrives is skipped rather than overlapped.
+
+const tasks = []
+
+const runTask = async (task) => {
+  if (task.running) return
+  task.running = true
+
+  try {
+    await task.run()
+  } catch (error) {
+    console.error(`Scheduled task "${task.name}" error:`, error)
+  } finally {
+    task.running = false
+  }
+}
+
+const registerTask = (name, intervalMs, run) => {
+  tasks.push({ name, intervalMs, run, running: false, timer: null })
+}
+
+const startScheduler = () => {
+  tasks.forEach((task) => {
+    if (task.timer) return
+    task.timer = setInterval(() => runTask(task), task.intervalMs)
+    task.timer.unref()
+  })
+}
+
+const stopScheduler = () => {
+  tasks.forEach((task) => {
+    clearInterval(task.timer)
+    task.timer = null
+  })
+}
+
+module.exports = {
+  registerTask,
+  startScheduler,
+  stopScheduler,
+}
@@ -0,0 +1,67 @@
+// Match highlighting for full-text search results. MongoDB's text search does
+// not say where a document matched, so the search words are found again here:
+// any word that starts with one of them is wrapped in <mark>. Everything else
+// is HTML-escaped, so the result can be rendered as-is.
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+// Words of a $text search string, leaving out negated ones ("-word")
+const searchTerms = (search = "") => {
+  const words = search
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .flatMap((word) => word.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+
+  return [...new Set(words)].filter((word) => word.length > 1)
+}
+
+const matchRanges = (text, terms) => {
+  if (!text || terms.length === 0) return []
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu")
+  return [...text.matchAll(pattern)].map((match) => [match.index, match.index + match[0].length])
+}
+
+const markRanges = (text, ranges, from, to) => {
+  let html = ""
+  let position = from
+
+  ranges.forEach(([start, end]) => {
+    if (end <= from || start >= to) return
+    html += escapeHtml(text.slice(position, Math.max(start, from)))
+    html += `<mark>${escapeHtml(text.slice(Math.max(start, from), Math.min(end, to)))}</mark>`
+    position = Math.min(end, to)
+  })
+
+  return html + escapeHtml(text.slice(position, to))
+}
+
+// The whole text with its matches marked, or null when nothing matched
+const highlight = (text, terms) => {
+  const ranges = matchRanges(text, terms)
+  return ranges.length > 0 ? markRanges(text, ranges, 0, text.length) : null
+}
+
+// About `length` characters around the first match, cut at word boundaries
+const snippet = (text, terms, length = 160) => {
+  const ranges = matchRanges(text, terms)
+  if (ranges.length === 0) return null
+  if (text.length <= length) return markRanges(text, ranges, 0, text.length)
+
+  let from = Math.max(0, ranges[0][0] - Math.floor(length / 4))
+  let to = Math.min(text.length, from + length)
+  if (from > 0) from = text.indexOf(" ", from) + 1 || from
+  if (to < text.length) to = text.lastIndexOf(" ", to) > ranges[0][1] ? text.lastIndexOf(" ", to) : to
+
+  return `${from > 0 ? "…" : ""}${markRanges(text, ranges, from, to).trim()}${to < text.length ? "…" : ""}`
+}
+
+module.exports = {
+  escapeRegex,
+  searchTerms,
+  highlight,
+  snippet,
+}
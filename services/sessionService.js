@@ -0,0 +1,158 @@
+const crypto = require("crypto")
+const Session = require("../models/Session")
+const User = require("../models/User")
+const { generateToken } = require("../middleware/auth")
+const { revokeAllAccessTokens } = require("./accessTokenService")
+
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url")
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// Disconnect any sockets that were opened with an access token of this session
+const disconnectSessionSockets = (io, sessionId) => {
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true)
+  }
+}
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken()
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip || "",
+    expiresAt: refreshExpiry(),
+  })
+
+  return {
+    session,
+    accessToken: generateToken(user._id, session._id, user.tokenVersion),
+    refreshToken,
+  }
+}
+
+// Exchange a refresh token for a new pair. A token that was already rotated
+// out means it has leaked, so the whole session (token family) is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken)
+
+  const current = await Session.findOne({ refreshTokenHash: tokenHash })
+
+  if (!current) {
+    const reusedSession = await Session.findOne({ rotatedTokenHashes: tokenHash })
+    if (reusedSession && !reusedSession.revokedAt) {
+      await revokeSession(reusedSession, "token_reuse", req.io)
+    }
+    throw sessionError("Invalid refresh token")
+  }
+
+  const user = current.isActive() && (await User.findById(current.user).select("tokenVersion status suspendedUntil"))
+  if (!user) {
+    throw sessionError("Session has been revoked")
+  }
+  if (user.isSuspended()) {
+    throw sessionError(user.status === "banned" ? "Account banned" : "Account suspended", 403)
+  }
+
+  const nextRefreshToken = generateRefreshToken()
+  const changes = { refreshTokenHash: hashToken(nextRefreshToken), lastUsedAt: new Date() }
+  if (req.headers["user-agent"]) changes.userAgent = req.headers["user-agent"]
+  if (req.ip) changes.ip = req.ip
+
+  // Swap the token in a single update: of two refreshes racing with the same
+  // token only one matches, and the loser is handled as reuse
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null },
+    { $set: changes, $push: { rotatedTokenHashes: tokenHash } },
+    { new: true },
+  )
+
+  if (!session) {
+    const reusedSession = await Session.findById(current._id)
+    if (reusedSession && !reusedSession.revokedAt) {
+      await revokeSession(reusedSession, "token_reuse", req.io)
+    }
+    throw sessionError("Invalid refresh token")
+  }
+
+  return {
+    session,
+    accessToken: generateToken(user._id, session._id, user.tokenVersion),
+    refreshToken: nextRefreshToken,
+  }
+}
+
+const revokeSession = async (session, reason, io) => {
+  session.revokedAt = new Date()
+  session.revokedReason = reason
+  await session.save()
+
+  disconnectSessionSockets(io, session._id)
+  return session
+}
+
+// Revoke every active session of a user, optionally keeping one alive
+const revokeAllSessions = async (userId, reason, io, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null }
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId }
+
+  const sessions = await Session.find(filter).select("_id")
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  )
+
+  sessions.forEach((s) => disconnectSessionSockets(io, s._id))
+  return sessions.length
+}
+
+// Invalidate every token of a user: bump the token version embedded in access
+// tokens, revoke all sessions and personal access tokens and drop the user's
+// open sockets
+const invalidateUserTokens = async (user, reason, io) => {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { tokenVersion: 1 } }, { new: true }).select(
+    "tokenVersion",
+  )
+  user.tokenVersion = updated.tokenVersion
+
+  await revokeAllSessions(user._id, reason, io)
+  await revokeAllAccessTokens(user._id)
+
+  if (io) {
+    io.in(`user_${user._id}`).disconnectSockets(true)
+  }
+}
+
+const getActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 })
+}
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  invalidateUserTokens,
+  getActiveSessions,
+}
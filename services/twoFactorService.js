@@ -0,0 +1,57 @@
+const jwt = require("jsonwebtoken")
+const { hashToken } = require("./sessionService")
+const { verifyCode, generateRecoveryCodes, normalizeRecoveryCode } = require("./totpService")
+
+const CHALLENGE_PURPOSE = "2fa-challenge"
+
+// Short-lived proof that the password step of a login succeeded
+const createChallengeToken = (user) => {
+  return jwt.sign({ userId: user._id.toString(), purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    audience: CHALLENGE_PURPOSE,
+    expiresIn: "5m",
+  })
+}
+
+const readChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_PURPOSE })
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Issue a fresh set of recovery codes. Returns the plain codes, which are only
+// shown once; the user document keeps their hashes.
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes()
+  user.twoFactor.recoveryCodes = codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+  return codes
+}
+
+// Check a TOTP code or a recovery code and consume it. The caller saves the user.
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) return false
+
+  if (recoveryCode) {
+    const recoveryHash = hashToken(normalizeRecoveryCode(recoveryCode))
+    const index = user.twoFactor.recoveryCodes.indexOf(recoveryHash)
+    if (index === -1) return false
+
+    user.twoFactor.recoveryCodes.splice(index, 1)
+    return true
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep)
+  if (step === null) return false
+
+  user.twoFactor.lastUsedStep = step
+  return true
+}
+
+module.exports = {
+  createChallengeToken,
+  readChallengeToken,
+  resetRecoveryCodes,
+  consumeSecondFactor,
+}
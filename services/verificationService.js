@@ -0,0 +1,35 @@
+const jwt = require("jsonwebtoken")
+const { sendMail } = require("./mailService")
+const { verificationEmail } = require("./emailTemplates")
+
+const VERIFY_PURPOSE = "verify-email"
+
+// The email is part of the token so a link stops working if the address
+// changes; the audience keeps it from being accepted as anything but a link
+const createVerificationToken = (user) => {
+  return jwt.sign({ userId: user._id.toString(), email: user.email, purpose: VERIFY_PURPOSE }, process.env.JWT_SECRET, {
+    audience: VERIFY_PURPOSE,
+    expiresIn: "24h",
+  })
+}
+
+// Returns the decoded payload, or null for invalid, expired or foreign tokens
+const readVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: VERIFY_PURPOSE })
+    return decoded.purpose === VERIFY_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+const sendVerificationEmail = (user) => {
+  const token = createVerificationToken(user)
+  return sendMail({ to: user.email, ...verificationEmail({ name: user.name, token }) })
+}
+
+module.exports = {
+  createVerificationToken,
+  readVerificationToken,
+  sendVerificationEmail,
+}
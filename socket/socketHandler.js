@@ -1,6 +1,6 @@
-const jwt = require("jsonwebtoken")
-const User = require("../models/User")
 const Capsule = require("../models/Capsule")
+const { verifyAccessToken } = require("../middleware/auth")
+const { getMemberRole, isSealedFor } = require("../services/capsuleSealing")
 
 // Store active users and their socket connections
 const activeUsers = new Map()
@@ -16,8 +16,8 @@ const socketHandler = (io) => {
         return next(new Error("Authentication error"))
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      const user = await User.findById(decoded.userId).select("-password")
+      // Rejects expired tokens and revoked sessions
+      const { user, decoded } = await verifyAccessToken(token)
 
       if (!user) {
         return next(new Error("User not found"))
@@ -25,6 +25,7 @@ const socketHandler = (io) => {
 
       socket.userId = user._id.toString()
       socket.user = user
+      socket.sessionId = decoded.sid
       next()
     } catch (error) {
       next(new Error("Authentication error"))
@@ -34,6 +35,14 @@ const socketHandler = (io) => {
   io.on("connection", (socket) => {
     console.log(`✅ User ${socket.user.name} connected: ${socket.id}`)
 
+    // Personal room for notifications
+    socket.join(`user_${socket.userId}`)
+
+    // Session room lets a revoked session disconnect its sockets
+    if (socket.sessionId) {
+      socket.join(`session_${socket.sessionId}`)
+    }
+
     // Add user to active users
     activeUsers.set(socket.userId, {
       socketId: socket.id,
@@ -52,9 +61,15 @@ const socketHandler = (io) => {
       try {
         const userCapsules = await Capsule.find({
           $or: [{ owner: socket.userId }, { "contributors.user": socket.userId }],
-        }).select("_id")
+          isActive: true,
+        }).select("owner contributors type releaseDate")
+
+        // Sealed capsules stream their memories to the owner and admins only
+        const openCapsules = userCapsules.filter(
+          (capsule) => !isSealedFor(capsule, getMemberRole(capsule, socket.userId)),
+        )
 
-        userCapsules.forEach((capsule) => {
+        openCapsules.forEach((capsule) => {
           const roomName = `capsule_${capsule._id}`
           socket.join(roomName)
 
@@ -72,7 +87,7 @@ const socketHandler = (io) => {
           })
         })
 
-        console.log(`📱 User ${socket.user.name} joined ${userCapsules.length} capsule rooms`)
+        console.log(`📱 User ${socket.user.name} joined ${openCapsules.length} capsule rooms`)
       } catch (error) {
         console.error("Join capsules error:", error)
         socket.emit("error", { message: "Failed to join capsules" })
@@ -84,19 +99,24 @@ const socketHandler = (io) => {
       try {
         const capsule = await Capsule.findById(capsuleId)
 
-        if (!capsule) {
+        if (!capsule || !capsule.isActive) {
           return socket.emit("error", { message: "Capsule not found" })
         }
 
         // Check if user has access
-        const hasAccess =
-          capsule.owner.toString() === socket.userId ||
-          capsule.contributors.some((c) => c.user.toString() === socket.userId)
+        const role = getMemberRole(capsule, socket.userId)
 
-        if (!hasAccess) {
+        if (!role) {
           return socket.emit("error", { message: "Access denied" })
         }
 
+        if (isSealedFor(capsule, role)) {
+          return socket.emit("error", {
+            message: "This capsule is not yet available",
+            releaseDate: capsule.releaseDate,
+          })
+        }
+
         const roomName = `capsule_${capsuleId}`
         socket.join(roomName)
 
@@ -0,0 +1,213 @@
+const request = require("supertest")
+const { app } = require("../server")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const AuditLog = require("../models/AuditLog")
+const { generateToken } = require("../middleware/auth")
+const mongoose = require("mongoose")
+
+describe("Admin Endpoints", () => {
+  let admin
+  let moderator
+  let member
+  let adminToken
+  let moderatorToken
+  let memberToken
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || "mongodb://localhost:27017/memoryscape_test")
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  beforeEach(async () => {
+    await User.deleteMany({})
+    await Capsule.deleteMany({})
+    // The model refuses deletes, so clear the collection directly
+    await AuditLog.collection.deleteMany({})
+
+    admin = await User.create({ name: "Admin", email: "admin@example.com", password: "password123", role: "admin" })
+    moderator = await User.create({
+      name: "Moderator",
+      email: "moderator@example.com",
+      password: "password123",
+      role: "moderator",
+    })
+    member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+
+    adminToken = generateToken(admin._id)
+    moderatorToken = generateToken(moderator._id)
+    memberToken = generateToken(member._id)
+  })
+
+  describe("Access control", () => {
+    it("should reject regular users", async () => {
+      await request(app).get("/api/admin/users").set("Authorization", `Bearer ${memberToken}`).expect(403)
+    })
+
+    it("should let moderators search users", async () => {
+      const response = await request(app)
+        .get("/api/admin/users?search=member")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(200)
+
+      expect(response.body.data.users).toHaveLength(1)
+      expect(response.body.data.users[0].email).toBe("member@example.com")
+    })
+
+    it("should reject query operators in user filters", async () => {
+      await request(app)
+        .get("/api/admin/users?role[$ne]=user")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(400)
+
+      await request(app)
+        .get("/api/admin/users?status=deleted")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(400)
+    })
+
+    it("should reject repeated or nested capsule filters", async () => {
+      await request(app)
+        .get("/api/admin/capsules?search[]=x")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(400)
+
+      await request(app)
+        .get("/api/admin/capsules?search=a&search=b")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(400)
+
+      await request(app)
+        .get("/api/admin/capsules?isActive=yes")
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(400)
+    })
+
+    it("should keep admin-only actions from moderators", async () => {
+      await request(app)
+        .post(`/api/admin/users/${member._id}/ban`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .send({ reason: "Spam" })
+        .expect(403)
+
+      await request(app).get("/api/admin/audit-log").set("Authorization", `Bearer ${moderatorToken}`).expect(403)
+    })
+
+    it("should not let moderators act on staff with an equal or higher role", async () => {
+      await request(app)
+        .post(`/api/admin/users/${admin._id}/suspend`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .send({ reason: "Nope" })
+        .expect(403)
+    })
+  })
+
+  describe("Suspensions and bans", () => {
+    it("should suspend an account and block its tokens", async () => {
+      await request(app)
+        .post(`/api/admin/users/${member._id}/suspend`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .send({ reason: "Harassment" })
+        .expect(200)
+
+      // Tokens issued before the suspension are revoked
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${memberToken}`).expect(401)
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "member@example.com", password: "password123" })
+        .expect(403)
+      expect(login.body.data.status).toBe("suspended")
+
+      const entry = await AuditLog.findOne({ action: "user.suspend" })
+      expect(entry.target.toString()).toBe(member._id.toString())
+      expect(entry.reason).toBe("Harassment")
+    })
+
+    it("should let a suspension lapse at its end date", async () => {
+      await User.updateOne(
+        { _id: member._id },
+        { $set: { status: "suspended", suspendedUntil: new Date(Date.now() - 1000) } },
+      )
+
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "member@example.com", password: "password123" })
+        .expect(200)
+    })
+
+    it("should ban and reinstate an account", async () => {
+      await request(app)
+        .post(`/api/admin/users/${member._id}/ban`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Fraud" })
+        .expect(200)
+
+      await request(app)
+        .post(`/api/admin/users/${member._id}/reinstate`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(403)
+
+      await request(app)
+        .post(`/api/admin/users/${member._id}/reinstate`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const reinstated = await User.findById(member._id)
+      expect(reinstated.status).toBe("active")
+    })
+  })
+
+  describe("Capsules", () => {
+    let capsule
+
+    beforeEach(async () => {
+      capsule = await Capsule.create({ title: "Private", owner: member._id })
+    })
+
+    it("should show any capsule read-only and audit the view", async () => {
+      const response = await request(app)
+        .get(`/api/admin/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(200)
+
+      expect(response.body.data.capsule.title).toBe("Private")
+      expect(await AuditLog.countDocuments({ action: "capsule.view", target: capsule._id })).toBe(1)
+    })
+
+    it("should deactivate a capsule for its members", async () => {
+      await request(app)
+        .post(`/api/admin/capsules/${capsule._id}/deactivate`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .send({ reason: "Reported content" })
+        .expect(200)
+
+      await request(app).get(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${memberToken}`).expect(403)
+
+      await request(app)
+        .post(`/api/admin/capsules/${capsule._id}/reactivate`)
+        .set("Authorization", `Bearer ${moderatorToken}`)
+        .expect(200)
+
+      await request(app).get(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${memberToken}`).expect(200)
+    })
+  })
+
+  describe("Audit log", () => {
+    it("should be append-only", async () => {
+      const entry = await AuditLog.create({
+        actor: admin._id,
+        actorRole: "admin",
+        action: "user.role",
+        targetType: "User",
+        target: member._id,
+      })
+
+      await expect(AuditLog.updateOne({ _id: entry._id }, { reason: "edited" })).rejects.toThrow("append-only")
+      await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow("append-only")
+    })
+  })
+})
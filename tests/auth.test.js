@@ -1,8 +1,48 @@
 const request = require("supertest")
+const passport = require("passport")
+const Strategy = require("passport-strategy")
 const { app } = require("../server")
+const { verifyGoogleProfile } = require("../config/passport")
+const { outbox } = require("../services/mailService")
+const { createVerificationToken } = require("../services/verificationService")
+const { generateCode } = require("../services/totpService")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const Notification = require("../models/Notification")
+const Capsule = require("../models/Capsule")
+const MagicLink = require("../models/MagicLink")
+const loginThrottle = require("../services/loginThrottle")
+const { generateToken } = require("../middleware/auth")
 const mongoose = require("mongoose")
 
+// Stands in for Google: skips the consent screen and hands a fixed profile to the real verify callback
+class MockGoogleStrategy extends Strategy {
+  constructor(profile) {
+    super()
+    this.name = "google"
+    this.profile = profile
+  }
+
+  authenticate(req, options) {
+    if (!req.query.code) {
+      return this.redirect(`/api/auth/google/callback?code=mock&state=${encodeURIComponent(options.state || "")}`)
+    }
+
+    verifyGoogleProfile(req, "access", "refresh", this.profile, (error, result, info) => {
+      if (error) return this.error(error)
+      if (!result) return this.fail(info)
+      this.success(result, info)
+    })
+  }
+}
+
+const googleProfile = {
+  id: "google-123",
+  displayName: "Google User",
+  emails: [{ value: "google@example.com", verified: true }],
+  photos: [{ value: "https://example.com/avatar.png" }],
+}
+
 describe("Auth Endpoints", () => {
   beforeAll(async () => {
     await mongoose.connect(process.env.MONGODB_URI_TEST || "mongodb://localhost:27017/memoryscape_test")
@@ -14,6 +54,9 @@ describe("Auth Endpoints", () => {
 
   beforeEach(async () => {
     await User.deleteMany({})
+    await Session.deleteMany({})
+    await Notification.deleteMany({})
+    loginThrottle.memoryStore.clear()
   })
 
   describe("POST /api/auth/register", () => {
@@ -89,4 +132,580 @@ describe("Auth Endpoints", () => {
       expect(response.body.success).toBe(false)
     })
   })
+
+  describe("Sessions", () => {
+    let tokens
+
+    beforeEach(async () => {
+      const user = new User({
+        name: "Test User",
+        email: "test@example.com",
+        password: "password123",
+      })
+      await user.save()
+
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+
+      tokens = response.body.data
+    })
+
+    it("should rotate the refresh token", async () => {
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.refreshToken).not.toBe(tokens.refreshToken)
+    })
+
+    it("should revoke the session when a rotated refresh token is reused", async () => {
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200)
+
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+
+      // The newest token of the family is revoked as well
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: response.body.data.refreshToken })
+        .expect(401)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${response.body.data.token}`).expect(401)
+    })
+
+    it("should let only one of two concurrent refreshes with the same token through", async () => {
+      const responses = await Promise.all([
+        request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }),
+        request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }),
+      ])
+
+      expect(responses.map((response) => response.status).sort()).toEqual([200, 401])
+
+      // The losing request counts as reuse, so the winner's tokens are revoked too
+      const winner = responses.find((response) => response.status === 200)
+      await request(app).post("/api/auth/refresh").send({ refreshToken: winner.body.data.refreshToken }).expect(401)
+    })
+
+    it("should reject the access token after logout", async () => {
+      await request(app).post("/api/auth/logout").set("Authorization", `Bearer ${tokens.token}`).expect(200)
+
+      const response = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${tokens.token}`).expect(401)
+
+      expect(response.body.success).toBe(false)
+    })
+
+    it("should list and revoke sessions", async () => {
+      const listResponse = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .expect(200)
+
+      expect(listResponse.body.data.sessions).toHaveLength(1)
+      expect(listResponse.body.data.sessions[0].current).toBe(true)
+
+      await request(app)
+        .delete(`/api/auth/sessions/${listResponse.body.data.sessions[0]._id}`)
+        .set("Authorization", `Bearer ${tokens.token}`)
+        .expect(200)
+
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+    })
+  })
+
+  describe("Google OAuth", () => {
+    beforeAll(() => {
+      passport.use("google", new MockGoogleStrategy(googleProfile))
+    })
+
+    // Walks one browser through GET /google and back to the callback
+    const googleSignIn = async (browser = request.agent(app)) => {
+      const redirect = await browser.get("/api/auth/google").expect(302)
+      return browser.get(redirect.headers.location).expect(302)
+    }
+
+    it("should create a user and issue tokens on first sign-in", async () => {
+      const response = await googleSignIn()
+
+      expect(response.headers.location).toContain("#token=")
+      expect(response.headers.location).toContain("refreshToken=")
+
+      const user = await User.findOne({ email: "google@example.com" })
+      expect(user.googleId).toBe("google-123")
+      expect(user.isVerified).toBe(true)
+    })
+
+    it("should not create a duplicate user for an existing email", async () => {
+      await new User({ name: "Existing", email: "google@example.com", password: "password123" }).save()
+
+      const response = await googleSignIn()
+
+      expect(response.headers.location).toContain("error=account_exists")
+      expect(await User.countDocuments({ email: "google@example.com" })).toBe(1)
+    })
+
+    it("should not finish a sign-in started in another browser", async () => {
+      const redirect = await request.agent(app).get("/api/auth/google").expect(302)
+
+      const callback = await request(app).get(redirect.headers.location).expect(302)
+      expect(callback.headers.location).toContain("error=invalid_state")
+      expect(await User.countDocuments({ email: "google@example.com" })).toBe(0)
+
+      const withoutState = await request(app).get("/api/auth/google/callback?code=mock").expect(302)
+      expect(withoutState.headers.location).toContain("error=invalid_state")
+    })
+
+    it("should link and unlink Google on an existing account", async () => {
+      await new User({ name: "Existing", email: "google@example.com", password: "password123" }).save()
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "google@example.com", password: "password123" })
+        .expect(200)
+      const token = login.body.data.token
+
+      const browser = request.agent(app)
+      const linkResponse = await browser
+        .post("/api/auth/google/link")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+
+      const redirect = await browser.get(linkResponse.body.data.url).expect(302)
+      const callback = await browser.get(redirect.headers.location).expect(302)
+      expect(callback.headers.location).toContain("linked=google")
+
+      const signIn = await googleSignIn()
+      expect(signIn.headers.location).toContain("#token=")
+      expect(await User.countDocuments({ email: "google@example.com" })).toBe(1)
+
+      await request(app).delete("/api/auth/google/link").set("Authorization", `Bearer ${token}`).expect(200)
+
+      const user = await User.findOne({ email: "google@example.com" })
+      expect(user.googleId).toBeUndefined()
+    })
+
+    it("should not link Google from a browser that did not start the link", async () => {
+      await new User({ name: "Existing", email: "google@example.com", password: "password123" }).save()
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "google@example.com", password: "password123" })
+        .expect(200)
+
+      const linkResponse = await request(app)
+        .post("/api/auth/google/link")
+        .set("Authorization", `Bearer ${login.body.data.token}`)
+        .expect(200)
+
+      const redirect = await request(app).get(linkResponse.body.data.url).expect(302)
+      const callback = await request(app).get(redirect.headers.location).expect(302)
+      expect(callback.headers.location).toContain("error=invalid_state")
+
+      const user = await User.findOne({ email: "google@example.com" })
+      expect(user.googleId).toBeUndefined()
+    })
+  })
+
+  describe("Email verification", () => {
+    let user
+
+    beforeEach(async () => {
+      outbox.length = 0
+      user = new User({
+        name: "Test User",
+        email: "test@example.com",
+        password: "password123",
+      })
+      await user.save()
+    })
+
+    it("should send a verification email on registration", async () => {
+      await request(app)
+        .post("/api/auth/register")
+        .send({ name: "New User", email: "new@example.com", password: "Password123" })
+        .expect(201)
+
+      await new Promise((resolve) => setImmediate(resolve))
+
+      expect(outbox).toHaveLength(1)
+      expect(outbox[0].to).toBe("new@example.com")
+    })
+
+    it("should verify the account with a valid token", async () => {
+      const token = createVerificationToken(user)
+
+      const response = await request(app).get(`/api/auth/verify/${token}`).expect(200)
+
+      expect(response.body.data.user.isVerified).toBe(true)
+    })
+
+    it("should not accept a verification token as a login", async () => {
+      const token = createVerificationToken(user)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`).expect(401)
+    })
+
+    it("should reject a token issued for another email", async () => {
+      const token = createVerificationToken(user)
+      user.email = "changed@example.com"
+      await user.save()
+
+      await request(app).get(`/api/auth/verify/${token}`).expect(400)
+    })
+  })
+
+  describe("Password reset", () => {
+    let tokens
+
+    const requestResetToken = async () => {
+      outbox.length = 0
+      await request(app).post("/api/auth/forgot-password").send({ email: "test@example.com" }).expect(200)
+      return outbox[0].text.match(/reset-password\/(\w+)/)[1]
+    }
+
+    beforeEach(async () => {
+      await new User({ name: "Test User", email: "test@example.com", password: "password123" }).save()
+
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+      tokens = response.body.data
+    })
+
+    it("should not reveal whether an email is registered", async () => {
+      outbox.length = 0
+      const response = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "unknown@example.com" })
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(outbox).toHaveLength(0)
+    })
+
+    it("should reset the password and sign out every session", async () => {
+      const resetToken = await requestResetToken()
+
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "NewPassword123" }).expect(200)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${tokens.token}`).expect(401)
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "NewPassword123" })
+        .expect(200)
+    })
+
+    it("should only accept a reset token once", async () => {
+      const resetToken = await requestResetToken()
+
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "NewPassword123" }).expect(200)
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "OtherPassword123" }).expect(400)
+    })
+
+    it("should enforce the registration password rules", async () => {
+      const resetToken = await requestResetToken()
+
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "weakpass" }).expect(400)
+    })
+  })
+
+  describe("Magic link", () => {
+    const requestMagicLink = async (body) => {
+      outbox.length = 0
+      const response = await request(app).post("/api/auth/magic-link").send(body).expect(200)
+      const match = outbox.length ? outbox[0].text.match(/magic-link\/([\w.-]+)/) : null
+      return { browserToken: response.body.data.browserToken, token: match && match[1] }
+    }
+
+    beforeEach(async () => {
+      await MagicLink.deleteMany({})
+      await Capsule.deleteMany({})
+      await new User({ name: "Test User", email: "test@example.com", password: "password123" }).save()
+    })
+
+    it("should sign in with a link from the same browser", async () => {
+      const { token, browserToken } = await requestMagicLink({ email: "test@example.com" })
+
+      const response = await request(app).post("/api/auth/magic-link/verify").send({ token, browserToken }).expect(200)
+
+      expect(response.body.data.user.email).toBe("test@example.com")
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.accountCreated).toBe(false)
+    })
+
+    it("should reject a link opened in another browser", async () => {
+      const { token } = await requestMagicLink({ email: "test@example.com" })
+      const other = await requestMagicLink({ email: "someone@example.com" })
+
+      await request(app)
+        .post("/api/auth/magic-link/verify")
+        .send({ token, browserToken: other.browserToken })
+        .expect(400)
+    })
+
+    it("should only accept a link once", async () => {
+      const { token, browserToken } = await requestMagicLink({ email: "test@example.com" })
+
+      await request(app).post("/api/auth/magic-link/verify").send({ token, browserToken }).expect(200)
+      await request(app).post("/api/auth/magic-link/verify").send({ token, browserToken }).expect(400)
+    })
+
+    it("should refuse suspended accounts without verifying them", async () => {
+      const { token, browserToken } = await requestMagicLink({ email: "test@example.com" })
+      await User.updateOne({ email: "test@example.com" }, { status: "banned" })
+
+      await request(app).post("/api/auth/magic-link/verify").send({ token, browserToken }).expect(403)
+
+      const user = await User.findOne({ email: "test@example.com" })
+      expect(user.isVerified).toBe(false)
+    })
+
+    it("should not email unknown addresses without an invite", async () => {
+      const { token, browserToken } = await requestMagicLink({ email: "unknown@example.com" })
+
+      expect(browserToken).toBeDefined()
+      expect(token).toBeNull()
+      expect(await User.countDocuments({ email: "unknown@example.com" })).toBe(0)
+    })
+
+    it("should create an account through a capsule invite that allows it", async () => {
+      const owner = await User.findOne({ email: "test@example.com" })
+      const capsule = await Capsule.create({
+        title: "Family",
+        owner: owner._id,
+        settings: { allowMagicLinkSignup: true },
+      })
+
+      const { token, browserToken } = await requestMagicLink({
+        email: "new@example.com",
+        name: "New Person",
+        capsuleId: capsule._id.toString(),
+        inviteCode: capsule.inviteCode,
+      })
+
+      const response = await request(app).post("/api/auth/magic-link/verify").send({ token, browserToken }).expect(200)
+      expect(response.body.data.accountCreated).toBe(true)
+
+      const user = await User.findOne({ email: "new@example.com" })
+      expect(user.passwordless).toBe(true)
+      expect(user.isVerified).toBe(true)
+
+      const joined = await Capsule.findById(capsule._id)
+      expect(joined.contributors.some((c) => c.user.toString() === user._id.toString())).toBe(true)
+    })
+
+    it("should not create accounts when the capsule does not allow it", async () => {
+      const owner = await User.findOne({ email: "test@example.com" })
+      const capsule = await Capsule.create({ title: "Family", owner: owner._id })
+
+      const { token } = await requestMagicLink({
+        email: "new@example.com",
+        capsuleId: capsule._id.toString(),
+        inviteCode: capsule.inviteCode,
+      })
+
+      expect(token).toBeNull()
+    })
+  })
+
+  describe("Two-factor authentication", () => {
+    let token
+    let recoveryCodes
+
+    beforeEach(async () => {
+      await new User({ name: "Test User", email: "test@example.com", password: "password123" }).save()
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+      token = login.body.data.token
+
+      const enroll = await request(app).post("/api/auth/2fa/enroll").set("Authorization", `Bearer ${token}`).expect(200)
+
+      const confirm = await request(app)
+        .post("/api/auth/2fa/confirm")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ code: generateCode(enroll.body.data.secret) })
+        .expect(200)
+      recoveryCodes = confirm.body.data.recoveryCodes
+    })
+
+    it("should require a second step after the password", async () => {
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+
+      expect(response.body.data.twoFactorRequired).toBe(true)
+      expect(response.body.data.token).toBeUndefined()
+      expect(response.body.data.challengeToken).toBeDefined()
+
+      // The challenge only proves the password step; it is not a login
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${response.body.data.challengeToken}`)
+        .expect(401)
+    })
+
+    it("should complete the login with a recovery code only once", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+      const { challengeToken } = login.body.data
+
+      const response = await request(app)
+        .post("/api/auth/2fa/verify")
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+
+      await request(app).post("/api/auth/2fa/verify").send({ challengeToken, recoveryCode: recoveryCodes[0] }).expect(401)
+    })
+
+    it("should reject an invalid code", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+
+      await request(app)
+        .post("/api/auth/2fa/verify")
+        .send({ challengeToken: login.body.data.challengeToken, code: "000000" })
+        .expect(401)
+    })
+
+    it("should not reset the lockout counter before the second step", async () => {
+      for (let i = 0; i < loginThrottle.policies.email.threshold; i++) {
+        const login = await request(app)
+          .post("/api/auth/login")
+          .send({ email: "test@example.com", password: "password123" })
+          .expect(200)
+
+        await request(app)
+          .post("/api/auth/2fa/verify")
+          .send({ challengeToken: login.body.data.challengeToken, code: "000000" })
+          .expect(401)
+      }
+
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(423)
+    })
+  })
+
+  describe("Login lockout", () => {
+    let user
+
+    const failLogin = () => request(app).post("/api/auth/login").send({ email: "test@example.com", password: "wrong" })
+
+    beforeEach(async () => {
+      user = new User({ name: "Test User", email: "test@example.com", password: "password123" })
+      await user.save()
+    })
+
+    it("should lock the account after repeated failures", async () => {
+      for (let i = 0; i < loginThrottle.policies.email.threshold; i++) {
+        await failLogin().expect(401)
+      }
+
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(423)
+
+      expect(response.headers["retry-after"]).toBeDefined()
+      expect(response.body.retryAfter).toBeGreaterThan(0)
+    })
+
+    it("should notify the user about suspicious attempts", async () => {
+      for (let i = 0; i < loginThrottle.policies.email.threshold; i++) {
+        await failLogin().expect(401)
+      }
+
+      const notifications = await Notification.find({ recipient: user._id, type: "security_alert" })
+      expect(notifications).toHaveLength(1)
+    })
+
+    it("should reset the account counter after a successful login", async () => {
+      for (let i = 0; i < loginThrottle.policies.email.threshold - 1; i++) {
+        await failLogin().expect(401)
+      }
+
+      await request(app).post("/api/auth/login").send({ email: "test@example.com", password: "password123" }).expect(200)
+      await failLogin().expect(401)
+    })
+
+    it("should keep separate IP counters for clients behind the proxy", async () => {
+      for (let i = 0; i < loginThrottle.policies.ip.threshold; i++) {
+        await request(app)
+          .post("/api/auth/login")
+          .set("X-Forwarded-For", "203.0.113.10")
+          .send({ email: `unknown${i}@example.com`, password: "wrong" })
+          .expect(401)
+      }
+
+      await request(app)
+        .post("/api/auth/login")
+        .set("X-Forwarded-For", "203.0.113.10")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(429)
+
+      await request(app)
+        .post("/api/auth/login")
+        .set("X-Forwarded-For", "203.0.113.20")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+    })
+  })
+
+  describe("POST /api/auth/change-password", () => {
+    let user
+
+    beforeEach(async () => {
+      user = new User({ name: "Test User", email: "test@example.com", password: "password123" })
+      await user.save()
+    })
+
+    it("should invalidate every token issued before the change", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "password123" })
+        .expect(200)
+      const sessionlessToken = generateToken(user._id)
+
+      const response = await request(app)
+        .post("/api/auth/change-password")
+        .set("Authorization", `Bearer ${login.body.data.token}`)
+        .send({ currentPassword: "password123", newPassword: "NewPassword123" })
+        .expect(200)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${login.body.data.token}`).expect(401)
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${sessionlessToken}`).expect(401)
+      await request(app).post("/api/auth/refresh").send({ refreshToken: login.body.data.refreshToken }).expect(401)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${response.body.data.token}`).expect(200)
+    })
+
+    it("should apply the password rules to the new password", async () => {
+      await request(app)
+        .post("/api/auth/change-password")
+        .set("Authorization", `Bearer ${generateToken(user._id)}`)
+        .send({ currentPassword: "password123", newPassword: "weakpassword" })
+        .expect(400)
+
+      const unchanged = await User.findById(user._id).select("+password")
+      expect(await unchanged.comparePassword("password123")).toBe(true)
+    })
+  })
 })
@@ -2,6 +2,17 @@ const request = require("supertest")
 const { app } = require("../server")
 const User = require("../models/User")
 const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const JoinRequest = require("../models/JoinRequest")
+const CapsuleInvite = require("../models/CapsuleInvite")
+const CapsuleInvitation = require("../models/CapsuleInvitation")
+const Notification = require("../models/Notification")
+const ScheduledJob = require("../models/ScheduledJob")
+const CapsuleTemplate = require("../models/CapsuleTemplate")
+const { outbox } = require("../services/mailService")
+const { createVerificationToken } = require("../services/verificationService")
+const { purgeTrashedCapsules } = require("../services/capsuleTrash")
+const { runDueReleaseJobs } = require("../services/capsuleRelease")
 const { generateToken } = require("../middleware/auth")
 const mongoose = require("mongoose")
 
@@ -105,4 +116,1009 @@ describe("Capsule Endpoints", () => {
       expect(response.body.success).toBe(false)
     })
   })
+
+  describe("POST /api/capsules/:id/join", () => {
+    let capsule
+    let member
+    let memberToken
+
+    beforeEach(async () => {
+      capsule = new Capsule({
+        title: "Family Capsule",
+        type: "public",
+        owner: user._id,
+        contributors: [{ user: user._id, role: "admin" }],
+        settings: { requireVerifiedMembers: true },
+      })
+      await capsule.save()
+
+      member = new User({
+        name: "Member",
+        email: "member@example.com",
+        password: "password123",
+      })
+      await member.save()
+      memberToken = generateToken(member._id)
+    })
+
+    it("should not let unverified users join when verification is required", async () => {
+      const response = await request(app)
+        .post(`/api/capsules/${capsule._id}/join`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({})
+        .expect(403)
+
+      expect(response.body.success).toBe(false)
+    })
+
+    it("should let verified users join", async () => {
+      member.isVerified = true
+      await member.save()
+
+      const response = await request(app)
+        .post(`/api/capsules/${capsule._id}/join`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({})
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+    })
+  })
+
+  describe("PUT /api/capsules/:id with requireAdminTwoFactor", () => {
+    let capsule
+    let admin
+    let adminToken
+
+    beforeEach(async () => {
+      admin = new User({
+        name: "Admin",
+        email: "admin@example.com",
+        password: "password123",
+      })
+      await admin.save()
+      adminToken = generateToken(admin._id)
+
+      capsule = new Capsule({
+        title: "Family Capsule",
+        type: "private",
+        owner: user._id,
+        contributors: [
+          { user: user._id, role: "admin" },
+          { user: admin._id, role: "admin" },
+        ],
+        settings: { requireAdminTwoFactor: true },
+      })
+      await capsule.save()
+    })
+
+    it("should block admins without two-factor authentication", async () => {
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Renamed" })
+        .expect(403)
+    })
+
+    it("should allow admins with two-factor authentication", async () => {
+      admin.twoFactor = { enabled: true, secret: "JBSWY3DPEHPK3PXP" }
+      await admin.save()
+
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Renamed" })
+        .expect(200)
+    })
+
+    it("should only let the owner change the requirement", async () => {
+      admin.twoFactor = { enabled: true, secret: "JBSWY3DPEHPK3PXP" }
+      await admin.save()
+
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ settings: { requireAdminTwoFactor: false } })
+        .expect(403)
+    })
+  })
+
+  describe("Capsule trash", () => {
+    let capsule
+    let member
+    let memberToken
+
+    beforeEach(async () => {
+      await MemoryItem.deleteMany({})
+
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      memberToken = generateToken(member._id)
+
+      capsule = await Capsule.create({
+        title: "Family Capsule",
+        owner: user._id,
+        contributors: [{ user: member._id, role: "admin" }],
+      })
+      await User.findByIdAndUpdate(user._id, { $push: { createdCapsules: capsule._id } })
+      await User.findByIdAndUpdate(member._id, { $push: { joinedCapsules: capsule._id } })
+    })
+
+    it("should only let the owner delete a capsule", async () => {
+      await request(app).delete(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${memberToken}`).expect(403)
+    })
+
+    it("should move a deleted capsule to the owner's trash and restore it", async () => {
+      await request(app).delete(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${token}`).expect(200)
+
+      await request(app).get(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${memberToken}`).expect(404)
+
+      const trash = await request(app).get("/api/capsules/trash").set("Authorization", `Bearer ${token}`).expect(200)
+      expect(trash.body.data.capsules).toHaveLength(1)
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/restore`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(404)
+
+      await request(app).post(`/api/capsules/${capsule._id}/restore`).set("Authorization", `Bearer ${token}`).expect(200)
+
+      await request(app).get(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${memberToken}`).expect(200)
+    })
+
+    it("should purge capsules whose time in the trash is up", async () => {
+      await MemoryItem.create({ capsule: capsule._id, author: member._id, type: "text", text: "Hello" })
+
+      await request(app).delete(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${token}`).expect(200)
+      await Capsule.updateOne({ _id: capsule._id }, { $set: { purgeAfter: new Date(Date.now() - 1000) } })
+
+      expect(await purgeTrashedCapsules()).toBe(1)
+
+      expect(await Capsule.findById(capsule._id)).toBeNull()
+      expect(await MemoryItem.countDocuments({ capsule: capsule._id })).toBe(0)
+      expect((await User.findById(user._id)).createdCapsules).toHaveLength(0)
+      expect((await User.findById(member._id)).joinedCapsules).toHaveLength(0)
+    })
+  })
+
+  describe("Ownership transfer", () => {
+    let capsule
+    let member
+    let memberToken
+
+    beforeEach(async () => {
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      memberToken = generateToken(member._id)
+
+      // Stored the way POST /api/capsules stores it, with the owner listed as an admin
+      capsule = await Capsule.create({
+        title: "Family Capsule",
+        owner: user._id,
+        contributors: [
+          { user: user._id, role: "admin" },
+          { user: member._id, role: "contributor" },
+        ],
+      })
+      await User.findByIdAndUpdate(user._id, { $push: { createdCapsules: capsule._id } })
+      await User.findByIdAndUpdate(member._id, { $push: { joinedCapsules: capsule._id } })
+    })
+
+    it("should only offer ownership to members", async () => {
+      const outsider = await User.create({ name: "Outsider", email: "outsider@example.com", password: "password123" })
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ userId: outsider._id.toString() })
+        .expect(400)
+    })
+
+    it("should transfer ownership once the nominee accepts", async () => {
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ userId: member._id.toString() })
+        .expect(200)
+
+      // Nothing changes before the nominee accepts
+      expect((await Capsule.findById(capsule._id)).owner.toString()).toBe(user._id.toString())
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer/accept`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      const transferred = await Capsule.findById(capsule._id)
+      expect(transferred.owner.toString()).toBe(member._id.toString())
+      expect(transferred.contributors).toHaveLength(1)
+      expect(transferred.contributors[0].user.toString()).toBe(user._id.toString())
+      expect(transferred.contributors[0].role).toBe("admin")
+
+      const previousOwner = await User.findById(user._id)
+      const newOwner = await User.findById(member._id)
+      expect(previousOwner.joinedCapsules.map(String)).toContain(capsule._id.toString())
+      expect(previousOwner.createdCapsules).toHaveLength(0)
+      expect(newOwner.createdCapsules.map(String)).toContain(capsule._id.toString())
+      expect(newOwner.joinedCapsules).toHaveLength(0)
+
+      // The new owner cannot join their own capsule as a contributor
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/join`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ inviteCode: transferred.inviteCode })
+        .expect(400)
+    })
+
+    it("should finish an interrupted transfer when the new owner accepts again", async () => {
+      // The capsule switched owners but the user lists were never updated
+      await Capsule.updateOne(
+        { _id: capsule._id },
+        { $set: { owner: member._id, contributors: [{ user: user._id, role: "admin" }] } },
+      )
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer/accept`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      const previousOwner = await User.findById(user._id)
+      const newOwner = await User.findById(member._id)
+      expect(previousOwner.createdCapsules).toHaveLength(0)
+      expect(previousOwner.joinedCapsules.map(String)).toEqual([capsule._id.toString()])
+      expect(newOwner.createdCapsules.map(String)).toEqual([capsule._id.toString()])
+      expect(newOwner.joinedCapsules).toHaveLength(0)
+    })
+
+    it("should let the nominee decline", async () => {
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ userId: member._id.toString() })
+        .expect(200)
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer/decline`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/transfer/accept`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(404)
+    })
+  })
+
+  describe("Member management", () => {
+    let capsule
+    let admin
+    let adminToken
+    let otherAdmin
+    let member
+
+    beforeEach(async () => {
+      admin = await User.create({ name: "Admin", email: "admin@example.com", password: "password123" })
+      otherAdmin = await User.create({ name: "Other Admin", email: "other@example.com", password: "password123" })
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      adminToken = generateToken(admin._id)
+
+      capsule = await Capsule.create({
+        title: "Family Capsule",
+        owner: user._id,
+        contributors: [
+          { user: user._id, role: "admin" },
+          { user: admin._id, role: "admin" },
+          { user: otherAdmin._id, role: "admin" },
+          { user: member._id, role: "contributor" },
+        ],
+      })
+      await User.updateMany({ _id: { $ne: user._id } }, { $push: { joinedCapsules: capsule._id } })
+    })
+
+    it("should list the owner and members with their roles", async () => {
+      const response = await request(app)
+        .get(`/api/capsules/${capsule._id}/members`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.data.members).toHaveLength(4)
+      expect(response.body.data.members[0].role).toBe("owner")
+    })
+
+    it("should let viewers leave", async () => {
+      await Capsule.updateOne(
+        { _id: capsule._id, "contributors.user": member._id },
+        { $set: { "contributors.$.role": "viewer" } },
+      )
+
+      await request(app)
+        .delete(`/api/capsules/${capsule._id}/leave`)
+        .set("Authorization", `Bearer ${generateToken(member._id)}`)
+        .expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors.some((c) => c.user.equals(member._id))).toBe(false)
+    })
+
+    it("should let admins change contributor roles", async () => {
+      await request(app)
+        .patch(`/api/capsules/${capsule._id}/members/${member._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "viewer" })
+        .expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors.find((c) => c.user.equals(member._id)).role).toBe("viewer")
+    })
+
+    it("should stop admins from demoting the owner or each other", async () => {
+      await request(app)
+        .patch(`/api/capsules/${capsule._id}/members/${user._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "viewer" })
+        .expect(400)
+
+      await request(app)
+        .patch(`/api/capsules/${capsule._id}/members/${otherAdmin._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "viewer" })
+        .expect(403)
+
+      await request(app)
+        .delete(`/api/capsules/${capsule._id}/members/${otherAdmin._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(403)
+
+      await request(app)
+        .patch(`/api/capsules/${capsule._id}/members/${otherAdmin._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ role: "viewer" })
+        .expect(200)
+    })
+
+    it("should remove a member", async () => {
+      await request(app)
+        .delete(`/api/capsules/${capsule._id}/members/${member._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors.some((c) => c.user.equals(member._id))).toBe(false)
+      expect((await User.findById(member._id)).joinedCapsules).toHaveLength(0)
+
+      await request(app)
+        .get(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${generateToken(member._id)}`)
+        .expect(403)
+    })
+
+    it("should give new members the capsule's default role", async () => {
+      capsule.type = "public"
+      capsule.settings.defaultRole = "viewer"
+      await capsule.save()
+
+      const joiner = await User.create({ name: "Joiner", email: "joiner@example.com", password: "password123" })
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/join`)
+        .set("Authorization", `Bearer ${generateToken(joiner._id)}`)
+        .send({})
+        .expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors.find((c) => c.user.equals(joiner._id)).role).toBe("viewer")
+    })
+  })
+
+  describe("Join requests", () => {
+    let capsule
+    let requester
+    let requesterToken
+
+    const askToJoin = () =>
+      request(app)
+        .post(`/api/capsules/${capsule._id}/join`)
+        .set("Authorization", `Bearer ${requesterToken}`)
+        .send({ inviteCode: capsule.inviteCode, message: "Let me in" })
+
+    beforeEach(async () => {
+      await JoinRequest.deleteMany({})
+
+      requester = await User.create({ name: "Requester", email: "requester@example.com", password: "password123" })
+      requesterToken = generateToken(requester._id)
+
+      capsule = await Capsule.create({
+        title: "Family Capsule",
+        owner: user._id,
+        settings: { requireApproval: true },
+      })
+    })
+
+    it("should queue a request instead of joining", async () => {
+      const response = await askToJoin().expect(202)
+      expect(response.body.data.joinRequest.message).toBe("Let me in")
+
+      expect((await Capsule.findById(capsule._id)).contributors).toHaveLength(0)
+
+      await askToJoin().expect(409)
+    })
+
+    it("should add the member when an admin approves", async () => {
+      const { body } = await askToJoin().expect(202)
+
+      const list = await request(app)
+        .get(`/api/capsules/${capsule._id}/join-requests`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      expect(list.body.data.joinRequests).toHaveLength(1)
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/join-requests/${body.data.joinRequest._id}/approve`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors.some((c) => c.user.equals(requester._id))).toBe(true)
+
+      // Already decided
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/join-requests/${body.data.joinRequest._id}/reject`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(404)
+    })
+
+    it("should keep rejected users from asking again right away", async () => {
+      const { body } = await askToJoin().expect(202)
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/join-requests/${body.data.joinRequest._id}/reject`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+
+      const response = await askToJoin().expect(429)
+      expect(response.headers["retry-after"]).toBeDefined()
+    })
+
+    it("should not let requesters review requests", async () => {
+      await askToJoin().expect(202)
+
+      await request(app)
+        .get(`/api/capsules/${capsule._id}/join-requests`)
+        .set("Authorization", `Bearer ${requesterToken}`)
+        .expect(403)
+    })
+  })
+
+  describe("Invite links", () => {
+    let capsule
+    let guest
+    let guestToken
+
+    const createInvite = async (body) => {
+      const response = await request(app)
+        .post(`/api/capsules/${capsule._id}/invites`)
+        .set("Authorization", `Bearer ${token}`)
+        .send(body)
+        .expect(201)
+      return response.body.data.invite
+    }
+
+    beforeEach(async () => {
+      await CapsuleInvite.deleteMany({})
+
+      guest = await User.create({ name: "Guest", email: "guest@example.com", password: "password123" })
+      guestToken = generateToken(guest._id)
+
+      capsule = await Capsule.create({ title: "Family Capsule", owner: user._id })
+    })
+
+    it("should join by code with the role of the link", async () => {
+      const invite = await createInvite({ role: "viewer" })
+      expect(invite.url).toContain(invite.code)
+
+      await request(app).post(`/api/capsules/join/${invite.code}`).set("Authorization", `Bearer ${guestToken}`).expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors.find((c) => c.user.equals(guest._id)).role).toBe("viewer")
+    })
+
+    it("should stop working once used up", async () => {
+      const invite = await createInvite({ maxUses: 1 })
+      const other = await User.create({ name: "Other", email: "other@example.com", password: "password123" })
+
+      await request(app).post(`/api/capsules/join/${invite.code}`).set("Authorization", `Bearer ${guestToken}`).expect(200)
+      await request(app)
+        .post(`/api/capsules/join/${invite.code}`)
+        .set("Authorization", `Bearer ${generateToken(other._id)}`)
+        .expect(404)
+    })
+
+    it("should stop working once expired or revoked", async () => {
+      const expiring = await createInvite({ expiresAt: new Date(Date.now() + 60 * 1000).toISOString() })
+      await CapsuleInvite.updateOne({ _id: expiring._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } })
+      await request(app).post(`/api/capsules/join/${expiring.code}`).set("Authorization", `Bearer ${guestToken}`).expect(404)
+
+      const revoked = await createInvite({})
+      await request(app)
+        .delete(`/api/capsules/${capsule._id}/invites/${revoked._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      await request(app).post(`/api/capsules/join/${revoked.code}`).set("Authorization", `Bearer ${guestToken}`).expect(404)
+    })
+
+    it("should rotate the built-in invite code", async () => {
+      const response = await request(app)
+        .post(`/api/capsules/${capsule._id}/invite-code/rotate`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body.data.inviteCode).not.toBe(capsule.inviteCode)
+    })
+  })
+
+  describe("Email invitations", () => {
+    let capsule
+
+    const invite = (body) =>
+      request(app).post(`/api/capsules/${capsule._id}/invitations`).set("Authorization", `Bearer ${token}`).send(body)
+
+    beforeEach(async () => {
+      await CapsuleInvitation.deleteMany({})
+      await Notification.deleteMany({})
+      outbox.length = 0
+
+      capsule = await Capsule.create({ title: "Family Capsule", owner: user._id })
+    })
+
+    it("should email each address once", async () => {
+      const response = await invite({ emails: ["new@example.com", "test@example.com"], role: "viewer" }).expect(201)
+
+      expect(response.body.data.invitations).toHaveLength(1)
+      expect(response.body.data.skipped).toEqual([{ email: "test@example.com", reason: "already_member" }])
+      expect(outbox).toHaveLength(1)
+      expect(outbox[0].to).toBe("new@example.com")
+
+      const again = await invite({ emails: ["new@example.com"] }).expect(201)
+      expect(again.body.data.skipped[0].reason).toBe("already_invited")
+    })
+
+    it("should add invitees once they verify the invited address", async () => {
+      await invite({ emails: ["new@example.com"], role: "viewer" }).expect(201)
+
+      const registration = await request(app)
+        .post("/api/auth/register")
+        .send({ name: "New User", email: "new@example.com", password: "Password123" })
+        .expect(201)
+      const newUserId = registration.body.data.user._id
+
+      // Signing up with an address does not prove it is yours
+      expect((await Capsule.findById(capsule._id)).contributors).toHaveLength(0)
+      await request(app)
+        .get("/api/capsules/invitations")
+        .set("Authorization", `Bearer ${registration.body.data.token}`)
+        .expect(403)
+
+      const newUser = await User.findById(newUserId)
+      await request(app).get(`/api/auth/verify/${createVerificationToken(newUser)}`).expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      const membership = updated.contributors.find((c) => c.user.toString() === newUserId)
+      expect(membership.role).toBe("viewer")
+
+      expect((await CapsuleInvitation.findOne({ email: "new@example.com" })).status).toBe("accepted")
+      expect(await Notification.countDocuments({ recipient: newUserId, type: "capsule_invite" })).toBe(1)
+    })
+
+    it("should let existing users accept or decline", async () => {
+      const friend = await User.create({
+        name: "Friend",
+        email: "friend@example.com",
+        password: "password123",
+        isVerified: true,
+      })
+      const friendToken = generateToken(friend._id)
+      await User.updateOne({ _id: user._id }, { $set: { isVerified: true } })
+
+      await invite({ emails: ["friend@example.com"] }).expect(201)
+      expect(await Notification.countDocuments({ recipient: friend._id, type: "capsule_invite" })).toBe(1)
+
+      const mine = await request(app).get("/api/capsules/invitations").set("Authorization", `Bearer ${friendToken}`).expect(200)
+      expect(mine.body.data.invitations).toHaveLength(1)
+
+      const invitationId = mine.body.data.invitations[0]._id
+
+      // Only the invited address can answer
+      await request(app)
+        .post(`/api/capsules/invitations/${invitationId}/accept`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(404)
+
+      await request(app)
+        .post(`/api/capsules/invitations/${invitationId}/decline`)
+        .set("Authorization", `Bearer ${friendToken}`)
+        .expect(200)
+
+      const updated = await Capsule.findById(capsule._id)
+      expect(updated.contributors).toHaveLength(0)
+    })
+  })
+
+  describe("Timed release", () => {
+    let member
+    let capsule
+
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+    beforeEach(async () => {
+      await ScheduledJob.deleteMany({})
+      await Notification.deleteMany({})
+      outbox.length = 0
+
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+
+      const response = await request(app)
+        .post("/api/capsules")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Class of 2026", type: "timed", releaseDate: inDays(30).toISOString() })
+        .expect(201)
+
+      capsule = await Capsule.findById(response.body.data.capsule._id)
+      capsule.contributors.push({ user: member._id, role: "contributor" })
+      await capsule.save()
+    })
+
+    it("should schedule the release when a timed capsule is created", async () => {
+      const job = await ScheduledJob.findOne({ capsule: capsule._id, type: "capsule_release" })
+      expect(job.status).toBe("pending")
+      expect(job.runAt.getTime()).toBe(capsule.releaseDate.getTime())
+
+      // Not due yet
+      expect(await runDueReleaseJobs()).toBe(0)
+    })
+
+    it("should release the capsule once and notify every member", async () => {
+      await Capsule.updateOne({ _id: capsule._id }, { $set: { releaseDate: new Date(Date.now() - 1000) } })
+      await ScheduledJob.updateOne({ capsule: capsule._id }, { $set: { runAt: new Date(Date.now() - 1000) } })
+
+      const [first, second] = await Promise.all([runDueReleaseJobs(), runDueReleaseJobs()])
+      expect(first + second).toBe(1)
+
+      expect((await Capsule.findById(capsule._id)).releasedAt).toBeTruthy()
+      expect(await Notification.countDocuments({ type: "capsule_released" })).toBe(2)
+      expect((await ScheduledJob.findOne({ capsule: capsule._id })).status).toBe("done")
+
+      // Emails are off unless the capsule asks for them
+      expect(outbox).toHaveLength(0)
+    })
+
+    it("should send a configurable reminder before release", async () => {
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ settings: { releaseReminderDays: 500 } })
+        .expect(400)
+
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ settings: { releaseReminderDays: 7, emailOnRelease: true } })
+        .expect(200)
+
+      const job = await ScheduledJob.findOne({ capsule: capsule._id, type: "capsule_release_reminder" })
+      expect(job.runAt.getTime()).toBe(capsule.releaseDate.getTime() - 7 * 24 * 60 * 60 * 1000)
+
+      await ScheduledJob.updateOne({ _id: job._id }, { $set: { runAt: new Date(Date.now() - 1000) } })
+      expect(await runDueReleaseJobs()).toBe(1)
+
+      expect(await Notification.countDocuments({ recipient: member._id, type: "capsule_release_reminder" })).toBe(1)
+      expect(outbox.map((message) => message.to).sort()).toEqual(["member@example.com", "test@example.com"])
+    })
+  })
+
+  describe("Templates and cloning", () => {
+    let member
+    let capsule
+
+    beforeEach(async () => {
+      await MemoryItem.deleteMany({})
+      await CapsuleTemplate.deleteMany({})
+
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+
+      capsule = await Capsule.create({
+        title: "Our Wedding",
+        description: "Wishes for the couple",
+        owner: user._id,
+        contributors: [
+          { user: user._id, role: "admin" },
+          { user: member._id, role: "viewer" },
+        ],
+        theme: "vintage",
+        tags: ["wedding"],
+        settings: { requireApproval: true },
+      })
+      await MemoryItem.create({ capsule: capsule._id, author: member._id, type: "text", text: "Congratulations!" })
+    })
+
+    it("should ship a built-in template for every theme", async () => {
+      const response = await request(app)
+        .get("/api/capsules/templates")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+
+      const builtIn = response.body.data.templates.filter((template) => template.builtIn)
+      expect(builtIn.map((template) => template.theme).sort()).toEqual(["default", "modern", "nature", "ocean", "space", "vintage"])
+    })
+
+    it("should create a capsule from a built-in template", async () => {
+      const response = await request(app)
+        .post("/api/capsules")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Sam & Alex", type: "private", templateId: "wedding" })
+        .expect(201)
+
+      const created = await Capsule.findById(response.body.data.capsule._id)
+      expect(created.theme).toBe("vintage")
+      expect(created.settings.requireApproval).toBe(true)
+      expect(created.stats.totalMemories).toBe(3)
+      expect(await MemoryItem.countDocuments({ capsule: created._id, tags: "prompt" })).toBe(3)
+
+      await request(app)
+        .post("/api/capsules")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Nope", type: "private", templateId: "missing" })
+        .expect(404)
+    })
+
+    it("should save a capsule as a template and create from it", async () => {
+      const saved = await request(app)
+        .post(`/api/capsules/${capsule._id}/template`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Wedding kit", includeMemories: true })
+        .expect(201)
+      expect(saved.body.data.template.prompts).toHaveLength(1)
+
+      const response = await request(app)
+        .post("/api/capsules")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Next wedding", type: "private", templateId: saved.body.data.template._id })
+        .expect(201)
+      expect(response.body.data.capsule.tags).toEqual(["wedding"])
+
+      // Templates are private to their creator
+      await request(app)
+        .post("/api/capsules")
+        .set("Authorization", `Bearer ${generateToken(member._id)}`)
+        .send({ title: "Mine", type: "private", templateId: saved.body.data.template._id })
+        .expect(404)
+    })
+
+    it("should clone a capsule with the requested parts", async () => {
+      const response = await request(app)
+        .post(`/api/capsules/${capsule._id}/clone`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ copySettings: true, copyContributors: true, copyMemories: true })
+        .expect(201)
+
+      const clone = await Capsule.findById(response.body.data.capsule._id)
+      expect(clone.title).toBe("Our Wedding (copy)")
+      expect(clone.settings.requireApproval).toBe(true)
+      expect(clone.contributors.find((c) => c.user.equals(member._id)).role).toBe("viewer")
+      expect(await MemoryItem.countDocuments({ capsule: clone._id })).toBe(1)
+      expect((await MemoryItem.findOne({ capsule: clone._id })).author.toString()).toBe(member._id.toString())
+      expect((await User.findById(member._id)).joinedCapsules.map(String)).toContain(clone._id.toString())
+
+      const bare = await request(app)
+        .post(`/api/capsules/${capsule._id}/clone`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Fresh start" })
+        .expect(201)
+      const bareClone = await Capsule.findById(bare.body.data.capsule._id)
+      expect(bareClone.contributors).toHaveLength(1)
+      expect(bareClone.settings.requireApproval).toBe(false)
+    })
+
+    it("should credit copied memories to the cloner when members stay behind", async () => {
+      await MemoryItem.create({
+        capsule: capsule._id,
+        author: member._id,
+        type: "image",
+        mediaUrl: "https://example.com/cake.jpg",
+      })
+
+      const response = await request(app)
+        .post(`/api/capsules/${capsule._id}/clone`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ copyMemories: true })
+        .expect(201)
+
+      const copies = await MemoryItem.find({ capsule: response.body.data.capsule._id })
+      expect(copies).toHaveLength(2)
+      expect(copies.every((memory) => memory.author.equals(user._id))).toBe(true)
+
+      // Media hosted elsewhere is referenced, not fetched
+      expect(copies.find((memory) => memory.type === "image").mediaUrl).toBe("https://example.com/cake.jpg")
+    })
+
+    it("should not let members below admin clone", async () => {
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/clone`)
+        .set("Authorization", `Bearer ${generateToken(member._id)}`)
+        .send({})
+        .expect(403)
+    })
+  })
+
+  describe("Public share pages", () => {
+    let member
+    let capsule
+
+    const share = (enabled) =>
+      request(app)
+        .put(`/api/capsules/${capsule._id}/public-share`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ enabled })
+
+    beforeEach(async () => {
+      await MemoryItem.deleteMany({})
+
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      capsule = await Capsule.create({
+        title: "Summer at the Lake!",
+        type: "public",
+        owner: user._id,
+        contributors: [
+          { user: user._id, role: "admin" },
+          { user: member._id, role: "contributor" },
+        ],
+      })
+    })
+
+    it("should serve a shared capsule without login and without emails or coordinates", async () => {
+      const response = await share(true).expect(200)
+      const { slug } = response.body.data
+      expect(slug).toMatch(/^summer-at-the-lake-[0-9a-f]{8}$/)
+
+      await MemoryItem.create({
+        capsule: capsule._id,
+        author: member._id,
+        type: "text",
+        text: "Sunset swim",
+        location: { name: "North Beach", coordinates: { latitude: 59.3, longitude: 18.1 } },
+        reactions: [{ user: user._id, emoji: "❤️" }],
+        comments: [{ user: user._id, text: "Best evening" }],
+      })
+      await MemoryItem.create({
+        capsule: capsule._id,
+        author: member._id,
+        type: "text",
+        text: "For the owner only",
+        unlockAudience: [user._id],
+      })
+
+      const page = await request(app).get(`/api/public/capsules/${slug}`).expect(200)
+      expect(page.body.data.capsule.title).toBe("Summer at the Lake!")
+      expect(JSON.stringify(page.body)).not.toContain("@example.com")
+      expect(page.body.data.capsule.inviteCode).toBeUndefined()
+
+      const memories = await request(app).get(`/api/public/capsules/${slug}/memories`).expect(200)
+      expect(memories.body.data.memories).toHaveLength(1)
+      const [memory] = memories.body.data.memories
+      expect(memory.location).toEqual({ name: "North Beach" })
+      expect(memory.reactions).toEqual([{ emoji: "❤️", count: 1 }])
+      expect(memory.comments[0].user).toEqual({ name: "Test User", avatarUrl: "" })
+      expect(JSON.stringify(memories.body)).not.toContain("@example.com")
+
+      await Capsule.updateOne({ _id: capsule._id }, { $set: { "settings.allowComments": false } })
+      const withoutComments = await request(app).get(`/api/public/capsules/${slug}/memories`).expect(200)
+      expect(withoutComments.body.data.memories[0].comments).toBeUndefined()
+    })
+
+    it("should stop serving the page when it is turned off or the link is rotated", async () => {
+      const { slug } = (await share(true).expect(200)).body.data
+
+      await share(false).expect(200)
+      await request(app).get(`/api/public/capsules/${slug}`).expect(404)
+
+      // Turning it back on restores the same link
+      expect((await share(true).expect(200)).body.data.slug).toBe(slug)
+
+      const rotated = await request(app)
+        .post(`/api/capsules/${capsule._id}/public-share/rotate`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      expect(rotated.body.data.slug).not.toBe(slug)
+
+      await request(app).get(`/api/public/capsules/${slug}`).expect(404)
+      await request(app).get(`/api/public/capsules/${rotated.body.data.slug}`).expect(200)
+    })
+
+    it("should only let the owner share capsules that are not private", async () => {
+      await request(app)
+        .put(`/api/capsules/${capsule._id}/public-share`)
+        .set("Authorization", `Bearer ${generateToken(member._id)}`)
+        .send({ enabled: true })
+        .expect(403)
+
+      await Capsule.updateOne({ _id: capsule._id }, { $set: { type: "private" } })
+      await share(true).expect(400)
+    })
+
+    it("should hide the memories of a sealed timed capsule", async () => {
+      await Capsule.updateOne(
+        { _id: capsule._id },
+        { $set: { type: "timed", releaseDate: new Date(Date.now() + 24 * 60 * 60 * 1000) } },
+      )
+      await MemoryItem.create({ capsule: capsule._id, author: member._id, type: "text", text: "Surprise" })
+
+      const { slug } = (await share(true).expect(200)).body.data
+      const response = await request(app).get(`/api/public/capsules/${slug}/memories`).expect(200)
+      expect(response.body.data.sealed).toBe(true)
+      expect(response.body.data.memories).toHaveLength(0)
+    })
+  })
+
+  describe("GET /api/capsules/explore/public", () => {
+    const explore = (query) =>
+      request(app).get("/api/capsules/explore/public").query(query).set("Authorization", `Bearer ${token}`)
+
+    beforeEach(async () => {
+      await Capsule.init()
+
+      const publicCapsule = (fields) => ({ type: "public", owner: user._id, ...fields })
+      await Capsule.create([
+        publicCapsule({
+          title: "Lake summer",
+          description: "Swimming every morning",
+          tags: ["travel"],
+          theme: "ocean",
+          stats: { totalMemories: 2 },
+        }),
+        publicCapsule({
+          title: "Mountain trip",
+          description: "We camped by a <quiet> lake near the summit",
+          tags: ["travel", "hiking"],
+          theme: "nature",
+          stats: { totalMemories: 9 },
+        }),
+        publicCapsule({ title: "Office party", tags: ["work"], theme: "modern" }),
+        publicCapsule({ title: "Hidden lake", settings: { allowPublicDiscovery: false } }),
+        { title: "Private lake", type: "private", owner: user._id },
+      ])
+    })
+
+    it("should rank matches and highlight them", async () => {
+      const response = await explore({ search: "lake" }).expect(200)
+
+      const { capsules } = response.body.data
+      expect(capsules.map((capsule) => capsule.title)).toEqual(["Lake summer", "Mountain trip"])
+      expect(capsules[0].highlights.title).toBe("<mark>Lake</mark> summer")
+      expect(capsules[1].highlights.description).toBe("We camped by a &lt;quiet&gt; <mark>lake</mark> near the summit")
+      expect(response.body.data.pagination.total).toBe(2)
+    })
+
+    it("should treat the search as words rather than a pattern", async () => {
+      const response = await explore({ search: ".*" }).expect(200)
+      expect(response.body.data.capsules).toHaveLength(0)
+
+      await explore({ search: ["lake", "party"] }).expect(400)
+    })
+
+    it("should filter by tag and theme and count facets", async () => {
+      const response = await explore({ tag: "travel", sort: "memories" }).expect(200)
+
+      expect(response.body.data.capsules.map((capsule) => capsule.title)).toEqual(["Mountain trip", "Lake summer"])
+      expect(response.body.data.facets.tags).toEqual([
+        { value: "travel", count: 2 },
+        { value: "hiking", count: 1 },
+        { value: "work", count: 1 },
+      ])
+      expect(response.body.data.facets.themes).toEqual([
+        { value: "nature", count: 1 },
+        { value: "ocean", count: 1 },
+      ])
+
+      const byTheme = await explore({ theme: "modern" }).expect(200)
+      expect(byTheme.body.data.capsules.map((capsule) => capsule.title)).toEqual(["Office party"])
+
+      await explore({ sort: "popular" }).expect(400)
+    })
+  })
 })
@@ -1,8 +1,13 @@
+const fs = require("fs")
+const path = require("path")
 const request = require("supertest")
 const { app } = require("../server")
 const User = require("../models/User")
 const Capsule = require("../models/Capsule")
 const MemoryItem = require("../models/MemoryItem")
+const Notification = require("../models/Notification")
+const ScheduledJob = require("../models/ScheduledJob")
+const { runDueUnlockJobs } = require("../services/memoryUnlock")
 const { generateToken } = require("../middleware/auth")
 const mongoose = require("mongoose")
 
@@ -75,6 +80,41 @@ describe("Memory Endpoints", () => {
 
       expect(response.body.success).toBe(false)
     })
+
+    it("should not let viewers create memories", async () => {
+      const viewer = await User.create({ name: "Viewer", email: "viewer@example.com", password: "password123" })
+      await Capsule.updateOne({ _id: capsule._id }, { $push: { contributors: { user: viewer._id, role: "viewer" } } })
+
+      await request(app)
+        .post("/api/memories")
+        .set("Authorization", `Bearer ${generateToken(viewer._id)}`)
+        .send({ capsuleId: capsule._id, type: "text", text: "Not mine to add" })
+        .expect(403)
+    })
+  })
+
+  describe("POST /api/upload/media", () => {
+    beforeAll(() => {
+      fs.mkdirSync("uploads", { recursive: true })
+    })
+
+    it("should not let viewers upload media", async () => {
+      const viewer = await User.create({ name: "Viewer", email: "viewer@example.com", password: "password123" })
+      await Capsule.updateOne({ _id: capsule._id }, { $push: { contributors: { user: viewer._id, role: "viewer" } } })
+      const existing = new Set(fs.readdirSync("uploads"))
+
+      await request(app)
+        .post("/api/upload/media")
+        .set("Authorization", `Bearer ${generateToken(viewer._id)}`)
+        .field("capsuleId", capsule._id.toString())
+        .attach("file", Buffer.from("not really a photo"), { filename: "photo.jpg", contentType: "image/jpeg" })
+        .expect(403)
+
+      // Rejected files stay in the upload directory; remove the one this test left
+      fs.readdirSync("uploads")
+        .filter((file) => !existing.has(file))
+        .forEach((file) => fs.unlinkSync(path.join("uploads", file)))
+    })
   })
 
   describe("GET /api/memories/capsule/:capsuleId", () => {
@@ -127,4 +167,290 @@ describe("Memory Endpoints", () => {
       expect(response.body.data.reactions[0].emoji).toBe("❤️")
     })
   })
+
+  describe("Sealed timed capsules", () => {
+    let member
+    let memberToken
+    let sealed
+    let ownerMemory
+
+    beforeEach(async () => {
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      memberToken = generateToken(member._id)
+
+      sealed = await Capsule.create({
+        title: "Class of 2026",
+        type: "timed",
+        releaseDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        owner: user._id,
+        contributors: [
+          { user: user._id, role: "admin" },
+          { user: member._id, role: "contributor" },
+        ],
+      })
+
+      ownerMemory = await MemoryItem.create({ capsule: sealed._id, author: user._id, type: "text", text: "Owner" })
+    })
+
+    it("should let contributors add memories blind and only see their own", async () => {
+      await request(app)
+        .post("/api/memories")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ capsuleId: sealed._id, type: "text", text: "Member" })
+        .expect(201)
+
+      const own = await request(app)
+        .get(`/api/memories/capsule/${sealed._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+      expect(own.body.data.sealed).toBe(true)
+      expect(own.body.data.memories.map((memory) => memory.text)).toEqual(["Member"])
+
+      const all = await request(app)
+        .get(`/api/memories/capsule/${sealed._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      expect(all.body.data.memories).toHaveLength(2)
+    })
+
+    it("should keep other members' memories out of reach until release", async () => {
+      await request(app)
+        .get(`/api/memories/${ownerMemory._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(403)
+
+      await request(app)
+        .post(`/api/memories/${ownerMemory._id}/react`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ emoji: "❤️" })
+        .expect(403)
+
+      await request(app)
+        .post(`/api/memories/${ownerMemory._id}/comment`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ text: "Peek" })
+        .expect(403)
+
+      await Capsule.updateOne({ _id: sealed._id }, { $set: { releaseDate: new Date(Date.now() - 1000) } })
+
+      await request(app)
+        .get(`/api/memories/${ownerMemory._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+    })
+
+    it("should not let non-members react or comment", async () => {
+      const open = await MemoryItem.create({ capsule: capsule._id, author: user._id, type: "text", text: "Hi" })
+
+      await request(app)
+        .post(`/api/memories/${open._id}/react`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ emoji: "❤️" })
+        .expect(403)
+    })
+  })
+
+  describe("Open-when memories", () => {
+    let child
+    let childToken
+    let sibling
+    let siblingToken
+
+    const createLetter = (body) =>
+      request(app)
+        .post("/api/memories")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ capsuleId: capsule._id, type: "text", text: "Happy birthday!", ...body })
+
+    beforeEach(async () => {
+      await ScheduledJob.deleteMany({})
+      await Notification.deleteMany({})
+
+      child = await User.create({ name: "Child", email: "child@example.com", password: "password123" })
+      sibling = await User.create({ name: "Sibling", email: "sibling@example.com", password: "password123" })
+      childToken = generateToken(child._id)
+      siblingToken = generateToken(sibling._id)
+
+      capsule.contributors.push({ user: child._id, role: "contributor" }, { user: sibling._id, role: "contributor" })
+      await capsule.save()
+    })
+
+    it("should list locked memories as placeholders", async () => {
+      const unlockAt = new Date(Date.now() + 24 * 60 * 60 * 1000)
+      const created = await createLetter({ unlockAt: unlockAt.toISOString() }).expect(201)
+      const memoryId = created.body.data.memory._id
+
+      const listing = await request(app)
+        .get(`/api/memories/capsule/${capsule._id}`)
+        .set("Authorization", `Bearer ${childToken}`)
+        .expect(200)
+      const [placeholder] = listing.body.data.memories
+      expect(placeholder.locked).toBe(true)
+      expect(placeholder.text).toBeUndefined()
+      expect(new Date(placeholder.unlockAt).getTime()).toBe(unlockAt.getTime())
+
+      await request(app)
+        .post(`/api/memories/${memoryId}/comment`)
+        .set("Authorization", `Bearer ${childToken}`)
+        .send({ text: "Can't wait" })
+        .expect(403)
+
+      const own = await request(app)
+        .get(`/api/memories/${memoryId}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      expect(own.body.data.memory.text).toBe("Happy birthday!")
+    })
+
+    it("should only accept capsule members as the unlock audience", async () => {
+      const outsider = await User.create({ name: "Outsider", email: "outsider@example.com", password: "password123" })
+
+      await createLetter({
+        unlockAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        unlockAudience: [outsider._id],
+      }).expect(400)
+    })
+
+    it("should unlock for its audience and notify them", async () => {
+      const created = await createLetter({
+        unlockAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        unlockAudience: [child._id],
+      }).expect(201)
+      const memoryId = created.body.data.memory._id
+
+      expect(await runDueUnlockJobs()).toBe(0)
+
+      await MemoryItem.updateOne({ _id: memoryId }, { $set: { unlockAt: new Date(Date.now() - 1000) } })
+      await ScheduledJob.updateOne({ memory: memoryId }, { $set: { runAt: new Date(Date.now() - 1000) } })
+      expect(await runDueUnlockJobs()).toBe(1)
+
+      expect(await Notification.countDocuments({ recipient: child._id, type: "memory_unlocked" })).toBe(1)
+      expect(await Notification.countDocuments({ recipient: sibling._id })).toBe(0)
+
+      const opened = await request(app)
+        .get(`/api/memories/${memoryId}`)
+        .set("Authorization", `Bearer ${childToken}`)
+        .expect(200)
+      expect(opened.body.data.memory.text).toBe("Happy birthday!")
+
+      const stillLocked = await request(app)
+        .get(`/api/memories/${memoryId}`)
+        .set("Authorization", `Bearer ${siblingToken}`)
+        .expect(200)
+      expect(stillLocked.body.data.memory.locked).toBe(true)
+    })
+
+    it("should notify about unlocks that came due in the trash once the capsule is restored", async () => {
+      const created = await createLetter({
+        unlockAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        unlockAudience: [child._id],
+      }).expect(201)
+      const memoryId = created.body.data.memory._id
+
+      await request(app).delete(`/api/capsules/${capsule._id}`).set("Authorization", `Bearer ${token}`).expect(200)
+
+      await MemoryItem.updateOne({ _id: memoryId }, { $set: { unlockAt: new Date(Date.now() - 1000) } })
+      await ScheduledJob.updateOne({ memory: memoryId }, { $set: { runAt: new Date(Date.now() - 1000) } })
+      expect(await runDueUnlockJobs()).toBe(1)
+
+      expect((await MemoryItem.findById(memoryId)).unlockedAt).toBeUndefined()
+      expect(await Notification.countDocuments({ recipient: child._id, type: "memory_unlocked" })).toBe(0)
+
+      await request(app)
+        .post(`/api/capsules/${capsule._id}/restore`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      expect(await runDueUnlockJobs()).toBe(1)
+
+      expect(await Notification.countDocuments({ recipient: child._id, type: "memory_unlocked" })).toBe(1)
+    })
+  })
+
+  describe("GET /api/search", () => {
+    let member
+    let memberToken
+    let other
+
+    const search = (query, authToken = memberToken) =>
+      request(app).get("/api/search").query(query).set("Authorization", `Bearer ${authToken}`)
+
+    beforeEach(async () => {
+      await MemoryItem.init()
+
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      memberToken = generateToken(member._id)
+      capsule.contributors.push({ user: member._id, role: "contributor" })
+      await capsule.save()
+
+      other = await Capsule.create({ title: "Someone else's", type: "private", owner: user._id })
+
+      await MemoryItem.create([
+        {
+          capsule: capsule._id,
+          author: user._id,
+          type: "video",
+          mediaUrl: "https://example.com/beach.mp4",
+          title: "Beach day",
+          location: { name: "Sunny Beach" },
+        },
+        {
+          capsule: capsule._id,
+          author: user._id,
+          type: "text",
+          text: "Dinner at home",
+          comments: [{ user: member._id, text: "Better than the beach!" }],
+        },
+        {
+          capsule: capsule._id,
+          author: user._id,
+          type: "text",
+          text: "Secret beach letter",
+          unlockAt: new Date(Date.now() + 60000),
+        },
+        { capsule: other._id, author: user._id, type: "text", text: "Beach photos from another capsule" },
+      ])
+    })
+
+    it("should search titles, locations and comments in the user's capsules only", async () => {
+      const response = await search({ q: "beach" }).expect(200)
+
+      const { memories, nextCursor } = response.body.data
+      expect(memories.map((memory) => memory.title || memory.text)).toEqual(["Beach day", "Dinner at home"])
+      expect(memories[0].highlights.title).toBe("<mark>Beach</mark> day")
+      expect(memories[0].highlights.location).toBe("Sunny <mark>Beach</mark>")
+      expect(memories[0].capsule.title).toBe("Test Capsule")
+      expect(memories[1].highlights.comments[0].text).toBe("Better than the <mark>beach</mark>!")
+      expect(nextCursor).toBeNull()
+    })
+
+    it("should filter by type, author, date and capsule", async () => {
+      const videos = await search({ q: "beach", type: "video" }).expect(200)
+      expect(videos.body.data.memories).toHaveLength(1)
+
+      const byMember = await search({ author: member._id.toString() }).expect(200)
+      expect(byMember.body.data.memories).toHaveLength(0)
+
+      const future = await search({ from: new Date(Date.now() + 60000).toISOString() }).expect(200)
+      expect(future.body.data.memories).toHaveLength(0)
+
+      const mine = await search({ q: "beach", capsule: other._id.toString() }, token).expect(200)
+      expect(mine.body.data.memories.map((memory) => memory.text)).toEqual(["Beach photos from another capsule"])
+
+      await search({ capsule: other._id.toString() }).expect(403)
+      await search({ capsule: new mongoose.Types.ObjectId().toString() }).expect(404)
+    })
+
+    it("should page through results with a cursor", async () => {
+      const first = await search({ limit: 1 }).expect(200)
+      expect(first.body.data.memories).toHaveLength(1)
+      expect(first.body.data.nextCursor).toBeTruthy()
+
+      const second = await search({ limit: 1, cursor: first.body.data.nextCursor }).expect(200)
+      expect(second.body.data.memories).toHaveLength(1)
+      expect(second.body.data.memories[0]._id).not.toBe(first.body.data.memories[0]._id)
+      expect(second.body.data.nextCursor).toBeNull()
+
+      await search({ cursor: "not-a-cursor" }).expect(400)
+    })
+  })
 })
@@ -0,0 +1,285 @@
+const request = require("supertest")
+const { app } = require("../server")
+const User = require("../models/User")
+const Capsule = require("../models/Capsule")
+const MemoryItem = require("../models/MemoryItem")
+const Notification = require("../models/Notification")
+const DataExport = require("../models/DataExport")
+const { processDueDeletions } = require("../services/accountDeletion")
+const { generateToken } = require("../middleware/auth")
+const mongoose = require("mongoose")
+
+describe("User Endpoints", () => {
+  let user
+  let token
+  let member
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || "mongodb://localhost:27017/memoryscape_test")
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  beforeEach(async () => {
+    await User.deleteMany({})
+    await Capsule.deleteMany({})
+    await MemoryItem.deleteMany({})
+    await Notification.deleteMany({})
+    await DataExport.deleteMany({})
+
+    user = await User.create({
+      name: "Test User",
+      email: "test@example.com",
+      password: "password123",
+    })
+    member = await User.create({
+      name: "Member",
+      email: "member@example.com",
+      password: "password123",
+    })
+
+    token = generateToken(user._id)
+  })
+
+  // Move the scheduled deletion into the past and run the scheduler task
+  const runDueDeletion = async () => {
+    await User.updateOne({ _id: user._id }, { $set: { "deletion.scheduledFor": new Date(Date.now() - 1000) } })
+    return processDueDeletions()
+  }
+
+  describe("Personal access tokens", () => {
+    const createToken = async (scopes) => {
+      const response = await request(app)
+        .post("/api/users/me/tokens")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Script", scopes })
+        .expect(201)
+
+      return response.body.data
+    }
+
+    it("should return the token once and store only its hash", async () => {
+      const { token: accessToken, accessToken: stored } = await createToken(["capsules:read"])
+
+      expect(accessToken).toMatch(/^msp_/)
+      expect(stored.tokenHash).toBeUndefined()
+
+      const list = await request(app).get("/api/users/me/tokens").set("Authorization", `Bearer ${token}`).expect(200)
+      expect(list.body.data.tokens).toHaveLength(1)
+      expect(JSON.stringify(list.body)).not.toContain(accessToken)
+    })
+
+    it("should enforce scopes", async () => {
+      const { token: accessToken } = await createToken(["capsules:read"])
+
+      await request(app).get("/api/capsules").set("Authorization", `Bearer ${accessToken}`).expect(200)
+      await request(app)
+        .post("/api/capsules")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({ title: "Scripted", type: "private" })
+        .expect(403)
+      await request(app)
+        .get("/api/memories/capsule/000000000000000000000000")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(403)
+      await request(app).get("/api/users/profile").set("Authorization", `Bearer ${accessToken}`).expect(403)
+    })
+
+    it("should require capsules:admin for admin actions", async () => {
+      const capsule = await Capsule.create({ title: "Mine", owner: user._id })
+      const { token: writeToken } = await createToken(["capsules:write"])
+      const { token: adminToken } = await createToken(["capsules:write", "capsules:admin"])
+
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${writeToken}`)
+        .send({ title: "Renamed" })
+        .expect(403)
+      await request(app)
+        .put(`/api/capsules/${capsule._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Renamed" })
+        .expect(200)
+    })
+
+    it("should reject revoked and expired tokens", async () => {
+      const { token: accessToken, accessToken: stored } = await createToken(["capsules:read"])
+
+      await request(app)
+        .delete(`/api/users/me/tokens/${stored._id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      await request(app).get("/api/capsules").set("Authorization", `Bearer ${accessToken}`).expect(401)
+
+      await request(app)
+        .post("/api/users/me/tokens")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Old", scopes: ["capsules:read"], expiresAt: "2000-01-01T00:00:00.000Z" })
+        .expect(400)
+    })
+  })
+
+  describe("Data export", () => {
+    const waitForExport = async (id) => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const dataExport = await DataExport.findById(id)
+        if (["ready", "failed"].includes(dataExport.status)) return dataExport
+        await new Promise((resolve) => setTimeout(resolve, 100))
+      }
+      throw new Error("Export did not finish")
+    }
+
+    it("should build an archive and notify the user", async () => {
+      const capsule = await Capsule.create({ title: "Mine", owner: user._id })
+      await MemoryItem.create({ capsule: capsule._id, author: user._id, type: "text", text: "Hello" })
+
+      const response = await request(app)
+        .post("/api/users/me/export")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(202)
+
+      const dataExport = await waitForExport(response.body.data.export._id)
+      expect(dataExport.status).toBe("ready")
+
+      const notification = await Notification.findOne({ recipient: user._id, type: "data_export_ready" })
+      expect(notification).not.toBeNull()
+
+      const link = new URL(notification.actionUrl)
+      const download = await request(app).get(link.pathname + link.search)
+      expect(download.status).toBe(200)
+      expect(download.headers["content-type"]).toBe("application/zip")
+
+      // The link's token only opens this download, never the rest of the API
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${link.searchParams.get("token")}`)
+        .expect(401)
+    })
+
+    it("should reject a second export while one is running", async () => {
+      await DataExport.create({ user: user._id, status: "processing" })
+
+      await request(app).post("/api/users/me/export").set("Authorization", `Bearer ${token}`).expect(409)
+    })
+
+    it("should reject download links with a foreign token", async () => {
+      const dataExport = await DataExport.create({
+        user: user._id,
+        status: "ready",
+        filePath: "exports/missing.zip",
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      })
+
+      await request(app).get(`/api/exports/${dataExport._id}/download?token=${token}`).expect(403)
+    })
+  })
+
+  describe("DELETE /api/users/me", () => {
+    it("should require the current password", async () => {
+      await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "wrong" })
+        .expect(400)
+
+      const response = await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "password123" })
+        .expect(202)
+
+      expect(response.body.data.deletion.contributions).toBe("anonymize")
+      expect(response.body.data.deletion.capsules).toBe("transfer")
+      expect(new Date(response.body.data.deletion.scheduledFor).getTime()).toBeGreaterThan(Date.now())
+    })
+
+    it("should keep the account during the grace period and allow cancelling", async () => {
+      await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "password123" })
+        .expect(202)
+
+      expect(await processDueDeletions()).toBe(0)
+      expect(await User.findById(user._id)).not.toBeNull()
+
+      await request(app).post("/api/users/me/deletion/cancel").set("Authorization", `Bearer ${token}`).expect(200)
+
+      expect(await runDueDeletion()).toBe(0)
+      const kept = await User.findById(user._id)
+      expect(kept.deletion.scheduledFor).toBeUndefined()
+    })
+
+    it("should transfer owned capsules and anonymize contributions", async () => {
+      const owned = await Capsule.create({
+        title: "Owned",
+        owner: user._id,
+        contributors: [{ user: member._id, role: "contributor" }],
+      })
+      const foreign = await Capsule.create({
+        title: "Foreign",
+        owner: member._id,
+        contributors: [{ user: user._id, role: "contributor" }],
+      })
+      const memory = await MemoryItem.create({
+        capsule: foreign._id,
+        author: user._id,
+        type: "text",
+        text: "Hello",
+        comments: [{ user: user._id, text: "Mine" }],
+        reactions: [{ user: user._id, emoji: "❤️" }],
+      })
+
+      await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "password123" })
+        .expect(202)
+
+      expect(await runDueDeletion()).toBe(1)
+
+      expect(await User.findById(user._id)).toBeNull()
+
+      const transferred = await Capsule.findById(owned._id)
+      expect(transferred.owner.toString()).toBe(member._id.toString())
+      expect(transferred.contributors).toHaveLength(0)
+
+      const remaining = await MemoryItem.findById(memory._id)
+      expect(remaining.author).toBeNull()
+      expect(remaining.anonymized).toBe(true)
+      expect(remaining.comments[0].user).toBeNull()
+      expect(remaining.comments[0].anonymized).toBe(true)
+      expect(remaining.reactions).toHaveLength(0)
+
+      const updatedForeign = await Capsule.findById(foreign._id)
+      expect(updatedForeign.contributors).toHaveLength(0)
+    })
+
+    it("should delete capsules and contributions when asked to", async () => {
+      const owned = await Capsule.create({
+        title: "Owned",
+        owner: user._id,
+        contributors: [{ user: member._id, role: "contributor" }],
+      })
+      const foreign = await Capsule.create({ title: "Foreign", owner: member._id })
+      const memory = await MemoryItem.create({ capsule: foreign._id, author: user._id, type: "text", text: "Hi" })
+      foreign.content.push(memory._id)
+      await foreign.save()
+
+      await request(app)
+        .delete("/api/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ password: "password123", contributions: "delete", capsules: "delete" })
+        .expect(202)
+
+      await runDueDeletion()
+
+      expect(await Capsule.findById(owned._id)).toBeNull()
+      expect(await MemoryItem.findById(memory._id)).toBeNull()
+      expect((await Capsule.findById(foreign._id)).content).toHaveLength(0)
+    })
+  })
+})